@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * anvil CLI: render a session spec to disk with the headless backend.
+ *
+ *   anvil render spec.json [--out dir] [--stems] [--midi] [--title name] [--bit-depth 24] [--sample-rate 48000]
+ *
+ * The spec is merged over SongGenerator.defaultSpec(), so a file holding only { "seed": 7, "style": "Djent" } works.
+ * Writes '<title>.wav', plus '<title>_<lane>.wav' per stem and '<title>.mid' when asked.
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { SongGenerator } from './song_generator.esm.js';
+
+const USAGE = 'usage: anvil render <spec.json> [--out dir] [--stems] [--midi] [--title name] [--bit-depth 16|24|32f] [--sample-rate hz]';
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o', default: '.' },
+  stems: { type: 'boolean', default: false },
+  midi: { type: 'boolean', default: false },
+  title: { type: 'string' },
+  'bit-depth': { type: 'string', default: '16' },
+  'sample-rate': { type: 'string', default: '48000' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+async function render(file, values){
+  const gen = new SongGenerator({ sampleRate: Number(values['sample-rate']), backend: 'headless' });
+  const spec = { ...gen.defaultSpec(), ...JSON.parse(await readFile(file, 'utf8')) };
+  const title = values.title || basename(file, extname(file));
+  const depth = values['bit-depth'];
+  const wav = { bitDepth: /^\d+$/.test(depth) ? Number(depth) : depth };
+
+  const result = await gen.generate(spec);
+  const files = [[`${title}.wav`, gen.encodeWav(result.mix, wav)]];
+  if(values.stems){
+    for(const [lane, buf] of Object.entries(result.stems)) files.push([`${title}_${lane}.wav`, gen.encodeWav(buf, wav)]);
+  }
+  if(values.midi) files.push([`${title}.mid`, gen.exportMidi({ title })]);
+
+  await mkdir(values.out, { recursive: true });
+  for(const [name, blob] of files){
+    const path = join(values.out, name);
+    await writeFile(path, Buffer.from(await blob.arrayBuffer()));
+    console.log(path);
+  }
+  console.log(`seed ${result.spec.seed}  renderHash ${result.meta.renderHash}`);
+}
+
+async function main(argv){
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, file] = positionals;
+  if(values.help || command !== 'render' || !file){
+    console.log(USAGE);
+    if(!values.help) process.exitCode = 1;
+    return;
+  }
+  await render(file, values);
+}
+
+main(process.argv.slice(2)).catch(err=>{
+  console.error(`anvil: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,514 @@
+/**
+ * Headless renderer (ESM)
+ * -----------------------
+ * Pure-JS offline synthesis for hosts without Web Audio (Node, build servers, tests). SongGenerator
+ * switches to it when OfflineAudioContext is missing, or when constructed with `backend: 'headless'`.
+ * Each lane plays the same events as its Tone renderer with simpler voices: band-limited
+ * oscillators, envelopes, biquad filters, waveshapers and delays; the mix bus uses a Schroeder
+ * reverb in place of the convolver. Output is deterministic, but it is not sample-identical to the
+ * browser render.
+ *
+ * Lanes receive notes already in seconds: {time, dur, vel (0..1), midis, voice?, kind?, formants?, harsh?}.
+ *
+ * Usage:
+ *   import { renderLane, mixChannels } from './headless.js';
+ *   const drums = renderLane('drums', notes, { seconds, sampleRate: 48000, patch, rng, secPerBeat });
+ */
+
+/** AudioBuffer look-alike: the parts of the interface the generator and encoders use */
+export class SampleBuffer {
+  /** @param {{length:number, sampleRate:number, numberOfChannels?:number, channels?:Float32Array[]}} opts - `channels` are used as-is */
+  constructor({ length, sampleRate, numberOfChannels = 2, channels }){
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.numberOfChannels = numberOfChannels;
+    this.duration = length / sampleRate;
+    this._channels = channels ?? Array.from({ length: numberOfChannels }, ()=> new Float32Array(length));
+  }
+  getChannelData(c){ return this._channels[c]; }
+}
+
+/** A real AudioBuffer where the host has one, else a SampleBuffer */
+export function createBuffer(opts){
+  return typeof AudioBuffer !== 'undefined' ? new AudioBuffer(opts) : new SampleBuffer(opts);
+}
+
+/** Plain { sampleRate, channels } form of a buffer for postMessage; the channel arrays are shared, not copied */
+export function packBuffer(buf){
+  return { sampleRate: buf.sampleRate, channels: Array.from({ length: buf.numberOfChannels }, (_, c)=> buf.getChannelData(c)) };
+}
+
+/** SampleBuffer over a packed buffer's channels, again without copying */
+export function unpackBuffer({ sampleRate, channels }){
+  return new SampleBuffer({ length: channels[0].length, sampleRate, numberOfChannels: channels.length, channels });
+}
+
+/** One channel of seeded white or pink noise (pink: Paul Kellet's filter, as Tone.Noise uses) */
+export function noiseSamples(rng, length, type = 'white'){
+  const out = new Float32Array(length);
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for(let i=0;i<length;i++){
+    const white = rng()*2 - 1;
+    if(type !== 'pink'){ out[i] = white; continue; }
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.96900 * b2 + white * 0.1538520;
+    b3 = 0.86650 * b3 + white * 0.3104856;
+    b4 = 0.55000 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.0168980;
+    out[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+    b6 = white * 0.115926;
+  }
+  return out;
+}
+
+// ---------------------- DSP ----------------------
+
+const TWO_PI = Math.PI * 2;
+const dbToGain = db=> Math.pow(10, db / 20);
+const midiToHz = m=> 440 * Math.pow(2, (m - 69) / 12);
+
+/** PolyBLEP correction that takes the alias out of a saw or square step */
+function polyBlep(t, dt){
+  if(t < dt){ t /= dt; return t + t - t*t - 1; }
+  if(t > 1 - dt){ t = (t - 1) / dt; return t*t + t + t + 1; }
+  return 0;
+}
+
+/** One sample of a basic wave at `phase` (0..1) advancing `dt` per sample */
+function oscSample(wave, phase, dt){
+  switch(wave){
+    case 'sine': return Math.sin(TWO_PI * phase);
+    case 'triangle': return 1 - 4 * Math.abs(phase - 0.5);
+    case 'square': return (phase < 0.5 ? 1 : -1) + polyBlep(phase, dt) - polyBlep((phase + 0.5) % 1, dt);
+    default: return 2 * phase - 1 - polyBlep(phase, dt);
+  }
+}
+
+/**
+ * Envelope generator for a note held `hold` seconds: each call returns the next frame's level.
+ * The attack is linear (curve 2: quadratic), decay and release are exponential.
+ */
+function envelope(sr, hold, { attack, decay, sustain, release }, curve = 1){
+  const attackFrames = Math.max(1, attack * sr), holdFrames = hold * sr;
+  const kd = Math.exp(-4 / Math.max(1, decay * sr)), kr = Math.exp(-4 / Math.max(1, release * sr));
+  let i = 0, d = 1, level = 0;
+  return ()=>{
+    if(i >= holdFrames) level *= kr;
+    else if(i < attackFrames){ const x = i / attackFrames; level = curve === 2 ? x * x : x; }
+    else { level = sustain + (1 - sustain) * d; d *= kd; }
+    i++;
+    return level;
+  };
+}
+
+/** A one-shot that decays from full level over `decay` seconds */
+const hitEnvelope = (sr, decay)=> envelope(sr, Infinity, { attack: 0, decay, sustain: 0, release: decay });
+
+/** RBJ biquad. `set(freq)` retunes it; `run(x)` filters one sample */
+function biquad(sr, type, freq, q = Math.SQRT1_2, gainDb = 0){
+  let b0, b1, b2, a1, a2, x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  const set = f=>{
+    const w = TWO_PI * Math.min(Math.max(f, 10), sr * 0.45) / sr;
+    const cos = Math.cos(w), alpha = Math.sin(w) / (2 * q), A = Math.pow(10, gainDb / 40);
+    let c;
+    switch(type){
+      case 'highpass': c = [(1 + cos)/2, -(1 + cos), (1 + cos)/2, 1 + alpha, -2*cos, 1 - alpha]; break;
+      case 'bandpass': c = [alpha, 0, -alpha, 1 + alpha, -2*cos, 1 - alpha]; break;
+      case 'peaking': c = [1 + alpha*A, -2*cos, 1 - alpha*A, 1 + alpha/A, -2*cos, 1 - alpha/A]; break;
+      case 'lowshelf': case 'highshelf': {
+        const s = type === 'lowshelf' ? -1 : 1, r = 2 * Math.sqrt(A) * alpha;
+        c = [A*((A+1) + s*(A-1)*cos + r), -2*s*A*((A-1) + s*(A+1)*cos), A*((A+1) + s*(A-1)*cos - r),
+             (A+1) - s*(A-1)*cos + r, 2*s*((A-1) - s*(A+1)*cos), (A+1) - s*(A-1)*cos - r];
+        break;
+      }
+      default: c = [(1 - cos)/2, 1 - cos, (1 - cos)/2, 1 + alpha, -2*cos, 1 - alpha];
+    }
+    [b0, b1, b2, a1, a2] = [c[0]/c[3], c[1]/c[3], c[2]/c[3], c[4]/c[3], c[5]/c[3]];
+  };
+  set(freq);
+  return {
+    set,
+    run(x){
+      const y = b0*x + b1*x1 + b2*x2 - a1*y1 - a2*y2;
+      x2 = x1; x1 = x; y2 = y1; y1 = y;
+      return y;
+    },
+  };
+}
+
+/** Equal-power gains for a mono source at `pan` (-1..1) */
+function panGains(pan){
+  const x = (Math.max(-1, Math.min(1, pan)) + 1) * Math.PI / 4;
+  return [Math.cos(x), Math.sin(x)];
+}
+
+/** Pan a stereo pair in place the way a StereoPannerNode does */
+function panStereo(L, R, pan){
+  if(!pan) return;
+  const x = (pan <= 0 ? pan + 1 : pan) * Math.PI / 2;
+  const c = Math.cos(x), s = Math.sin(x);
+  for(let i=0;i<L.length;i++){
+    const l = L[i], r = R[i];
+    if(pan <= 0){ L[i] = l + r*c; R[i] = r*s; }
+    else { L[i] = l*c; R[i] = r + l*s; }
+  }
+}
+
+/** Soft clip in place; `drive` 0..1 sets how hard */
+function saturate(ch, drive){
+  const k = 1 + drive * 20, norm = 1 / Math.tanh(k);
+  for(let i=0;i<ch.length;i++) ch[i] = Math.tanh(ch[i] * k) * norm;
+}
+
+/** Filter a channel in place */
+function filterInPlace(ch, f){
+  for(let i=0;i<ch.length;i++) ch[i] = f.run(ch[i]);
+}
+
+/** Feedback delay in place, mixed under the dry signal */
+function feedbackDelay(ch, sr, seconds, feedback, wet = 0.35){
+  const n = Math.max(1, Math.round(seconds * sr));
+  const line = new Float32Array(n);
+  for(let i=0, p=0; i<ch.length; i++, p = (p + 1) % n){
+    const d = line[p];
+    line[p] = ch[i] + d * feedback;
+    ch[i] += d * wet;
+  }
+}
+
+const COMBS = [1116, 1188, 1277, 1356, 1422, 1491, 1557, 1617];
+const ALLPASSES = [556, 441, 341, 225];
+
+/** Freeverb-style Schroeder reverb of a channel (wet only); `side` offsets the right channel's tunings */
+function schroeder(input, sr, room = 0.84, damp = 0.2, side = 0){
+  const scale = sr / 44100;
+  const out = new Float32Array(input.length);
+  const combs = COMBS.map(n=> ({ buf: new Float32Array(Math.round((n + side) * scale)), p: 0, low: 0 }));
+  const passes = ALLPASSES.map(n=> ({ buf: new Float32Array(Math.round((n + side) * scale)), p: 0 }));
+  for(let i=0;i<input.length;i++){
+    const x = input[i] * 0.015;
+    let y = 0;
+    for(const c of combs){
+      const d = c.buf[c.p];
+      c.low = d * (1 - damp) + c.low * damp;
+      c.buf[c.p] = x + c.low * room;
+      c.p = (c.p + 1) % c.buf.length;
+      y += d;
+    }
+    for(const a of passes){
+      const d = a.buf[a.p];
+      a.buf[a.p] = y + d * 0.5;
+      a.p = (a.p + 1) % a.buf.length;
+      y = d - y;
+    }
+    out[i] = y;
+  }
+  return out;
+}
+
+/** Feed-forward compressor on a stereo pair in place (soft knee, peak detector) */
+function compress(L, R, sr, { threshold, ratio, knee = 6, attack = 0.03, release = 0.25 }){
+  const att = Math.exp(-1 / (attack * sr)), rel = Math.exp(-1 / (release * sr));
+  let env = 0;
+  for(let i=0;i<L.length;i++){
+    const peak = Math.max(Math.abs(L[i]), Math.abs(R[i]));
+    env = peak > env ? att * env + (1 - att) * peak : rel * env + (1 - rel) * peak;
+    const db = 20 * Math.log10(env + 1e-9);
+    const over = db - threshold;
+    const cut = over <= -knee/2 ? 0
+      : over >= knee/2 ? over * (1 - 1/ratio)
+      : (1 - 1/ratio) * Math.pow(over + knee/2, 2) / (2 * knee);
+    const g = dbToGain(-cut);
+    L[i] *= g; R[i] *= g;
+  }
+}
+
+/**
+ * Add one mono voice into a stereo buffer: `sample(t)` is called for each frame from `time` for
+ * `length` seconds (t in seconds from the note start).
+ */
+function addVoice(L, R, sr, time, length, pan, gain, sample){
+  const start = Math.max(0, Math.round(time * sr));
+  const end = Math.min(L.length, start + Math.ceil(length * sr));
+  const [gl, gr] = panGains(pan);
+  for(let i=start;i<end;i++){
+    const v = sample((i - start) / sr) * gain;
+    L[i] += v * gl;
+    R[i] += v * gr;
+  }
+}
+
+/** An oscillator that keeps its phase across calls: `next(freq)` returns the next sample. 'fat' types play their base wave */
+function oscillator(type, sr, phase = 0){
+  const wave = type.replace(/^fat/, '');
+  return {
+    next(freq){
+      const dt = freq / sr;
+      const v = oscSample(wave, phase, dt);
+      phase += dt;
+      if(phase >= 1) phase -= Math.floor(phase);
+      return v;
+    },
+  };
+}
+
+// ---------------------- Lanes ----------------------
+
+const METAL_RATIOS = [1, 1.483, 1.932, 2.546, 2.63, 3.897];
+/** Length of the drum noise loops; a render starting mid-song reads them from its `startFrame` */
+export const NOISE_LOOP_SEC = 2;
+const CYMBALS = { crash: { freq: 300, decay: 1.4, hp: 4000 }, ride: { freq: 520, decay: 0.45, hp: 6500 }, china: { freq: 240, decay: 0.8, hp: 3000 } };
+
+function renderDrums(notes, L, R, { sampleRate: sr, patch, rng, startFrame = 0 }){
+  const pink = noiseSamples(rng, Math.round(NOISE_LOOP_SEC * sr), 'pink');
+  const white = noiseSamples(rng, Math.round(NOISE_LOOP_SEC * sr), 'white');
+  // noise voices read the loop at the song position, like a free-running noise source
+  const noiseAt = (loop, time)=> t=> loop[(startFrame + Math.round((time + t) * sr)) % loop.length];
+  const drop = (pitch, octaves, pitchDecay)=> t=> midiToHz(pitch) * Math.pow(2, octaves * Math.exp(-3 * t / pitchDecay));
+  for(const n of notes){
+    const v = n.vel;
+    switch(n.voice){
+      case 'kick': case 'tom': {
+        const [decay, octaves, pitchDecay] = n.voice === 'kick' ? [patch.kickDecay, 2.8, 0.03] : [0.5, 1.6, 0.06];
+        const freq = drop(n.voice === 'kick' ? 36 : n.midis[0], octaves, pitchDecay);
+        const osc = oscillator('sine', sr);
+        const env = hitEnvelope(sr, decay);
+        addVoice(L, R, sr, n.time, decay * 1.5, 0, v * dbToGain(-3), t=> osc.next(freq(t)) * env());
+        break;
+      }
+      case 'snare': {
+        const noise = noiseAt(pink, n.time);
+        const env = hitEnvelope(sr, patch.snareDecay);
+        addVoice(L, R, sr, n.time, patch.snareDecay * 1.5, 0, v * dbToGain(-3), t=> noise(t) * env());
+        break;
+      }
+      case 'crash': case 'ride': case 'china': {
+        const { freq, decay, hp } = CYMBALS[n.voice];
+        const partials = METAL_RATIOS.map(r=> ({ osc: oscillator('square', sr), freq: freq * r }));
+        const filter = biquad(sr, 'highpass', hp);
+        const env = envelope(sr, n.dur, { attack: 0.001, decay, sustain: 0, release: 0.4 });
+        addVoice(L, R, sr, n.time, Math.min(n.dur, decay) + 0.4, 0, v * dbToGain(-14) / 3, ()=>{
+          let x = 0;
+          for(const p of partials) x += p.osc.next(p.freq);
+          return filter.run(x) * env();
+        });
+        break;
+      }
+      default: {
+        const decay = n.voice === 'openHat' ? 0.35 : 0.08;
+        const noise = noiseAt(white, n.time);
+        const filter = biquad(sr, 'highpass', 7000);
+        const env = hitEnvelope(sr, decay);
+        addVoice(L, R, sr, n.time, decay * 1.5, 0, v, t=> filter.run(noise(t)) * env());
+      }
+    }
+  }
+}
+
+function renderBass(notes, L, R, { sampleRate: sr, patch }){
+  const amp = { attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.3 };
+  const sweep = { attack: 0.01, decay: 0.15, sustain: 0.3, release: 0.1 };
+  for(const n of notes){
+    const osc = oscillator(patch.osc, sr);
+    const filters = [biquad(sr, 'lowpass', patch.cutoff, 1), biquad(sr, 'lowpass', patch.cutoff, 1)];
+    const freq = midiToHz(n.midis[0]);
+    const env = envelope(sr, n.dur, amp), filterEnv = envelope(sr, n.dur, sweep);
+    let frame = 0;
+    addVoice(L, R, sr, n.time, n.dur + amp.release * 1.5, 0, n.vel * 0.8, ()=>{
+      const cutoff = patch.cutoff * Math.pow(2, 3 * filterEnv());
+      if(frame++ % 32 === 0) for(const f of filters) f.set(cutoff);
+      return filters[1].run(filters[0].run(osc.next(freq))) * env();
+    });
+  }
+  for(const ch of [L, R]){
+    saturate(ch, patch.drive);
+    for(let i=0;i<ch.length;i++) ch[i] *= 0.35;
+  }
+}
+
+function renderChords(notes, L, R, { sampleRate: sr, patch }){
+  const amp = { attack: 0.08, decay: 0.2, sustain: 0.7, release: 0.4 };
+  for(const n of notes){
+    for(const m of n.midis){
+      const osc = oscillator(patch.osc, sr);
+      const freq = midiToHz(m);
+      const env = envelope(sr, n.dur, amp);
+      addVoice(L, R, sr, n.time, n.dur + amp.release * 1.5, 0, n.vel * 0.25, ()=> osc.next(freq) * env());
+    }
+  }
+  for(const ch of [L, R]){
+    saturate(ch, patch.drive * 0.5);
+    filterInPlace(ch, biquad(sr, 'lowpass', 3200));
+  }
+  const space = [schroeder(L, sr, 0.7), schroeder(R, sr, 0.7, 0.2, 23)];
+  const g = dbToGain(-10);
+  for(let i=0;i<L.length;i++){
+    L[i] = (L[i] + space[0][i] * patch.space) * g;
+    R[i] = (R[i] + space[1][i] * patch.space) * g;
+  }
+  panStereo(L, R, -0.12);
+}
+
+/** Double-tracked: two detuned takes panned left and right, each through its own amp and cab */
+function renderGuitar(notes, L, R, { sampleRate: sr, patch }){
+  const amp = { attack: 0.003, decay: 0.09, sustain: 0.3, release: 0.06 };
+  const takes = [new Float32Array(L.length), new Float32Array(L.length)];
+  for(const n of notes){
+    takes.forEach((take, side)=>{
+      const cents = side ? patch.detune : -patch.detune;
+      for(const m of n.midis){
+        const osc = oscillator('sawtooth', sr);
+        const freq = midiToHz(m + cents / 100);
+        const env = envelope(sr, n.dur, amp);
+        addVoice(take, take, sr, n.time, n.dur + amp.release * 1.5, 0, n.vel * 0.3, ()=> osc.next(freq) * env());
+      }
+    });
+  }
+  [-0.7, 0.7].forEach((pan, side)=>{
+    const take = takes[side];
+    saturate(take, patch.gain);
+    filterInPlace(take, biquad(sr, 'lowpass', patch.cab, 0.6));
+    const [gl, gr] = panGains(pan);
+    // both addVoice sides landed in `take`, so undo the centre pan's +3 dB
+    const g = dbToGain(-10) * Math.SQRT1_2;
+    for(let i=0;i<L.length;i++){ L[i] += take[i] * gl * g; R[i] += take[i] * gr * g; }
+  });
+}
+
+function renderLead(notes, L, R, { sampleRate: sr, patch }){
+  const amp = { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.25 };
+  const sweep = { attack: 0.01, decay: 0.1, sustain: 0.2, release: 0.2 };
+  for(const n of notes){
+    const osc = oscillator(patch.osc, sr);
+    const filter = biquad(sr, 'lowpass', 600);
+    const freq = midiToHz(n.midis[0]);
+    const env = envelope(sr, n.dur, amp), filterEnv = envelope(sr, n.dur, sweep);
+    let frame = 0;
+    addVoice(L, R, sr, n.time, n.dur + amp.release * 1.5, 0.14, n.vel * dbToGain(-6) * 2, t=>{
+      const cutoff = 600 * Math.pow(2, 3 * filterEnv());
+      if(frame++ % 32 === 0) filter.set(cutoff);
+      const vibrato = Math.pow(2, patch.vibrato * Math.sin(TWO_PI * 6 * t) / 12);
+      return filter.run(osc.next(freq * vibrato)) * env();
+    });
+  }
+  feedbackDelay(L, sr, 0.22, patch.delay);
+  feedbackDelay(R, sr, 0.22, patch.delay);
+}
+
+/** Guide vocal: a saw through three band-pass formants set to each syllable's vowel; harsh notes growl an octave down */
+function renderVocals(notes, L, R, { sampleRate: sr, patch }){
+  const amp = { attack: 0.04, decay: 0.1, sustain: 0.85, release: 0.12 };
+  for(const n of notes){
+    const osc = oscillator('sawtooth', sr);
+    const bands = n.formants.map((f, i)=> ({ filter: biquad(sr, 'bandpass', f, 9 - i*2), gain: [1, 0.5, 0.25][i] }));
+    const freq = midiToHz(n.midis[0] - (n.harsh ? 12 : 0));
+    const k = 1 + patch.growl * 20;
+    const env = envelope(sr, n.dur, amp);
+    addVoice(L, R, sr, n.time, n.dur + amp.release * 1.5, 0, n.vel * dbToGain(-4) * 2, t=>{
+      const x = osc.next(freq * Math.pow(2, patch.vibrato * Math.sin(TWO_PI * 5.5 * t) / 12));
+      let y = 0;
+      for(const b of bands) y += b.filter.run(x) * b.gain;
+      return (n.harsh ? Math.tanh(y * k) / Math.tanh(k) : y) * env();
+    });
+  }
+}
+
+/** Detuned saw pads: three voices per note spread across the stereo field, low-passed and delayed */
+function renderAmbient(notes, L, R, { sampleRate: sr, patch, secPerBeat }){
+  for(const n of notes){
+    const attack = n.kind === 'swell' ? n.dur : n.kind === 'drone' ? Math.min(n.dur / 2, 4 * secPerBeat) : Math.min(n.dur / 2, 1.5);
+    const env = { attack, decay: 0.5, sustain: 0.9, release: n.kind === 'swell' ? 0.03 : 1.5 };
+    const curve = n.kind === 'swell' ? 2 : 1;
+    for(const m of n.midis){
+      [-1, 0, 1].forEach(spread=>{
+        const osc = oscillator('sawtooth', sr, (spread + 1) / 3);
+        const freq = midiToHz(m + spread * patch.detune / 100);
+        const level = envelope(sr, n.dur, env, curve);
+        addVoice(L, R, sr, n.time, n.dur + env.release * 1.5, spread * 0.5, n.vel * 0.3, ()=> osc.next(freq) * level());
+      });
+    }
+  }
+  const g = dbToGain(-10);
+  for(const ch of [L, R]){
+    filterInPlace(ch, biquad(sr, 'lowpass', patch.cutoff));
+    feedbackDelay(ch, sr, 0.27, patch.delay);
+    for(let i=0;i<ch.length;i++) ch[i] *= g;
+  }
+}
+
+/** Walk `notes` once, calling onProgress(fraction) about every 2% of them */
+function* tracked(notes, onProgress){
+  const step = Math.max(1, Math.ceil(notes.length / 50));
+  for(let i=0;i<notes.length;i++){
+    if(i % step === 0) onProgress(i / notes.length);
+    yield notes[i];
+  }
+}
+
+const LANE_RENDERERS = { drums: renderDrums, bass: renderBass, chords: renderChords, guitar: renderGuitar, lead: renderLead, vocals: renderVocals, ambient: renderAmbient };
+
+/**
+ * Render one lane's notes to a stereo buffer.
+ * @param {string} lane
+ * @param {Array<{time:number, dur:number, vel:number, midis:number[], voice?:string, kind?:string, formants?:number[], harsh?:boolean}>} notes
+ * @param {{seconds:number, sampleRate:number, patch:Object, rng:() => number, secPerBeat:number, startFrame?:number, onProgress?:(fraction:number) => void}} opts
+ *        `startFrame` is the song frame at the buffer start (0 for a whole-song render)
+ * @returns {SampleBuffer|AudioBuffer}
+ */
+export function renderLane(lane, notes, opts){
+  const out = createBuffer({ length: Math.max(1, Math.ceil(opts.seconds * opts.sampleRate)), sampleRate: opts.sampleRate, numberOfChannels: 2 });
+  if(!LANE_RENDERERS[lane]) throw new Error(`Unknown lane: ${lane}`);
+  LANE_RENDERERS[lane](opts.onProgress ? tracked(notes, opts.onProgress) : notes, out.getChannelData(0), out.getChannelData(1), opts);
+  opts.onProgress?.(1);
+  return out;
+}
+
+/** Channel strips only: each buffer at its gain and pan, summed at the mix bus level, with no sends or bus processing */
+export function sumChannels(channels, length, sampleRate){
+  const out = createBuffer({ length, sampleRate, numberOfChannels: 2 });
+  const L = out.getChannelData(0), R = out.getChannelData(1);
+  for(const { buffer, gain, pan } of channels){
+    const src = [0, 1].map(c=> buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1)).slice(0, length));
+    for(let i=0;i<src[0].length;i++){ src[0][i] *= gain * 0.9; src[1][i] *= gain * 0.9; }
+    panStereo(src[0], src[1], pan);
+    for(let i=0;i<src[0].length;i++){ L[i] += src[0][i]; R[i] += src[1][i]; }
+  }
+  return out;
+}
+
+/**
+ * Channel strips -> mix bus (x0.9) with a reverb send -> glue compressor -> 3-band EQ. Limiting
+ * is left to the caller, as with the Web Audio mix.
+ * @param {Array<{buffer:AudioBuffer|SampleBuffer, gain:number, pan:number, send:number}>} channels - audible strips, linear gain
+ * @param {{glue:{threshold:number, ratio:number}, eq:{low:number, mid:number, high:number}}} master
+ * @param {number} length
+ * @param {number} sampleRate
+ */
+export function mixChannels(channels, master, length, sampleRate){
+  const out = createBuffer({ length, sampleRate, numberOfChannels: 2 });
+  const L = out.getChannelData(0), R = out.getChannelData(1);
+  const sends = channels.some(c=> c.send > 0) ? [new Float32Array(length), new Float32Array(length)] : null;
+  for(const { buffer, gain, pan, send } of channels){
+    const src = [0, 1].map(c=> buffer.getChannelData(Math.min(c, buffer.numberOfChannels - 1)).slice(0, length));
+    const n = src[0].length;
+    for(let i=0;i<n;i++){ src[0][i] *= gain; src[1][i] *= gain; }
+    panStereo(src[0], src[1], pan);
+    for(let i=0;i<n;i++){
+      L[i] += src[0][i]; R[i] += src[1][i];
+      if(sends && send > 0){ sends[0][i] += src[0][i] * send; sends[1][i] += src[1][i] * send; }
+    }
+  }
+  if(sends){
+    const wet = [schroeder(sends[0], sampleRate), schroeder(sends[1], sampleRate, 0.84, 0.2, 23)];
+    for(let i=0;i<length;i++){ L[i] += wet[0][i]; R[i] += wet[1][i]; }
+  }
+  for(let i=0;i<length;i++){ L[i] *= 0.9; R[i] *= 0.9; }
+  compress(L, R, sampleRate, master.glue);
+  for(const [type, freq, gain] of [['lowshelf', 120, master.eq.low], ['peaking', 1000, master.eq.mid], ['highshelf', 8000, master.eq.high]]){
+    if(!gain) continue;
+    filterInPlace(L, biquad(sampleRate, type, freq, 0.7, gain));
+    filterInPlace(R, biquad(sampleRate, type, freq, 0.7, gain));
+  }
+  return out;
+}
@@ -0,0 +1,84 @@
+/**
+ * Lyrics (ESM)
+ * ------------
+ * Lyric text for the vocals lane. Splits user lyrics into lines of sung syllables and writes
+ * placeholder lyrics from a small word bank when a section has none. Syllables come from a
+ * spelling heuristic (vowel groups, silent final e); hyphens in the text ("burn-ing") override it.
+ * Syllables that continue a word end in '-', the usual convention for MIDI lyric events.
+ *
+ * Usage:
+ *   import { lyricLines, generateLyrics } from './lyrics.js';
+ *   lyricLines('Burning skies / we rise')  // [['Burn-','ing','skies'], ['we','rise']]
+ */
+
+const NOUNS = ['fire','ashes','signal','iron','shadow','horizon','silence','ember','storm','static','glass','machine','ocean','ruin','wire','heart','night','light','void','crown'];
+const VERBS = ['burn','break','rise','fall','bleed','run','scream','drown','shine','wake','hold','fade'];
+const ADJECTIVES = ['hollow','broken','electric','endless','silent','burning','frozen','golden','restless','ashen'];
+
+/** Line templates per section role; roles without their own use the verse set */
+const TEMPLATES = {
+  verse: ['{adj} {noun} in my {noun}', 'we {verb} through the {noun}', 'every {noun} turns to {noun}', 'I {verb} where the {noun} {verb}s', 'under {adj} {noun}'],
+  pre: ['can you feel it {verb}', 'one more {noun} to {verb}', 'the {noun} is calling'],
+  chorus: ['{verb} {verb}, {adj} {noun}', 'we are the {noun}', '{verb} into the {noun}', 'never {verb} again', '{adj} {noun}, {verb} with me'],
+  bridge: ['if the {noun} should {verb}', 'all the {adj} {noun}', 'let it {verb}'],
+  intro: ['oh', '{adj} {noun}'],
+  outro: ['{verb} away', 'oh'],
+};
+
+/** Consonant pairs that can start a syllable together ("ta-ble", "elec-tric") */
+const ONSETS = ['bl','br','cl','cr','dr','fl','fr','gl','gr','pl','pr','tr'];
+
+/** Split one word into syllables */
+export function syllables(word){
+  if(word.includes('-')) return word.split('-').filter(Boolean);
+  const lower = word.toLowerCase();
+  const groups = [];
+  for(const m of lower.matchAll(/[aeiouy]+/g)) groups.push({ start: m.index, end: m.index + m[0].length });
+  // a silent final e ("fire", "rise") is not a syllable, but "-le" ("table") is
+  const last = groups[groups.length-1];
+  if(groups.length > 1 && last.start === lower.length-1 && lower.endsWith('e') && !/[^aeiouy]le$/.test(lower)) groups.pop();
+  if(groups.length <= 1) return [word];
+  // the consonants between two vowel groups: the last one (or an onset pair like 'tr') starts the next syllable
+  const cuts = groups.slice(1).map((g, i)=>{
+    const units = lower.slice(groups[i].end, g.start).match(/ch|sh|th|ph|wh|./g) || [];
+    if(units.length <= 1) return groups[i].end;
+    const pair = units.slice(-2).join('');
+    return g.start - (ONSETS.includes(pair) ? pair.length : units[units.length-1].length);
+  });
+  return [0, ...cuts].map((from, i)=> word.slice(from, cuts[i] ?? word.length));
+}
+
+/**
+ * Lyric text -> lines of syllables. Lines break on newlines or '/'; punctuation other than
+ * apostrophes and hyphens is dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function lyricLines(text){
+  return String(text || '').split(/[\n/]+/).map(line=>{
+    const out = [];
+    for(const word of line.replace(/[^\p{L}\p{N}'\s-]/gu, ' ').split(/\s+/).filter(Boolean)){
+      const parts = syllables(word);
+      parts.forEach((s, i)=> out.push(i < parts.length-1 ? `${s}-` : s));
+    }
+    return out;
+  }).filter(line=> line.length);
+}
+
+/**
+ * Placeholder lyrics for a section: `lines` lines from the role's templates, lines joined by ' / '.
+ * Choruses repeat their first line as a hook (A B A C).
+ * @param {() => number} rng
+ * @param {string} role
+ * @param {number} lines
+ * @returns {string}
+ */
+export function generateLyrics(rng, role, lines){
+  const pick = list=> list[Math.floor(rng() * list.length)];
+  const templates = TEMPLATES[role] || TEMPLATES.verse;
+  const line = ()=> pick(templates).replace(/\{(\w+)\}/g, (_, slot)=> pick(slot === 'noun' ? NOUNS : slot === 'verb' ? VERBS : ADJECTIVES));
+  const out = [];
+  const hook = role === 'chorus' ? line() : null;
+  for(let i=0; i<Math.max(1, lines); i++) out.push(hook && i % 2 === 0 ? hook : line());
+  return out.join(' / ');
+}
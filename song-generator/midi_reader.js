@@ -0,0 +1,171 @@
+/**
+ * MIDI reader (ESM)
+ * -----------------
+ * Parses Standard MIDI Files (Type 0 and 1) into plain objects: notes paired into
+ * {tick, dur} spans per track, plus the conductor data the generator cares about
+ * (tempo map, time signatures, key signature, markers). Timing stays in ticks; divide
+ * by `ppq` for quarter-note beats.
+ * Truncated or malformed files, and SMPTE timing, throw an Error whose message starts with 'parseMidi:'.
+ *
+ * Usage:
+ *   import { parseMidi } from './midi_reader.js';
+ *   const midi = parseMidi(await file.arrayBuffer());
+ *   midi.tracks[1].notes  // [{tick, dur, channel, midi, vel}, ...]
+ */
+
+/**
+ * @typedef {Object} MidiNote
+ * @property {number} tick
+ * @property {number} dur      // ticks
+ * @property {number} channel  // 0-based, 9 = GM drums
+ * @property {number} midi
+ * @property {number} vel
+ * @property {string} [lyric]  // lyric meta (0x05) at the note's start tick, if any
+ */
+
+/**
+ * @typedef {Object} MidiTrack
+ * @property {string} name          // track-name meta (0x03), '' when absent
+ * @property {number|null} program  // first program change
+ * @property {MidiNote[]} notes     // sorted by tick
+ * @property {Array<{tick:number, text:string}>} lyrics  // lyric metas (0x05)
+ */
+
+/**
+ * @typedef {Object} ParsedMidi
+ * @property {0|1|2} format
+ * @property {number} ppq
+ * @property {MidiTrack[]} tracks
+ * @property {Array<{tick:number, bpm:number}>} tempos
+ * @property {Array<{tick:number, num:number, den:number}>} timeSigs
+ * @property {{sf:number, mi:0|1}|null} keySig
+ * @property {Array<{tick:number, text:string}>} markers
+ * @property {number} lengthTicks  // end of the last note or end-of-track, whichever is later
+ */
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {ParsedMidi}
+ */
+export function parseMidi(data){
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const decoder = new TextDecoder();
+  let p = 0;
+  // every read stops at the end of the current chunk, so a cut-off file throws instead of reading undefined
+  let end = bytes.length, where = 'file';
+
+  function need(n){
+    if(p + n > end) throw new Error(`parseMidi: ${where} ends early at byte ${p}`);
+  }
+  const u8 = ()=> { need(1); return bytes[p++]; };
+  const u16 = ()=> { need(2); return (bytes[p++] << 8) | bytes[p++]; };
+  const u32 = ()=> { need(4); return ((bytes[p++] << 24) | (bytes[p++] << 16) | (bytes[p++] << 8) | bytes[p++]) >>> 0; };
+  const tag = ()=> { need(4); return String.fromCharCode(bytes[p++], bytes[p++], bytes[p++], bytes[p++]); };
+  function vlq(){
+    let v = 0;
+    for(let i=0; i<4; i++){
+      const b = u8();
+      v = (v << 7) | (b & 0x7F);
+      if(!(b & 0x80)) return v;
+    }
+    throw new Error(`parseMidi: variable-length number longer than 4 bytes in ${where}`);
+  }
+  /** A data byte of a channel message; a set top bit means the message was cut short */
+  function dataByte(){
+    const b = u8();
+    if(b & 0x80) throw new Error(`parseMidi: status byte 0x${b.toString(16)} inside a message in ${where}`);
+    return b;
+  }
+
+  if(bytes.length < 14 || tag() !== 'MThd') throw new Error('parseMidi: not a Standard MIDI File');
+  const headerLen = u32();
+  if(headerLen < 6) throw new Error('parseMidi: header chunk is too short');
+  where = 'header';
+  end = Math.min(bytes.length, 8 + headerLen);
+  const format = u16();
+  const trackCount = u16();
+  const division = u16();
+  if(format > 2) throw new Error(`parseMidi: unknown format ${format}`);
+  if(division & 0x8000) throw new Error('parseMidi: SMPTE time division is not supported');
+  if(!division) throw new Error('parseMidi: zero ticks per quarter note');
+  p = 8 + headerLen;
+
+  const out = { format, ppq: division, tracks: [], tempos: [], timeSigs: [], keySig: null, markers: [], lengthTicks: 0 };
+
+  for(let t=0; t<trackCount; t++){
+    where = `track ${t + 1} of ${trackCount}`;
+    end = bytes.length;
+    const id = tag();
+    const len = u32();
+    need(len);
+    end = p + len;
+    if(id !== 'MTrk'){ p = end; t--; continue; }
+
+    const track = { name: '', program: null, notes: [], lyrics: [] };
+    const open = new Map(); // channel*128+note -> pending note-ons (FIFO)
+    let tick = 0, status = 0;
+    while(p < end){
+      tick += vlq();
+      need(1);
+      let byte = bytes[p];
+      if(byte & 0x80){ status = byte; p++; }
+      else if(!status) throw new Error(`parseMidi: running status without a status byte in ${where}`);
+
+      if(status === 0xFF){
+        const type = u8();
+        const size = vlq();
+        need(size);
+        const body = bytes.subarray(p, p + size);
+        p += size;
+        if(type === 0x03 && !track.name) track.name = decoder.decode(body);
+        else if(type === 0x05) track.lyrics.push({ tick, text: decoder.decode(body) });
+        else if(type === 0x06) out.markers.push({ tick, text: decoder.decode(body) });
+        else if(type === 0x51 && size === 3) out.tempos.push({ tick, bpm: 60000000 / ((body[0] << 16) | (body[1] << 8) | body[2]) });
+        else if(type === 0x58 && size >= 2) out.timeSigs.push({ tick, num: body[0], den: 2 ** body[1] });
+        else if(type === 0x59 && size === 2 && !out.keySig) out.keySig = { sf: body[0] > 127 ? body[0] - 256 : body[0], mi: body[1] ? 1 : 0 };
+        else if(type === 0x2F){ out.lengthTicks = Math.max(out.lengthTicks, tick); break; }
+        status = 0; // meta and sysex cancel running status
+        continue;
+      }
+      if(status === 0xF0 || status === 0xF7){
+        const size = vlq();
+        need(size);
+        p += size;
+        status = 0;
+        continue;
+      }
+      if(status > 0xF0) throw new Error(`parseMidi: status byte 0x${status.toString(16)} is not allowed in a file (${where})`);
+
+      const kind = status & 0xF0, channel = status & 0x0F;
+      const d1 = dataByte();
+      const d2 = (kind === 0xC0 || kind === 0xD0) ? 0 : dataByte();
+      if(kind === 0x90 && d2 > 0){
+        const key = channel * 128 + d1;
+        if(!open.has(key)) open.set(key, []);
+        open.get(key).push({ tick, channel, midi: d1, vel: d2 });
+      } else if(kind === 0x80 || kind === 0x90){
+        const on = open.get(channel * 128 + d1)?.shift();
+        if(on) track.notes.push({ ...on, dur: Math.max(1, tick - on.tick) });
+      } else if(kind === 0xC0 && track.program === null){
+        track.program = d1;
+      }
+    }
+    // notes never released end with the track
+    for(const pending of open.values()) for(const on of pending) track.notes.push({ ...on, dur: Math.max(1, tick - on.tick) });
+    track.notes.sort((a,b)=> a.tick-b.tick || a.midi-b.midi);
+    // each lyric belongs to the (lowest) note starting on its tick
+    for(const l of track.lyrics){
+      const note = track.notes.find(n=> n.tick === l.tick && n.lyric === undefined);
+      if(note) note.lyric = l.text;
+    }
+    for(const n of track.notes) out.lengthTicks = Math.max(out.lengthTicks, n.tick + n.dur);
+    out.tracks.push(track);
+    p = end;
+  }
+
+  const byTick = (a,b)=> a.tick-b.tick;
+  out.tempos.sort(byTick);
+  out.timeSigs.sort(byTick);
+  out.markers.sort(byTick);
+  return out;
+}
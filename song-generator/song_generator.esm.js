@@ -1,13 +1,39 @@
-import * as Tone from "tone";
+import { resolveStyle } from "./styles.js";
+import { zipFiles } from "./zip.js";
+import { parseMidi } from "./midi_reader.js";
+import { lyricLines, generateLyrics } from "./lyrics.js";
+import { createBuffer, noiseSamples, renderLane as renderLaneHeadless, mixChannels, sumChannels, NOISE_LOOP_SEC } from "./headless.js";
+
+/** Tone.js, imported on first use by the Web Audio backend so headless hosts never load it */
+let Tone = null;
 
 /**
  * Song Generator (ESM) – Songwriter Mode
  * --------------------------------------
  * A self-contained, deterministic, bar-aligned song generator for browser apps.
  * - Inputs: SessionSpec (key/mode/BPM/sections/chords/seed)
- * - Outputs: AudioBuffers for stems (drums, bass, chords, lead) + mix,
- *            WAV export (Blob) and MIDI export (Blob).
- * - Deterministic: PRNG (mulberry32) with seed; bar-level regeneration supported.
+ * - Outputs: AudioBuffers for stems (drums, bass, chords, guitar, lead, vocals, ambient) + mix,
+ *            WAV export (Blob), MIDI export (Blob) and a stems ZIP (WAVs + MIDI + session JSON).
+ * - Deterministic: PRNG (mulberry32) with seed, for the notes and for every random source in the render
+ *   (drum noise, reverb impulse); meta.renderHash fingerprints the samples. Bar-level regeneration supported.
+ * - Styles: spec.style + spec.influence pick grooves, bass patterns, feel, chugs, lead behaviour, voicing, patches and mix (styles.js).
+ * - Voicings: the chords lane is voice-led bar to bar (close/spread/drop2/power, register, voice count).
+ * - Melody: the lead develops per-role motifs into phrases; every chorus replays the same tune.
+ * - Vocals: a topline sung to each section's lyrics (or generated ones), with a formant guide vocal
+ *           and MIDI lyric events.
+ * - Ambient: drones, swelling pads and reverse swells, denser as spec.influence.ambient rises.
+ * - Humanize: groove templates (straight/shuffle/drill), ghost snares, accented velocities and seeded
+ *             micro-timing, applied to the events both the audio and the MIDI come from.
+ * - Mixer: spec.mixSettings channel strips + master glue/EQ/limiter; remix() rebalances cached stems.
+ * - MIDI import: importMidi() turns a .mid into a SessionSpec (tempo, meter, sections, chords, locked lanes).
+ * - Backends: Tone.js offline rendering in the browser; a pure-JS renderer (headless.js) where there is
+ *             no Web Audio, e.g. Node. cli.js renders specs to WAV/MIDI files from the command line.
+ * - Progress & cancel: generate/regenerate/remix take { signal, onProgress }; SongWorker (song_worker.js)
+ *             runs the same API in a Web Worker.
+ * - Render cache: generate() renders lanes in blocks of up to two bars, crossfaded at the seams, and reuses
+ *             the blocks whose inputs did not change; compose() gives events and MIDI without any audio.
+ * - Preview: preview() streams mixed blocks as they render, and seek() renders the playhead's block next.
+ * - Live mode: live() plays the song on the real-time Tone.Transport; edits, loops and seeks land on the next bar.
  *
  * Notes:
  * - This is a procedural synthesis engine to prove UX and integration.
@@ -17,9 +43,11 @@ import * as Tone from "tone";
  *   import { SongGenerator } from './song_generator.esm.js';
  *   const gen = new SongGenerator();
  *   const spec = gen.defaultSpec(); // adjust fields as needed
- *   const { stems, mix } = await gen.generate(spec);
- *   const wav = await gen.encodeWav(mix);
+ *   const result = await gen.generate(spec);
+ *   const wav = await gen.encodeWav(result.mix);
  *   // download or pass blobs up your app
+ *   const next = await gen.regenerate(result, { lane:'lead', startBar:9, bars:4 }); // re-roll one window
+ *   const louder = await gen.remix(result, { lanes: { guitar: { gain: 3 } } });    // rebalance, no re-synthesis
  */
 
 // ---------------------- Types (JSDoc for IDEs) ----------------------
@@ -28,41 +56,221 @@ import * as Tone from "tone";
  * @property {string} name
  * @property {number} bars        - integer >=1
  * @property {string} [chords]    - space or hyphen separated progression, e.g. "I V vi IV" or "C G Am F"
+ * @property {string} [lyrics]    - sung by the vocals lane; lines split on newlines or '/', one line per 2 bars.
+ *                                  Sections without lyrics get generated ones, shared by their role.
+ * @property {SectionRole} [role] - arrangement role; derived from the name when omitted
  */
 
+/** @typedef {'intro'|'verse'|'pre'|'chorus'|'break'|'bridge'|'outro'} SectionRole */
+
+/** @typedef {'drums'|'bass'|'chords'|'guitar'|'lead'|'vocals'|'ambient'} Lane */
+
 /**
  * @typedef {Object} RegenSpec
- * @property {'lead'|'chords'|'bass'|'drums'} lane
+ * @property {Lane} lane
  * @property {number} startBar  // 1-based, inclusive
  * @property {number} bars      // count
+ * @property {number} [take]    // take number; defaults to the next one for this lane/window
+ * @property {number} [seed]    // explicit seed; otherwise derived from spec seed + lane/window/take
+ */
+
+/**
+ * @typedef {'major'|'minor'|'ionian'|'dorian'|'phrygian'|'lydian'|'mixolydian'|'aeolian'|'locrian'|'harmonicMinor'|'melodicMinor'} ModeName
  */
 
 /**
  * @typedef {Object} SessionSpec
  * @property {number} seed
- * @property {string} style
+ * @property {string} style     - 'Metalcore', 'Djent', 'Nu‑Metal', 'Alt‑Prog' (see styles.js); unknown -> default sound
+ * @property {import('./styles.js').InfluenceWeights} [influence] - continuous 0..1 weights that lean the style
  * @property {string} key       - e.g., 'C', 'F#', 'Bb'
- * @property {'major'|'minor'} mode
- * @property {number} bpm
- * @property {string} ts        - currently '4/4'
+ * @property {ModeName|number[]} mode  - mode name or a 7-note scale as semitones from the tonic
+ * @property {number} bpm       - quarter notes per minute, whatever the meter
+ * @property {string} ts        - '4/4', '3/4', '5/4', '6/8', '7/8', ... (denominator-aware)
+ * @property {string|number} [tuning] - guitar tuning, e.g. 'Drop C (C G C F A D)', or the low-string MIDI note
  * @property {string} progression          - fallback progression for sections without 'chords'
  * @property {Section[]} structure
  * @property {RegenSpec} [regen]
+ * @property {TakeRef[]} [takes]   - comped takes, applied in order on top of the base seed
+ * @property {MixSettings} [mixSettings] - channel strips and master bus; missing fields use defaultMixSettings()
+ * @property {Object<Lane, Array<Object>>} [locked] - lanes played exactly as given (note events in beats) instead of composed
+ * @property {VoicingSpec} [voicing]  - chord-lane voicing; missing fields come from the style
+ * @property {MelodySpec} [melody]    - lead range and contour; missing fields come from the style
+ * @property {HumanizeSpec} [humanize] - groove template and feel amounts; missing fields come from the style
+ */
+
+/**
+ * @typedef {Object} HumanizeSpec
+ * @property {'straight'|'shuffle'|'drill'} [groove] // shuffle swings 8ths; drill plays triplet hats and rolls
+ * @property {number} [swing]      // 0 straight .. 1/3 triplet, of the template's grid; overrides the template
+ * @property {number} [timing]     // 0..1 micro-timing spread (1 = up to ~20 ms, scaled per lane)
+ * @property {number} [velocity]   // 0..1 depth of the downbeat accent curve and velocity jitter
+ * @property {number} [ghosts]     // 0..1 chance of ghost snares around each backbeat
+ */
+
+/**
+ * @typedef {Object} MelodySpec
+ * @property {number} [low]        // lowest MIDI note
+ * @property {number} [high]       // highest MIDI note (at least an octave above low)
+ * @property {number} [maxLeap]    // semitones between consecutive notes before a leap is folded back
+ * @property {'arch'|'rise'|'fall'|'wave'} [contour]
+ * @property {1|2} [motifBars]     // motif length
+ */
+
+/**
+ * @typedef {Object} VoicingSpec
+ * @property {'close'|'spread'|'drop2'|'power'} [style]
+ * @property {number} [voices]              // notes per chord, 2..6
+ * @property {[number, number]} [register]  // lowest and highest MIDI note
+ */
+
+/**
+ * @typedef {Object} ChannelStrip
+ * @property {number} gain     // dB on top of the style's balance
+ * @property {number} pan      // -1..1
+ * @property {boolean} mute
+ * @property {boolean} solo    // when any strip is soloed, only soloed strips are heard
+ * @property {number} send     // 0..1, post-fader send to the master reverb
+ */
+
+/**
+ * @typedef {Object} MixSettings
+ * @property {Object<Lane, ChannelStrip>} lanes
+ * @property {Object} master
+ * @property {{threshold:number, ratio:number}} master.glue   // bus compressor, dB / ratio
+ * @property {{low:number, mid:number, high:number}} master.eq // shelf/peak gains in dB (120 Hz / 1 kHz / 8 kHz)
+ * @property {number} master.ceiling                           // brickwall limiter ceiling, dBFS
+ */
+
+/**
+ * @typedef {Object} TakeRef
+ * @property {Lane} lane
+ * @property {number} startBar
+ * @property {number} bars
+ * @property {number} [take]    // 1-based take number for this lane/window
+ * @property {number} [seed]    // seed the window is composed with; derived from spec seed + window + take when omitted
+ */
+
+/**
+ * @typedef {Object} GenerateResult
+ * @property {Object<Lane, AudioBuffer>} stems
+ * @property {AudioBuffer} mix
+ * @property {Object} meta                           // song facts plus renderHash: a hash of the stem and mix samples
+ * @property {Object<string, Array<Object>>} events  // per-lane note events in beats (what MIDI export writes)
+ * @property {SessionSpec} spec                       // normalized spec the result was built from
+ * @property {TakeRef[]} takes                        // regen windows applied on top of the base seed
+ */
+
+/**
+ * @typedef {Object} PreviewBlock
+ * @property {number} index
+ * @property {number} startBar     // 0-based
+ * @property {number} bars
+ * @property {number} startSec     // where the block starts in the song; it fades out over the first 10 ms of the next block
+ * @property {number} endSec       // where the next block starts
+ * @property {AudioBuffer} buffer  // the block's lanes through their strips (gain, pan, mute/solo), tails of earlier notes included
+ * @property {number} totalSec
+ */
+
+/**
+ * @typedef {Object} LiveOptions
+ * @property {number} [countIn=1]          // metronome bars before the song
+ * @property {boolean} [metronome=false]   // click along while the song plays
+ * @property {number|null} [loop=null]     // index of a section to loop
+ * @property {number} [startBar=0]         // 0-based
+ * @property {(p: LivePosition) => void} [onBar]  // on each bar line, in time with the audio
+ * @property {() => void} [onEnd]          // the song ran out (never while looping)
+ */
+
+/**
+ * @typedef {Object} LivePosition
+ * @property {number} bar              // 0-based song bar; negative while counting in
+ * @property {number|null} section     // index of the bar's section; null while counting in
+ * @property {number} totalBars
+ * @property {number} sec              // where the bar starts in the song at the current tempo
+ * @property {number} totalSec
+ * @property {number} bpm
+ */
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {AbortSignal} [signal]                   // checked between blocks and before the mix; the call rejects with signal.reason
+ * @property {(p: RenderProgress) => void} [onProgress]
+ */
+
+/**
+ * @typedef {Object} RenderProgress
+ * @property {'render'|'mix'} stage
+ * @property {Lane} [lane]       // the lane being rendered (stage 'render')
+ * @property {number} percent    // that lane's (or the mix's) progress, 0-100
+ * @property {number} overall    // the whole call's progress, 0-100; every lane and the mix weigh the same
  */
 
 // ---------------------- Utils ----------------------
 const NOTE_TO_SEMI = {'C':0,'C#':1,'Db':1,'D':2,'D#':3,'Eb':3,'E':4,'F':5,'F#':6,'Gb':6,'G':7,'G#':8,'Ab':8,'A':9,'A#':10,'Bb':10,'B':11};
 const SEMI_TO_NOTE = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
+const SEMI_TO_FLAT = ['C','Db','D','Eb','E','F','Gb','G','Ab','A','Bb','B'];
 const MAJOR = [0,2,4,5,7,9,11];
 const MINOR = [0,2,3,5,7,8,10];
+/** Seven-note scales keyed by normalized name (lowercase letters only) */
+const MODES = {
+  major: MAJOR, ionian: MAJOR,
+  dorian: [0,2,3,5,7,9,10],
+  phrygian: [0,1,3,5,7,8,10],
+  lydian: [0,2,4,6,7,9,11],
+  mixolydian: [0,2,4,5,7,9,10],
+  minor: MINOR, aeolian: MINOR, naturalminor: MINOR,
+  locrian: [0,1,3,5,6,8,10],
+  harmonicminor: [0,2,3,5,7,8,11],
+  melodicminor: [0,2,3,5,7,9,11],
+};
+
+/** Mode name ('Phrygian', 'harmonicMinor', 'Locrian (spice)') or explicit 7-note scale -> semitone array */
+function resolveScale(mode){
+  if(Array.isArray(mode) && mode.length===7 && mode.every(Number.isFinite)) return mode.map(n=> ((n % 12) + 12) % 12);
+  const name = String(mode || 'major').replace(/\(.*\)/, '').toLowerCase().replace(/[^a-z]/g, '');
+  return MODES[name] || MAJOR;
+}
+
+/** Diatonic triad quality built on `degree` of `scale` by stacking thirds */
+function triadQuality(scale, degree){
+  const root = scale[degree];
+  const third = (scale[(degree+2) % 7] - root + 12) % 12;
+  const fifth = (scale[(degree+4) % 7] - root + 12) % 12;
+  if(third===4) return fifth===8 ? 'aug' : 'maj';
+  return fifth===6 ? 'dim' : 'min';
+}
 
-function beatsPerBarFromTs(ts){
+/**
+ * Parse a time signature. Bar lengths are in quarter-note beats (7/8 -> 3.5) and `groups`
+ * is the accent grouping in denominator units: 6/8 -> 3+3, 7/8 -> 2+2+3, 5/4 -> 2+3.
+ * @returns {{num:number, den:number, unit:number, beatsPerBar:number, groups:number[], compound:boolean}}
+ */
+function meterFromTs(ts){
   const m = /^(\d+)\/(\d+)$/.exec(ts || '4/4');
-  const top = m ? parseInt(m[1], 10) : 4;
-  return Math.max(1, top);
+  const num = m ? Math.max(1, parseInt(m[1], 10)) : 4;
+  const den = m && [1,2,4,8,16,32].includes(parseInt(m[2], 10)) ? parseInt(m[2], 10) : 4;
+  const unit = 4 / den; // quarter notes per denominator unit
+  const compound = den >= 8 && num % 3 === 0 && num > 3;
+  let groups;
+  if(compound) groups = Array(num / 3).fill(3);
+  else if(num <= 3) groups = [num];
+  else {
+    groups = Array(Math.floor(num / 2)).fill(2);
+    if(num % 2) groups[groups.length-1] = 3;
+  }
+  return { num, den, unit, beatsPerBar: num * unit, groups, compound };
+}
+
+/** Unit offsets where each accent group starts, e.g. [2,2,3] -> [0,2,4] */
+function groupStarts(groups){
+  const starts = [];
+  let u = 0;
+  for(const g of groups){ starts.push(u); u += g; }
+  return starts;
 }
 
-function createReverbBuffer(ctx, seconds=2.4, decay=3.5){
+function createReverbBuffer(ctx, rng, seconds=2.4, decay=3.5){
   const rate = ctx.sampleRate;
   const length = Math.max(1, Math.floor(seconds * rate));
   const impulse = ctx.createBuffer(2, length, rate);
@@ -70,12 +278,50 @@ function createReverbBuffer(ctx, seconds=2.4, decay=3.5){
     const ch = impulse.getChannelData(c);
     for(let i=0;i<length;i++){
       const t = i/length;
-      ch[i] = (Math.random()*2-1) * Math.pow(1-t, decay);
+      ch[i] = (rng()*2-1) * Math.pow(1-t, decay);
     }
   }
   return impulse;
 }
 
+/** Hash of the raw sample bits of a result's stems and mix: two FNV-style 32-bit lanes as 16 hex digits */
+function renderHash(stems, mix){
+  let h1 = 0x811C9DC5, h2 = 0x050C5D1F;
+  for(const buf of [...LANES.map(lane=> stems[lane]), mix]){
+    for(let c=0;c<buf.numberOfChannels;c++){
+      const data = buf.getChannelData(c);
+      const words = new Uint32Array(data.buffer, data.byteOffset, data.length);
+      h1 = Math.imul(h1 ^ words.length, 0x01000193);
+      for(let i=0;i<words.length;i++){
+        h1 = Math.imul(h1 ^ words[i], 0x01000193);
+        h2 = Math.imul(h2 ^ words[i], 0x5BD1E995);
+        h2 ^= h2 >>> 13;
+      }
+    }
+  }
+  const hex = h=> (h >>> 0).toString(16).padStart(8, '0');
+  return hex(h1) + hex(h2);
+}
+
+/**
+ * Progress callback for one call rendering `lanes` and then the mix: report(key, fraction) with a lane or 'mix'.
+ * Only whole-percent changes reach onProgress.
+ */
+function progressReporter(onProgress, lanes){
+  const done = Object.fromEntries([...lanes, 'mix'].map(key=> [key, -1]));
+  return (key, fraction)=>{
+    const percent = Math.round(clamp(fraction, 0, 1) * 100);
+    if(!onProgress || percent === done[key]) return;
+    done[key] = percent;
+    const keys = Object.keys(done);
+    const overall = Math.round(keys.reduce((sum, k)=> sum + Math.max(0, done[k]), 0) / keys.length);
+    onProgress(key === 'mix' ? { stage: 'mix', percent, overall } : { stage: 'render', lane: key, percent, overall });
+  };
+}
+
+/** Resolves on a fresh task, so abort events (and worker messages) get a turn between lanes */
+const nextTask = ()=> new Promise(resolve=> setTimeout(resolve, 0));
+
 function makeWaveshaper(ctx, amount=2.5){
   const n = 1024;
   const curve = new Float32Array(n);
@@ -101,62 +347,253 @@ function prng(seed) {
 }
 
 function clamp(x,a,b){ return Math.max(a, Math.min(b, x)); }
+
+/**
+ * Low-string MIDI note for a guitar tuning: 'Drop C (C G C F A D)', 'Drop B', 'Standard (E A D G B E)'
+ * or a MIDI number. Drop/standard tunings land between A1 (33) and E2 (40).
+ */
+function lowStringFromTuning(tuning){
+  if(Number.isFinite(tuning)) return tuning;
+  const str = String(tuning || '');
+  const m = /\(\s*([A-G][#b]?)/.exec(str) || /drop\s+([A-G][#b]?)/i.exec(str);
+  const semi = m ? NOTE_TO_SEMI[m[1].charAt(0).toUpperCase() + m[1].slice(1)] : undefined;
+  if(semi===undefined) return 36; // Drop C
+  const midi = 24 + semi;
+  return midi < 33 ? midi + 12 : midi;
+}
 function midiToFreq(m){ return 440 * Math.pow(2, (m - 69) / 12); }
 
-/** Roman numeral parser: returns {degree, quality} */
+/**
+ * Roman numeral parser: returns {accidental, degree, quality, explicit, ext}.
+ * Case gives maj/min; ° / ø / + mark an explicit dim / half-dim / aug; a leading b or #
+ * alters the root against the major scale ('bVI', 'bII'). `ext` is the rest: figures
+ * (7, maj7, 6, 64, 65, 43, 42), sus2/sus4, add9 or 5.
+ */
 function parseRomanChord(symbol){
-  let s = symbol.trim().replace(/°/g, '°');
-  const isDim = s.includes('°');
-  s = s.replace('°','');
-  const upper = s.toUpperCase();
+  const m = /^([b#♭♯]?)([IV]+|[iv]+)([°ø+]?)(.*)$/.exec(symbol.trim());
+  if(!m) return null;
   const DEG = {'I':0,'II':1,'III':2,'IV':3,'V':4,'VI':5,'VII':6};
-  const degree = DEG[upper];
-  if(degree===undefined) return null;
-  let quality = isDim ? 'dim' : (s===upper ? 'maj' : 'min');
-  return { degree, quality };
+  const numeral = m[2];
+  const degree = DEG[numeral.toUpperCase()];
+  const ext = m[4];
+  if(degree===undefined || !/^(maj7|7|65|64|6|43|42|2)?(sus2|sus4|sus)?(add9)?(5)?$/.test(ext)) return null;
+  const mark = m[3];
+  const quality = mark==='°' ? 'dim' : mark==='ø' ? 'hdim' : mark==='+' ? 'aug' : (numeral===numeral.toUpperCase() ? 'maj' : 'min');
+  const accidental = /[b♭]/.test(m[1]) ? -1 : /[#♯]/.test(m[1]) ? 1 : 0;
+  return { accidental, degree, quality, explicit: !!mark, ext };
+}
+
+/**
+ * Chord quality for a roman numeral in a scale: when the numeral's case agrees with the
+ * diatonic triad (upper = maj/aug, lower = min/dim) the diatonic quality wins, so 'i' is
+ * diminished in Locrian and 'V' is major in harmonic minor; otherwise the case is an
+ * explicit borrowing (e.g. 'V' in Aeolian).
+ */
+function romanQuality(rn, scale){
+  if(rn.explicit) return rn.quality;
+  const diatonic = triadQuality(scale, rn.degree);
+  const family = (diatonic==='maj' || diatonic==='aug') ? 'maj' : 'min';
+  return family===rn.quality ? diatonic : rn.quality;
+}
+
+const TRIAD_INTERVALS = { maj: [0,4,7], min: [0,3,7], dim: [0,3,6], hdim: [0,3,6], aug: [0,4,8] };
+
+/**
+ * Roman numeral -> {rootSemi, intervals, bassSemi} in a key. Altered numerals ('bVI') that land on
+ * a scale degree behave like that degree; others take their case. Sevenths are diatonic when the
+ * numeral is (V7 in harmonic minor is dominant), otherwise 7 = minor seventh, ° 7 = dim7, ø = m7b5.
+ * Figures 6/64 and 65/43/42 invert the chord.
+ */
+function romanToChord(rn, scale, keySemi){
+  let degree = rn.degree, diatonic = !rn.accidental;
+  const offset = ((MAJOR[rn.degree] + rn.accidental) % 12 + 12) % 12;
+  if(rn.accidental && scale.includes(offset)){ degree = scale.indexOf(offset); diatonic = true; }
+  const quality = diatonic ? romanQuality({ ...rn, degree }, scale) : rn.quality;
+  const rootOffset = diatonic ? scale[degree] : offset;
+  const intervals = TRIAD_INTERVALS[quality].slice();
+  const [, figure = '', sus = '', add9 = '', power = ''] = /^(maj7|7|65|64|6|43|42|2)?(sus2|sus4|sus)?(add9)?(5)?$/.exec(rn.ext);
+  if(['7','65','43','42','2'].includes(figure)){
+    const caseAgrees = !rn.explicit && quality===triadQuality(scale, degree);
+    intervals.push(quality==='hdim' ? 10
+      : rn.explicit && quality==='dim' ? 9
+      : diatonic && caseAgrees ? (scale[(degree+6) % 7] - rootOffset + 12) % 12
+      : 10);
+  }
+  if(figure==='maj7') intervals.push(11);
+  if(sus) intervals[1] = sus==='sus2' ? 2 : 5;
+  if(add9) intervals.push(14);
+  const rootSemi = (keySemi + rootOffset) % 12;
+  if(power) return { rootSemi, intervals: [0,7,12], bassSemi: rootSemi };
+  const inversion = { '6': 1, '65': 1, '64': 2, '43': 2, '42': 3, '2': 3 }[figure] || 0;
+  return { rootSemi, intervals, bassSemi: (rootSemi + intervals[inversion]) % 12 };
 }
 
-/** Simple chord-name parser: 'C', 'Am', 'F#maj', 'Gmin', 'Bbdim' -> {rootSemi, quality} */
+/** Chord-name suffixes -> intervals above the root */
+const CHORD_SUFFIXES = {
+  '': [0,4,7], 'M': [0,4,7], 'maj': [0,4,7], 'm': [0,3,7], 'min': [0,3,7],
+  'dim': [0,3,6], '°': [0,3,6], 'aug': [0,4,8], '+': [0,4,8],
+  '5': [0,7,12], 'sus2': [0,2,7], 'sus4': [0,5,7], 'sus': [0,5,7],
+  '6': [0,4,7,9], 'm6': [0,3,7,9], 'add9': [0,4,7,14], 'madd9': [0,3,7,14],
+  '7': [0,4,7,10], 'maj7': [0,4,7,11], 'M7': [0,4,7,11], 'm7': [0,3,7,10], 'min7': [0,3,7,10],
+  'm7b5': [0,3,6,10], 'ø': [0,3,6,10], 'ø7': [0,3,6,10], 'dim7': [0,3,6,9], '°7': [0,3,6,9],
+  '7sus4': [0,5,7,10], '9': [0,4,7,10,14], 'm9': [0,3,7,10,14],
+};
+
+function noteSemi(letter, accidental){
+  const acc = accidental.replace('♭', 'b').replace('♯', '#');
+  return NOTE_TO_SEMI[letter.toUpperCase() + acc] ?? NOTE_TO_SEMI[letter.toUpperCase()];
+}
+
+/**
+ * Chord-name parser: 'C', 'Am', 'F#maj7', 'Bm7b5', 'Dsus4', 'E5', 'Cadd9', 'C/G'
+ * -> {rootSemi, intervals, bassSemi, quality} (quality: maj|min|dim|aug|sus|power, from the triad)
+ */
 function parseNameChord(tok){
-  const m = /^([A-Ga-g])([b#]?)(maj|min|m|dim|aug|M)?(7)?$/.exec(tok.trim());
-  if(!m) return null;
-  let root = m[1].toUpperCase();
-  const accidental = m[2] || '';
-  const q = (m[3]||'').toLowerCase();
-  let quality = 'maj';
-  if(q==='m' || q==='min') quality='min';
-  else if(q==='dim') quality='dim';
-  else if(q==='aug') quality='aug';
-  const rootSemi = (NOTE_TO_SEMI[root + accidental] ?? NOTE_TO_SEMI[root]) % 12;
-  return { rootSemi, quality };
-}
-
-/** Build triad notes around C3..C5 range */
-function buildChordByDegree(degree, quality, mode, keySemi){
-  const scale = (mode==='minor') ? MINOR : MAJOR;
-  const rootSemi = (keySemi + scale[degree]) % 12;
-  let root = 48 + rootSemi; // around C3
-  let thirdInt = quality==='maj' ? 4 : (quality==='min' ? 3 : 3);
-  let fifthInt = quality==='dim' ? 6 : 7;
-  const notes = [root, root+thirdInt, root+fifthInt];
-  // Keep within 48..72
+  const m = /^([A-Ga-g])([b#♭♯]?)([^/]*)(?:\/([A-Ga-g])([b#♭♯]?))?$/.exec(tok.trim());
+  if(!m || !(m[3] in CHORD_SUFFIXES)) return null;
+  const rootSemi = noteSemi(m[1], m[2]);
+  const intervals = CHORD_SUFFIXES[m[3]].slice();
+  const bassSemi = m[4] ? noteSemi(m[4], m[5] || '') : rootSemi;
+  const third = intervals.find(i=> i===3 || i===4);
+  const fifth = intervals.find(i=> i>=6 && i<=8);
+  const quality = third===undefined ? (intervals.includes(7) && intervals.length===3 && intervals[2]===12 ? 'power' : 'sus')
+    : third===4 ? (fifth===8 ? 'aug' : 'maj') : (fifth===6 ? 'dim' : 'min');
+  return { rootSemi, intervals, bassSemi, quality };
+}
+
+/**
+ * Voice a chord around C3..C5 with its bass: {notes, root, bass, rootSemi, intervals, bassSemi}.
+ * `root` is the root in the chord register, `bass` the bass note in C2..B2. Inversions/slash chords put the bass note lowest in
+ * the voicing too: chord tones under it move up an octave, a bass outside the chord goes underneath.
+ */
+function voiceChord({ rootSemi, intervals, bassSemi = rootSemi }){
+  const root = 48 + (rootSemi % 12);
+  let notes = intervals.map(i=> root + i);
   for(let i=0;i<notes.length;i++){
     while(notes[i] > 72) notes[i] -= 12;
     while(notes[i] < 48) notes[i] += 12;
   }
-  return notes;
+  notes = [...new Set(notes)].sort((a,b)=> a-b);
+  if(bassSemi !== rootSemi){
+    const lowest = notes.find(n=> n % 12 === bassSemi);
+    if(lowest !== undefined) notes = notes.map(n=> n < lowest ? n + 12 : n).sort((a,b)=> a-b);
+    else notes.unshift(notes[0] - ((notes[0] - bassSemi) % 12 + 12) % 12);
+  }
+  return { notes, root, bass: 36 + bassSemi, rootSemi, intervals, bassSemi };
 }
 
-function buildChordByName(rootSemi, quality){
-  let root = 48 + (rootSemi % 12);
-  let thirdInt = quality==='maj' ? 4 : (quality==='min' ? 3 : 3);
-  let fifthInt = quality==='dim' ? 6 : (quality==='aug' ? 8 : 7);
-  const notes = [root, root+thirdInt, root+fifthInt];
-  for(let i=0;i<notes.length;i++){
-    while(notes[i] > 72) notes[i] -= 12;
-    while(notes[i] < 48) notes[i] += 12;
+// ---------------------- Voicing ----------------------
+/**
+ * Pitch classes for `count` voices: third and seventh first (they define the chord), then root,
+ * extensions and the fifth; short chords double the root, then the fifth.
+ */
+function chordTones(chord, count){
+  const rank = i=> i===0 ? 1 : [2,3,4,5].includes(i) ? 0 : i>=9 && i<=11 ? 0.5 : i>12 ? 2 : i===12 ? 5 : 3;
+  const byPc = new Map();
+  for(const i of chord.intervals){
+    const pc = (chord.rootSemi + i) % 12;
+    if(!byPc.has(pc) || rank(i) < rank(byPc.get(pc))) byPc.set(pc, i);
   }
-  return notes;
+  const ranked = [...byPc.entries()].sort((a,b)=> rank(a[1]) - rank(b[1]));
+  // back to chord order (root, third, fifth, ...) so stacking starts from a sensible inversion
+  const picked = ranked.slice(0, count).sort((a,b)=> a[1]-b[1]).map(([pc])=> pc);
+  const doubles = [chord.rootSemi % 12, (chord.rootSemi + 7) % 12].filter(pc=> byPc.has(pc));
+  for(let i=0; picked.length < count && doubles.length; i++) picked.push(doubles[i % doubles.length]);
+  return picked;
+}
+
+/** Close-position stack of pitch classes upward from `start` */
+function stackUp(pcs, start){
+  const out = [start];
+  for(const pc of pcs.slice(1)){
+    let n = out[out.length-1] + 1;
+    while(n % 12 !== pc) n++;
+    out.push(n);
+  }
+  return out;
+}
+
+const VOICING_SHAPES = {
+  close: notes=> notes,
+  // second voice from the top down an octave
+  drop2: notes=> notes.length < 3 ? notes : notes.map((n,i)=> i===notes.length-2 ? n-12 : n).sort((a,b)=> a-b),
+  // every other voice up an octave: open, wide voicing
+  spread: notes=> notes.map((n,i)=> i % 2 ? n+12 : n).sort((a,b)=> a-b),
+};
+
+/**
+ * Every voicing of the chord in the given style that fits the register; inversions and slash
+ * chords must keep their bass note lowest. Power stacks are root-fifth-octave-fifth...
+ */
+function voicingCandidates(chord, { style, voices, register }){
+  const [lo, hi] = register;
+  const out = [];
+  if(style === 'power'){
+    const steps = [0, 7, 12, 19, 24, 31];
+    for(let start = lo; start <= hi; start++){
+      if(start % 12 !== chord.rootSemi % 12) continue;
+      const notes = steps.slice(0, voices).map(s=> start + s);
+      if(notes[notes.length-1] <= hi) out.push(notes);
+    }
+    return out;
+  }
+  const bassPc = chord.bassSemi !== chord.rootSemi ? chord.bassSemi % 12 : null;
+  let pcs = chordTones(chord, voices);
+  if(bassPc !== null && !pcs.includes(bassPc)) pcs = [bassPc, ...pcs];
+  const shape = VOICING_SHAPES[style] || VOICING_SHAPES.close;
+  // one close stack per inversion; extra voices repeat the stack an octave up (doubling the lowest tones)
+  const distinct = [...new Set(pcs)];
+  const seen = new Set();
+  for(let r=0; r<distinct.length; r++){
+    const order = pcs.map((_, i)=> distinct[(r + i) % distinct.length]);
+    for(let start = lo - 12; start <= hi; start++){
+      if(start % 12 !== order[0]) continue;
+      const notes = shape(stackUp(order, start));
+      const key = notes.join(',');
+      if(seen.has(key) || new Set(notes).size < notes.length || notes[0] < lo || notes[notes.length-1] > hi) continue;
+      if(bassPc !== null && notes[0] % 12 !== bassPc) continue;
+      seen.add(key);
+      out.push(notes);
+    }
+  }
+  return out;
+}
+
+/** Total distance each voice of either chord has to travel to the nearest voice of the other */
+function voiceMovement(a, b){
+  const near = (n, set)=> Math.min(...set.map(m=> Math.abs(n - m)));
+  return b.reduce((t, n)=> t + near(n, a), 0) + a.reduce((t, n)=> t + near(n, b), 0);
+}
+
+/**
+ * Voice one chord after `prev`: the candidate with the least voice movement, with a small pull
+ * toward the middle of the register so progressions don't drift to an edge. The first chord sits
+ * closest to the middle. Falls back to an unconstrained register when nothing fits.
+ */
+function voiceLead(chord, voicing, prev){
+  const center = (voicing.register[0] + voicing.register[1]) / 2;
+  let candidates = voicingCandidates(chord, voicing);
+  if(!candidates.length) candidates = voicingCandidates(chord, { ...voicing, register: [24, 108] });
+  if(!candidates.length) candidates = voicingCandidates(chord, { ...voicing, style: 'close', register: [24, 108] });
+  const mean = notes=> notes.reduce((a,b)=> a+b, 0) / notes.length;
+  const cost = notes=> (prev ? voiceMovement(prev, notes) + 0.25 * Math.abs(mean(notes) - center) : Math.abs(mean(notes) - center));
+  let best = candidates[0], bestCost = Infinity;
+  for(const notes of candidates){
+    const c = cost(notes);
+    if(c < bestCost){ best = notes; bestCost = c; }
+  }
+  return best;
+}
+
+/** 'Pre‑Chorus' -> 'pre', 'Breakdown' -> 'break', 'Chorus 2' -> 'chorus'; unknown names play as verses */
+function sectionRole(name){
+  const n = String(name || '').toLowerCase();
+  if(n.startsWith('pre')) return 'pre';
+  for(const role of ['intro','verse','chorus','break','bridge','outro']){
+    if(n.includes(role)) return role;
+  }
+  if(n.includes('hook')) return 'chorus';
+  return 'verse';
 }
 
 function tokenizeProgression(prog){
@@ -164,8 +601,8 @@ function tokenizeProgression(prog){
   return prog.split(/[\s\-–—|,;]+/g).filter(Boolean);
 }
 
-/** Returns array of chord objects [{notes:[midi...]}, ...] length = bars */
-function makeHarmonyMap(structure, defaultProg, keySemi, mode){
+/** Returns array of chord objects [{notes:[midi...], root, bass}, ...] length = bars */
+function makeHarmonyMap(structure, defaultProg, keySemi, scale){
   const out = [];
   const secToProg = sec => tokenizeProgression(sec.chords || defaultProg);
 
@@ -173,36 +610,104 @@ function makeHarmonyMap(structure, defaultProg, keySemi, mode){
     const toks = secToProg(sec);
     for(let bar=0; bar<sec.bars; bar++){
       const tok = toks.length ? toks[bar % toks.length] : 'I';
-      let notes;
       const rn = parseRomanChord(tok);
-      if(rn){
-        notes = buildChordByDegree(rn.degree, rn.quality, mode, keySemi);
-      } else {
-        const cn = parseNameChord(tok);
-        if(cn){
-          notes = buildChordByName(cn.rootSemi, cn.quality);
-        } else {
-          // fallback to I
-          notes = buildChordByDegree(0, 'maj', mode, keySemi);
-        }
-      }
-      out.push({ notes });
+      // unknown symbols fall back to the diatonic tonic
+      const chord = (rn && romanToChord(rn, scale, keySemi)) || parseNameChord(tok)
+        || { rootSemi: keySemi, intervals: TRIAD_INTERVALS[triadQuality(scale, 0)] };
+      out.push(voiceChord(chord));
     }
   }
   return out;
 }
 
 // ---------------------- WAV Encoding ----------------------
-/** @param {AudioBuffer} audioBuffer @returns {Blob} */
-function encodeWav(audioBuffer){
+/**
+ * @typedef {Object} WavOptions
+ * @property {16|24|'32f'} [bitDepth=16]   - integer PCM or IEEE float
+ * @property {'tpdf'|'none'} [dither]      - defaults to 'tpdf' for 16-bit, 'none' otherwise (ignored for 32f)
+ * @property {number} [sampleRate]         - resample on export, e.g. 44100 -> 48000
+ */
+
+/** Zero-order modified Bessel function of the first kind (Kaiser window) */
+function besselI0(x){
+  let sum = 1, term = 1;
+  for(let k=1; k<50; k++){
+    term *= (x / (2*k)) * (x / (2*k));
+    sum += term;
+    if(term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+function gcd(a, b){ while(b){ [a, b] = [b, a % b]; } return a; }
+
+/**
+ * Band-limited resampler: Kaiser-windowed sinc (24 zero crossings each side, beta 9), polyphase
+ * over the reduced rate ratio so 44.1k <-> 48k uses exact phases (160/147). The cutoff sits just
+ * under the lower of the two Nyquists.
+ * @param {Float32Array[]} channels
+ * @returns {Float32Array[]}
+ */
+function resampleChannels(channels, fromRate, toRate){
+  if(fromRate === toRate) return channels;
+  const g = gcd(Math.round(fromRate), Math.round(toRate));
+  const up = Math.round(toRate) / g, down = Math.round(fromRate) / g;
+  const phases = Math.min(up, 4096);
+  const cutoff = 0.96 * Math.min(1, up / down);   // relative to the input Nyquist
+  const half = Math.ceil(24 / cutoff);             // taps each side, in input samples
+  const beta = 9, i0beta = besselI0(beta);
+  const table = new Float32Array(phases * 2 * half);
+  for(let p=0; p<phases; p++){
+    for(let i=0; i<2*half; i++){
+      const x = p / phases + half - 1 - i;         // distance from the output position to tap i
+      const r = x / half;
+      const w = Math.abs(r) < 1 ? besselI0(beta * Math.sqrt(1 - r*r)) / i0beta : 0;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+      table[p * 2 * half + i] = cutoff * sinc * w;
+    }
+  }
+  const inLen = channels[0].length;
+  const outLen = Math.round(inLen * up / down);
+  return channels.map(src=>{
+    const out = new Float32Array(outLen);
+    for(let j=0; j<outLen; j++){
+      const num = j * down;
+      const base = Math.floor(num / up);
+      const p = Math.floor((num % up) * phases / up);
+      const row = p * 2 * half;
+      let acc = 0;
+      for(let i=0, k=base-half+1; i<2*half; i++, k++){
+        if(k >= 0 && k < inLen) acc += src[k] * table[row + i];
+      }
+      out[j] = acc;
+    }
+    return out;
+  });
+}
+
+/**
+ * @param {AudioBuffer} audioBuffer
+ * @param {WavOptions} [opts]
+ * @returns {Blob}
+ */
+function encodeWav(audioBuffer, opts = {}){
+  const bitDepth = opts.bitDepth === '32f' || opts.bitDepth === 32 ? '32f' : opts.bitDepth === 24 ? 24 : 16;
+  const float = bitDepth === '32f';
+  const dither = !float && (opts.dither ?? (bitDepth === 16 ? 'tpdf' : 'none')) === 'tpdf';
   const numChan = audioBuffer.numberOfChannels;
-  const sampleRate = audioBuffer.sampleRate;
-  const numFrames = audioBuffer.length;
-  const bytesPerSample = 2;
+  const sampleRate = Math.round(opts.sampleRate || audioBuffer.sampleRate);
+  let channels = [];
+  for(let c=0;c<numChan;c++) channels.push(audioBuffer.getChannelData(c));
+  channels = resampleChannels(channels, audioBuffer.sampleRate, sampleRate);
+  const numFrames = channels[0].length;
+  const bytesPerSample = float ? 4 : bitDepth / 8;
   const blockAlign = numChan * bytesPerSample;
   const byteRate = sampleRate * blockAlign;
   const dataSize = numFrames * blockAlign;
-  const buffer = new ArrayBuffer(44 + dataSize);
+  const fmtSize = float ? 18 : 16;
+  const factSize = float ? 12 : 0;    // non-PCM formats carry a 'fact' chunk with the frame count
+  const headerSize = 12 + 8 + fmtSize + factSize + 8;
+  const buffer = new ArrayBuffer(headerSize + dataSize);
   const view = new DataView(buffer);
   let offset = 0;
 
@@ -210,20 +715,29 @@ function encodeWav(audioBuffer){
   function u16(v){ view.setUint16(offset, v, true); offset+=2; }
   function u32(v){ view.setUint32(offset, v, true); offset+=4; }
 
-  writeString('RIFF'); u32(36 + dataSize); writeString('WAVE');
-  writeString('fmt '); u32(16); u16(1); u16(numChan);
-  u32(sampleRate); u32(byteRate); u16(blockAlign); u16(16);
+  writeString('RIFF'); u32(headerSize - 8 + dataSize); writeString('WAVE');
+  writeString('fmt '); u32(fmtSize); u16(float ? 3 : 1); u16(numChan);
+  u32(sampleRate); u32(byteRate); u16(blockAlign); u16(float ? 32 : bitDepth);
+  if(float){ u16(0); writeString('fact'); u32(4); u32(numFrames); }
   writeString('data'); u32(dataSize);
 
-  // interleave
-  const channels = [];
-  for(let c=0;c<numChan;c++) channels.push(audioBuffer.getChannelData(c));
+  // interleave; integer formats quantize with optional TPDF dither (+-1 LSB triangular, fixed seed)
+  const full = float ? 1 : Math.pow(2, bitDepth - 1);
+  const rng = prng(0xD1781);
   for(let i=0;i<numFrames;i++){
     for(let c=0;c<numChan;c++){
       let s = channels[c][i];
-      s = Math.max(-1, Math.min(1, s));
-      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-      offset += 2;
+      if(float){
+        view.setFloat32(offset, s, true);
+        offset += 4;
+        continue;
+      }
+      s = Math.max(-1, Math.min(1, s)) * (full - 1);
+      if(dither) s += rng() - rng();
+      const q = Math.max(-full, Math.min(full - 1, Math.round(s)));
+      if(bitDepth === 16) view.setInt16(offset, q, true);
+      else { view.setUint8(offset, q & 0xFF); view.setUint8(offset+1, (q >> 8) & 0xFF); view.setUint8(offset+2, (q >> 16) & 0xFF); }
+      offset += bytesPerSample;
     }
   }
   return new Blob([buffer], { type: 'audio/wav' });
@@ -231,21 +745,28 @@ function encodeWav(audioBuffer){
 
 // ---------------------- MIDI Writer (Type-0 multi-track feel using meta, or Type-1 minimal) ----------------------
 /**
- * Minimal MIDI writer (Type 1) with 4 tracks: drums (ch10), bass (ch1), chords (ch2), lead (ch3)
+ * Minimal MIDI writer (Type 1): a conductor track (tempo map, meter map, key, markers) plus one
+ * named track per lane. All positions are in quarter-note beats.
  * @param {Object} params
- * @param {number} params.bpm
- * @param {Array<Object>} drumEvents   // [{startBeat, durBeats, note(=36 or 38 or 42), vel}]
- * @param {Array<Object>} bassEvents   // [{startBeat, durBeats, midi, vel}]
- * @param {Array<Object>} chordEvents  // [{startBeat, durBeats, midis:[...], vel}]
- * @param {Array<Object>} leadEvents   // [{startBeat, durBeats, midi, vel}]
+ * @param {number} params.bpm                              // tempo at beat 0 unless `tempos` sets one there
+ * @param {{num:number, den:number, compound?:boolean}} [params.timeSig]  // meter at beat 0 unless `timeSigs` sets one, defaults to 4/4
+ * @param {Array<{beat:number, bpm:number}>} [params.tempos]             // tempo changes, in any order
+ * @param {Array<{beat:number, num:number, den:number, compound?:boolean}>} [params.timeSigs]  // meter changes, in any order
+ * @param {{sf:number, mi:0|1}} [params.keySig]            // sharps (+) / flats (-), major 0 / minor 1
+ * @param {Array<{beat:number, text:string}>} [params.markers]
+ * @param {string} [params.name]                           // sequence name on the conductor track
+ * @param {Array<{name?:string, channel:number, program?:number, events:Array<Object>}>} params.tracks
+ *        events: [{startBeat, durBeats, midi | midis:[...] | note (drums), vel, lyric?}]; `lyric` is
+ *        written as a lyric meta event (0x05) at the note-on
  * @param {number} [ppq=480]
  * @returns {Blob}
  */
-function writeMidi({ bpm, drumEvents, bassEvents, chordEvents, leadEvents, ppq = 480 }){
-  const tracks = [];
-  const tempoUsPerQ = Math.floor(60000000 / bpm);
+function writeMidi({ bpm, timeSig = { num:4, den:4 }, tempos, timeSigs, keySig, markers = [], name, tracks: laneTracks, ppq = 480 }){
+  const text = str=> Array.from(new TextEncoder().encode(String(str)));
 
   function vlq(n){
+    // a negative delta would never shift down to zero
+    if(!Number.isInteger(n) || n < 0) throw new RangeError(`writeMidi: invalid delta ${n}`);
     const bytes = [];
     let buffer = n & 0x7F;
     while((n >>= 7)){
@@ -260,62 +781,87 @@ function writeMidi({ bpm, drumEvents, bassEvents, chordEvents, leadEvents, ppq =
   }
 
   function pushMeta(trk, delta, type, data){
-    trk.push(...vlq(delta), 0xFF, type, data.length, ...data);
+    trk.push(...vlq(delta), 0xFF, type, ...vlq(data.length), ...data);
   }
   function pushEvent(trk, delta, status, data1, data2){
     trk.push(...vlq(delta), status, data1, data2);
   }
 
   function programChangeTrack(ch, program){
-    const trk = [];
-    pushEvent(trk, 0, 0xC0 | ch, program, 0);
-    return trk;
+    return [...vlq(0), 0xC0 | ch, program]; // program change carries a single data byte
   }
 
-  function buildNoteTrack(ch, events){
-    const trk = [];
-    // tempo at start (only once in track 0; we'll place meta in track 0 later)
-    // sort by start
+  function buildNoteTrack(ch, events, trk = []){
     const notes = [];
+    const lyrics = [];
     for(const e of events){
-      const onTick = Math.round(e.startBeat * ppq);
-      const offTick = Math.round((e.startBeat + e.durBeats) * ppq);
+      // humanized notes can push a hair ahead of beat 0
+      const onTick = Math.max(0, Math.round(e.startBeat * ppq));
+      const offTick = Math.max(0, Math.round((e.startBeat + e.durBeats) * ppq));
+      if(e.lyric) lyrics.push({ tick: onTick, data: text(e.lyric) });
       if(Array.isArray(e.midis)){
         for(const m of e.midis){
           notes.push({onTick, offTick, midi:m, vel:e.vel ?? 96});
         }
       } else {
-        notes.push({onTick, offTick, midi:e.midi, vel:e.vel ?? 96});
+        notes.push({onTick, offTick, midi:e.midi ?? e.note, vel:e.vel ?? 96});
       }
     }
-    notes.sort((a,b)=>a.onTick-b.onTick || a.offTick-b.offTick);
+    // overlapping notes (chords, ringing hats) -> flatten to absolute on/off ticks;
+    // on ties: offs, then the lyric, then ons
+    const msgs = [];
+    for(const n of notes){
+      msgs.push({ tick: n.onTick, order: 2, status: 0x90 | ch, midi: n.midi, vel: n.vel });
+      msgs.push({ tick: Math.max(n.onTick + 1, n.offTick), order: 0, status: 0x80 | ch, midi: n.midi, vel: 0x40 });
+    }
+    for(const l of lyrics) msgs.push({ tick: l.tick, order: 1, data: l.data });
+    msgs.sort((a,b)=> a.tick-b.tick || a.order-b.order);
 
     let lastTick = 0;
-    for(const n of notes){
-      let delta = n.onTick - lastTick;
-      pushEvent(trk, delta, 0x90 | ch, n.midi, n.vel);
-      lastTick = n.onTick;
-      delta = n.offTick - lastTick;
-      pushEvent(trk, delta, 0x80 | ch, n.midi, 0x40);
-      lastTick = n.offTick;
+    for(const m of msgs){
+      if(m.data) pushMeta(trk, m.tick - lastTick, 0x05, m.data);
+      else pushEvent(trk, m.tick - lastTick, m.status, m.midi, m.vel);
+      lastTick = m.tick;
     }
     // end of track
     pushMeta(trk, 0, 0x2F, []);
     return trk;
   }
 
-  // Track 0: tempo & markers
+  // Track 0 (conductor): name, key, tempo map, meter map and section markers, in tick order
+  const metas = [];
+  const at = beat=> Math.round(beat * ppq);
+  if(name) metas.push({ tick: 0, type: 0x03, data: text(name) });
+  if(keySig) metas.push({ tick: 0, type: 0x59, data: [keySig.sf & 0xFF, keySig.mi ? 1 : 0] });
+  const tempoMap = tempos?.some(t=> t.beat <= 0) ? tempos : [{ beat: 0, bpm }, ...(tempos || [])];
+  const meterMap = timeSigs?.some(ts=> ts.beat <= 0) ? timeSigs : [{ beat: 0, ...timeSig }, ...(timeSigs || [])];
+  for(const t of tempoMap){
+    const us = Math.floor(60000000 / t.bpm);
+    metas.push({ tick: at(t.beat), type: 0x51, data: [(us>>16)&0xFF, (us>>8)&0xFF, us&0xFF] });
+  }
+  for(const ts of meterMap){
+    // denominator as a power of two; metronome clicks per felt beat (dotted quarter in compound meters)
+    const clocksPerClick = Math.round(24 * 4 / ts.den * (ts.compound ? 3 : 1));
+    metas.push({ tick: at(ts.beat), type: 0x58, data: [ts.num, Math.round(Math.log2(ts.den)), clocksPerClick, 8] });
+  }
+  for(const m of markers) metas.push({ tick: at(m.beat), type: 0x06, data: text(m.text) });
+  metas.sort((a,b)=> a.tick-b.tick); // stable: name/key/tempo/meter before markers on the same tick
+
   const trk0 = [];
-  // tempo
-  pushMeta(trk0, 0, 0x51, [ (tempoUsPerQ>>16)&0xFF, (tempoUsPerQ>>8)&0xFF, tempoUsPerQ&0xFF ]);
-  pushMeta(trk0, 0, 0x58, [4,2,24,8]); // time signature 4/4
+  let lastTick = 0;
+  for(const m of metas){
+    pushMeta(trk0, m.tick - lastTick, m.type, m.data);
+    lastTick = m.tick;
+  }
   pushMeta(trk0, 0, 0x2F, []);
 
-  // Other tracks: set programs + notes
-  const trkDrums = buildNoteTrack(9, drumEvents.map(d=>({startBeat:d.startBeat, durBeats:d.durBeats, midi:d.note, vel:d.vel??90})));
-  const trkBass  = programChangeTrack(0, 33).concat( buildNoteTrack(0, bassEvents) );   // 33 Fingered Bass
-  const trkChrd  = programChangeTrack(1, 48).concat( buildNoteTrack(1, chordEvents) );  // 49 Strings (0-based 48)
-  const trkLead  = programChangeTrack(2, 81).concat( buildNoteTrack(2, leadEvents) );   // 82 Lead2 (sawtooth) (0-based 81)
+  // Other tracks: name, program, notes
+  const noteTracks = laneTracks.map(({ name: trackName, channel, program, events })=>{
+    const trk = [];
+    if(trackName) pushMeta(trk, 0, 0x03, text(trackName));
+    if(program!==undefined) trk.push(...programChangeTrack(channel, program));
+    return buildNoteTrack(channel, events, trk);
+  });
 
   function buildChunk(type, data){
     const header = [type.charCodeAt(0), type.charCodeAt(1), type.charCodeAt(2), type.charCodeAt(3)];
@@ -325,15 +871,13 @@ function writeMidi({ bpm, drumEvents, bassEvents, chordEvents, leadEvents, ppq =
   }
 
   // Header
-  const header = buildChunk('MThd', [0x00,0x01, 0x00,0x05, (ppq>>8)&0xFF, ppq&0xFF]); // 5 tracks including tempo
+  const nTracks = noteTracks.length + 1; // including tempo
+  const header = buildChunk('MThd', [0x00,0x01, (nTracks>>8)&0xFF, nTracks&0xFF, (ppq>>8)&0xFF, ppq&0xFF]);
 
   const chunks = [
     header,
     buildChunk('MTrk', trk0),
-    buildChunk('MTrk', trkDrums),
-    buildChunk('MTrk', trkBass),
-    buildChunk('MTrk', trkChrd),
-    buildChunk('MTrk', trkLead),
+    ...noteTracks.map(trk=> buildChunk('MTrk', trk)),
   ];
 
   const totalLen = chunks.reduce((a,c)=>a+c.length,0);
@@ -343,336 +887,2045 @@ function writeMidi({ bpm, drumEvents, bassEvents, chordEvents, leadEvents, ppq =
   return new Blob([out], {type: 'audio/midi'});
 }
 
-// ---------------------- Core Generator ----------------------
-export class SongGenerator {
-  /**
-   * @param {Object} [opts]
-   * @param {number} [opts.sampleRate=44100]
-   */
-  constructor(opts={}){
-    this.sampleRate = opts.sampleRate || 48000;
+// ---------------------- Lane Composers ----------------------
+/** Lane order of stems, MIDI tracks and channel strips */
+const LANES = ['drums','bass','chords','guitar','lead','vocals','ambient'];
+/** Per-lane salt so every lane draws from its own PRNG stream */
+const LANE_SALT = { drums: 0xD0F1CE, bass: 0xBA55, chords: 0xC40D5, guitar: 0x6017A2, lead: 0xBADA55, vocals: 0x5106, ambient: 0xA3B1E };
+/** MIDI channel / GM program (0-based) per lane */
+const LANE_MIDI = {
+  drums:  { name: 'Drums', channel: 9 },
+  bass:   { name: 'Bass', channel: 0, program: 33 },    // 34 Electric Bass (pick)
+  chords: { name: 'Chords', channel: 1, program: 48 },  // 49 Strings
+  guitar: { name: 'Guitar', channel: 3, program: 30 },  // 31 Distortion Guitar
+  lead:   { name: 'Lead', channel: 2, program: 81 },    // 82 Lead 2 (sawtooth)
+  vocals: { name: 'Vocals', channel: 4, program: 52 },  // 53 Choir Aahs; syllables as lyric events
+  ambient: { name: 'Ambient', channel: 5, program: 89 }, // 90 Pad 2 (warm)
+};
+/** Default stereo placement of each channel strip */
+const LANE_PAN = { drums: 0, bass: 0, chords: -0.1, guitar: 0, lead: 0.15, vocals: 0, ambient: 0 };
+
+/** First three formants (Hz) of the guide vocal's vowels */
+const FORMANTS = { a: [730, 1090, 2440], e: [530, 1840, 2480], i: [270, 2290, 3010], o: [570, 840, 2410], u: [300, 870, 2240] };
+
+/** The vowel a syllable is sung on: its first vowel letter ('y' sings as 'i'), else 'a' */
+function syllableVowel(text){
+  const v = /[aeiouy]/i.exec(text || '')?.[0].toLowerCase();
+  return v === 'y' ? 'i' : v || 'a';
+}
+
+/** Seed salts for the render's random sources, so the audio is as repeatable as the notes */
+const RENDER_SALT = { noise: 0x4015E, reverb: 0x2E7E2B };
+
+/** Bars per render block: sections are rendered, cached and streamed in runs of at most this many bars */
+const BLOCK_BARS = 2;
+/** Crossfade where one block's segment hands over to the next */
+const SPLICE_FADE_SEC = 0.01;
+/** Fade at the end of the stems, which stop 0.5 s after the last bar */
+const SEGMENT_FADE_SEC = 0.05;
+/**
+ * How long each lane keeps sounding after a note ends, in seconds: its release plus what its delay,
+ * reverb or compressor carries on, to about -60 dB. Drum hits ring from their start, so drums
+ * allow for the longest cymbal.
+ */
+const LANE_TAIL_SEC = { drums: 1.8, bass: 0.5, chords: 1.5, guitar: 0.3, lead: 3.5, vocals: 0.3, ambient: 4.5 };
+
+/** FNV-1a over the given parts -> 32-bit seed (used for regen takes) */
+function deriveSeed(...parts){
+  let h = 0x811C9DC5;
+  for(const p of parts){
+    const s = String(p) + '\u0000';
+    for(let i=0;i<s.length;i++){
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
   }
+  return h >>> 0;
+}
 
-  /** @returns {SessionSpec} */
-  defaultSpec(){
-    return {
-      seed: Math.floor(Math.random()*2**31),
-      style: '',
-      key: 'C',
-      mode: 'major',
-      bpm: 96,
-      ts: '4/4',
-      progression: 'I V vi IV',
-      structure: [
-        {name:'Verse', bars:8},
-        {name:'Chorus', bars:8},
-        {name:'Verse', bars:8},
-        {name:'Chorus', bars:8},
-        {name:'Bridge', bars:8},
-        {name:'Chorus', bars:8}
-      ],
-      regen: { lane:'lead', startBar:1, bars:4 }
-    };
+/**
+ * Kick/snare placement for one bar in denominator units, from the meter's accent groups.
+ * Simple meters: kick on each group start, snare on the other beats (4/4 -> K S K S, 5/4 -> K S K S S).
+ * /8 meters: each group is one felt beat, alternating kick/snare (6/8 -> K . . S . ., 7/8 -> K . S . K . S).
+ */
+function drumGrid(meter){
+  const starts = groupStarts(meter.groups);
+  const kicks = [], snares = [];
+  if(meter.den <= 4){
+    for(let u=0; u<meter.num; u++) (starts.includes(u) ? kicks : snares).push(u);
+  } else {
+    starts.forEach((u, i)=> (i % 2 ? snares : kicks).push(u));
+    if(starts.length % 2 && meter.groups[meter.groups.length-1] === 3) snares.push(meter.num - 1);
   }
+  return { kicks, snares, starts };
+}
 
-  // ----- Public API -----
+// General MIDI drum map
+const GM = { kick:36, snare:38, hat:42, openHat:46, floorTom:43, lowTom:45, midTom:47, highTom:50, crash:49, ride:51, china:52 };
+/** Tuning (MIDI note) of each tom the kit plays */
+const TOM_PITCH = { 41: 38, [GM.floorTom]: 41, [GM.lowTom]: 45, [GM.midTom]: 48, 48: 50, [GM.highTom]: 53 };
 
-  /**
-   * Generate stems and mix for a given spec.
-   * @param {SessionSpec} spec
-   * @returns {Promise<{stems: {drums:AudioBuffer,bass:AudioBuffer,chords:AudioBuffer,lead:AudioBuffer}, mix: AudioBuffer, meta: Object}>}
-   */
-  async generate(spec){
-    const sr = this.sampleRate;
-    const beatsPerBar = beatsPerBarFromTs(spec.ts);
-    const bpm = Math.max(40, Math.min(260, Number(spec.bpm) || 120));
-    const secPerBeat = 60 / bpm;
-    const structure = Array.isArray(spec.structure) && spec.structure.length ? spec.structure : this.defaultSpec().structure;
-    const totalBars = Math.max(1, structure.reduce((a,b)=>a+(b?.bars||0), 0));
-    const totalBeats = totalBars * beatsPerBar;
-    const totalSec = Math.max(0.1, totalBeats * secPerBeat);
-    const length = Math.max(1, Math.ceil(totalSec * sr));
-    const keySemi = NOTE_TO_SEMI[spec.key] ?? 0;
-    const harmony = makeHarmonyMap(structure, spec.progression, keySemi, spec.mode);
-
-    const fullSpec = { ...spec, bpm, structure, beatsPerBar };
-
-    const offlineSupported = (()=>{
-      try {
-        const Ctx = typeof OfflineAudioContext !== 'undefined' ? OfflineAudioContext : (typeof webkitOfflineAudioContext !== 'undefined' ? webkitOfflineAudioContext : null);
-        if(!Ctx) return false;
-        const test = new Ctx(1, length, sr);
-        test.oncomplete = null;
-        return true;
-      } catch (err){
-        console.warn('OfflineAudioContext unavailable', err);
-        return false;
-      }
-    })();
+/** Kit voice for a GM drum note, as the renderers name them; unknown notes play the closed hat */
+function drumVoice(note){
+  if(TOM_PITCH[note] !== undefined) return 'tom';
+  return ['kick', 'snare', 'openHat', 'crash', 'ride', 'china'].find(v=> GM[v] === note) || 'hat';
+}
 
-    if (!offlineSupported){
-      const silence = new AudioBuffer({ length, sampleRate: sr, numberOfChannels: 2 });
-      const meta = { totalBars, totalBeats, totalSec, key: fullSpec.key, mode: fullSpec.mode, bpm: fullSpec.bpm, ts: fullSpec.ts, sampleRate: sr };
-      this._lastMidi = { bpm: fullSpec.bpm, drumEvents: [], bassEvents: [], chordEvents: [], leadEvents: [] };
-      return { stems: { drums: silence, bass: silence, chords: silence, lead: silence }, mix: silence, meta };
+/**
+ * One bar of a groove. `add(note, beat, vel, dur)` takes beats relative to the bar start;
+ * hits at or after `until` are dropped so a fill can take over the end of the bar.
+ */
+const GROOVES = {
+  intro({ add, grid, meter }){
+    add(GM.kick, 0, 105);
+    for(let u=0; u<meter.num; u++) add(GM.ride, u*meter.unit, grid.starts.includes(u) ? 72 : 56, 0.5);
+  },
+  groove({ add, grid, meter, beatsPerBar, accents, rng }){
+    for(const u of grid.kicks) add(GM.kick, u*meter.unit, 110);
+    for(const u of grid.snares) add(GM.snare, u*meter.unit, 100);
+    for(let h=0; h<beatsPerBar; h+=0.5) add(GM.hat, h, accents.has(h) ? 50 : 38, 0.25);
+    if(grid.snares.length && rng() < 0.3) add(GM.kick, (grid.snares[0] + 0.5)*meter.unit, 100);
+  },
+  pre({ add, grid, meter, beatsPerBar, accents }){
+    for(const u of grid.kicks){ add(GM.kick, u*meter.unit, 110); add(GM.kick, (u + 0.5)*meter.unit, 96); }
+    for(const u of grid.snares) add(GM.snare, u*meter.unit, 104);
+    for(let h=0; h<beatsPerBar; h+=0.5) add(accents.has(h) ? GM.openHat : GM.hat, h, accents.has(h) ? 60 : 40, accents.has(h) ? 0.5 : 0.25);
+  },
+  double({ add, grid, meter, beatsPerBar }){
+    for(let q=0; q<beatsPerBar; q+=0.25) add(GM.kick, q, q % 1 === 0 ? 112 : 96);
+    for(const u of grid.snares) add(GM.snare, u*meter.unit, 108);
+    for(let u=0; u<meter.num; u++) add(GM.ride, u*meter.unit, 70, 0.5);
+  },
+  blast({ add, beatsPerBar }){
+    for(let h=0; h<beatsPerBar; h+=0.5){
+      add(GM.kick, h, 108);
+      add(GM.snare, h + 0.25, 96);
+      if(h % 1 === 0) add(GM.china, h, 84, 0.5);
     }
-
-    let toneReady = true;
-    try {
-      await Tone.Offline(()=>{}, 0.01, { channels: 2, sampleRate: sr });
-    } catch (err){
-      toneReady = false;
-      console.warn('Tone.Offline unavailable', err);
+  },
+  driving({ add, grid, meter }){
+    for(const u of grid.kicks){ add(GM.kick, u*meter.unit, 112); add(GM.kick, (u + 0.5)*meter.unit, 100); }
+    for(const u of grid.snares) add(GM.snare, u*meter.unit, 108);
+    for(let u=0; u<meter.num; u++) add(GM.crash, u*meter.unit, grid.starts.includes(u) ? 96 : 80, 1);
+  },
+  halftime({ add, meter, beatsPerBar, rng }){
+    const half = meter.num > 1 ? Math.ceil(meter.num / 2) * meter.unit : 0;
+    add(GM.kick, 0, 115);
+    for(let q=0.25; q<beatsPerBar; q+=0.25) if(q !== half && rng() < 0.3) add(GM.kick, q, 104);
+    add(GM.snare, half, 112);
+    for(let u=0; u<meter.num; u++) add(GM.china, u*meter.unit, 86, 0.5);
+  },
+  ride({ add, grid, meter, beatsPerBar, accents }){
+    for(const u of grid.kicks) add(GM.kick, u*meter.unit, 100);
+    for(const u of grid.snares) add(GM.snare, u*meter.unit, 96);
+    for(let h=0; h<beatsPerBar; h+=0.5) add(GM.ride, h, accents.has(h) ? 74 : 58, 0.5);
+  },
+  // nu-metal bounce: syncopated kicks pushing into the backbeat, open hat on the 'and'
+  bounce({ add, grid, meter, beatsPerBar, rng }){
+    for(const u of grid.kicks) add(GM.kick, u*meter.unit, 112);
+    for(const u of grid.snares){
+      add(GM.snare, u*meter.unit, 106);
+      if(rng() < 0.6) add(GM.kick, u*meter.unit - 0.25, 98);
     }
+    for(let h=0; h<beatsPerBar; h+=0.5) add(h % 1 ? GM.openHat : GM.hat, h, h % 1 ? 58 : 44, h % 1 ? 0.4 : 0.25);
+  },
+  // djent: kick cycle of 3, 5 or 7 sixteenths running over a half-time snare
+  poly({ add, meter, beatsPerBar, rng }){
+    const cycle = [3,5,7][Math.floor(rng() * 3)];
+    const half = meter.num > 1 ? Math.ceil(meter.num / 2) * meter.unit : 0;
+    for(let s=0; s*0.25 < beatsPerBar; s+=cycle) add(GM.kick, s*0.25, s ? 104 : 116);
+    add(GM.snare, half, 110);
+    for(let q=0; q<beatsPerBar; q+=1) add(GM.china, q, q ? 78 : 90, 0.5);
+  },
+};
+
+/** 16th-note fill over [from, to) of a bar: descending toms or a snare build, crescendo into the next section */
+function drumFill(add, from, to, rng){
+  const toms = [GM.highTom, GM.highTom, GM.midTom, GM.midTom, GM.lowTom, GM.lowTom, GM.floorTom, GM.floorTom];
+  const snareBuild = rng() < 0.35;
+  const steps = Math.max(1, Math.round((to - from) / 0.25));
+  for(let i=0; i<steps; i++){
+    const note = snareBuild ? GM.snare : toms[Math.floor(i * toms.length / steps)];
+    add(note, from + i*0.25, Math.round(84 + 30 * i / steps), 0.25);
+  }
+  add(GM.kick, from, 104);
+}
 
-    if (!toneReady){
-      const silence = new AudioBuffer({ length, sampleRate: sr, numberOfChannels: 2 });
-      const meta = { totalBars, totalBeats, totalSec, key: fullSpec.key, mode: fullSpec.mode, bpm: fullSpec.bpm, ts: fullSpec.ts, sampleRate: sr };
-      this._lastMidi = { bpm: fullSpec.bpm, drumEvents: [], bassEvents: [], chordEvents: [], leadEvents: [] };
-      return { stems: { drums: silence, bass: silence, chords: silence, lead: silence }, mix: silence, meta };
+/**
+ * Section-aware drums: the groove comes from each section's role, the bar before every section
+ * change ends in a fill, and section downbeats get a crash. The last bar of the song is one final hit.
+ */
+function composeDrums(plan, rng){
+  const { meter, beatsPerBar, sections, style } = plan;
+  const grid = drumGrid(meter);
+  const accents = new Set(grid.starts.map(u=> u * meter.unit));
+  const fillFrom = grid.starts[grid.starts.length-1] * meter.unit || beatsPerBar / 2;
+  const roleGroove = {};
+  const out = [];
+  sections.forEach((sec, si)=>{
+    const variants = style.grooves[sec.role] || style.grooves.verse;
+    // the style's half-time feel can take over any role except intro and chorus
+    const halftime = ()=> sec.role !== 'chorus' && sec.role !== 'intro' && rng() < style.feel.halftime;
+    const groove = roleGroove[sec.role] ??= halftime() ? 'halftime' : variants[Math.floor(rng() * variants.length)];
+    const nextChange = si < sections.length - 1;
+    for(let i=0; i<sec.bars; i++){
+      const b0 = (sec.startBar + i) * beatsPerBar;
+      const lastBar = i === sec.bars - 1;
+      const finalBar = lastBar && !nextChange;
+      const until = (lastBar && nextChange) ? fillFrom : finalBar ? 0 : beatsPerBar;
+      const add = (note, beat, vel, dur = 0.1)=>{
+        if(beat < until) out.push({ startBeat: b0 + beat, durBeats: dur, note, vel });
+      };
+      GROOVES[groove]({ add, grid, meter, beatsPerBar, accents, rng });
+      if(i === 0 && sec.role !== 'intro') out.push({ startBeat: b0, durBeats: 2, note: GM.crash, vel: 110 });
+      if(lastBar && nextChange) drumFill((note, beat, vel, dur = 0.1)=> out.push({ startBeat: b0 + beat, durBeats: dur, note, vel }), fillFrom, beatsPerBar, rng);
+      if(finalBar){
+        out.push({ startBeat: b0, durBeats: 0.1, note: GM.kick, vel: 120 });
+        out.push({ startBeat: b0, durBeats: beatsPerBar, note: GM.crash, vel: 120 });
+      }
     }
+  });
+  return out.sort((a,b)=> a.startBeat-b.startBeat);
+}
 
-    // Events for MIDI export
-    const drumEvents=[]; const bassEvents=[]; const chordEvents=[]; const leadEvents=[];
-
-    const renderSafe = async (fn)=>{
-      try { return await fn(); }
-      catch (err){ console.error('Render fallback', err); return new AudioBuffer({ length, sampleRate: sr, numberOfChannels: 2 }); }
-    };
+/**
+ * Bass patterns, one bar at a time. Each returns notes relative to the bar: {beat, dur, midi, vel}.
+ * An empty result (no kicks or chugs in the bar) falls back to `pulse`.
+ */
+const BASS_PATTERNS = {
+  // the bass note on every meter pulse
+  pulse: ({ root, pulses })=> pulses.map(p=> ({ beat: p.beat, dur: p.len*0.95, midi: root, vel: 96 })),
+  // a note on every kick, held until the next one
+  kick: ({ root, kicks, beatsPerBar })=> kicks.map((k, i)=> ({
+    beat: k.beat, dur: ((kicks[i+1]?.beat ?? beatsPerBar) - k.beat) * 0.9, midi: root, vel: clamp(k.vel - 10, 70, 115),
+  })),
+  rootFifth: ({ root, fifth, pulses })=> pulses.map((p, i)=> ({ beat: p.beat, dur: p.len*0.9, midi: root + [0, fifth, 12, fifth][i % 4], vel: i ? 88 : 104 })),
+  // chord tones on the pulses, then a chromatic approach into the next bar's bass note
+  walking: ({ root, next, tones, pulses, rng })=> pulses.map((p, i)=>{
+    let midi = root;
+    if(i && i === pulses.length-1) midi = next + (rng() < 0.5 ? -1 : 1);
+    else if(i) midi = tones[Math.floor(rng() * tones.length)];
+    return { beat: p.beat, dur: p.len*0.95, midi, vel: i ? 86 : 100 };
+  }),
+  // double the rhythm guitar: same hits, accents on its power-chord stabs
+  chug: ({ root, chugs })=> chugs.map(c=> ({ beat: c.beat, dur: c.dur, midi: root, vel: c.accent ? 110 : 90 })),
+};
+
+/** Group events by bar, with each event's beat inside its bar */
+function eventsByBar(events, beatsPerBar, totalBars){
+  const bars = Array.from({ length: totalBars }, ()=> []);
+  for(const e of events){
+    const bar = Math.floor(e.startBeat / beatsPerBar + 1e-9);
+    if(bar < totalBars) bars[bar].push({ ...e, beat: e.startBeat - bar * beatsPerBar });
+  }
+  return bars;
+}
 
-    // Render stems
-    const [drums, bass, chords, lead] = await Promise.all([
-      renderSafe(()=> this.#renderDrums(length, sr, fullSpec, drumEvents)),
-      renderSafe(()=> this.#renderBass(length, sr, fullSpec, harmony, bassEvents)),
-      renderSafe(()=> this.#renderChords(length, sr, fullSpec, harmony, chordEvents)),
-      renderSafe(()=> this.#renderLead(length, sr, fullSpec, harmony, leadEvents)),
-    ]);
+/**
+ * Bass line that plays off the drums and guitar already composed for this song. Each section role
+ * picks one of the style's bass patterns (seeded, like drum grooves); the bass note follows slash
+ * chords and inversions.
+ */
+function composeBass(plan, rng, lanes){
+  const { meter, beatsPerBar, totalBars, harmony, sections, style } = plan;
+  const pulses = [];
+  let u = 0;
+  for(const len of meter.den <= 4 ? Array(meter.num).fill(1) : meter.groups){
+    pulses.push({ beat: u * meter.unit, len: len * meter.unit });
+    u += len;
+  }
+  const kicks = eventsByBar(lanes.drums.filter(e=> e.note === GM.kick), beatsPerBar, totalBars);
+  const chugs = eventsByBar(lanes.guitar, beatsPerBar, totalBars);
+  const rolePattern = {};
+  const out = [];
+  for(const sec of sections){
+    const variants = style.bassPatterns[sec.role] || style.bassPatterns.verse;
+    const pattern = rolePattern[sec.role] ??= variants[Math.floor(rng() * variants.length)];
+    for(let bar = sec.startBar; bar < sec.startBar + sec.bars; bar++){
+      const chord = harmony[bar];
+      const root = chord.bass;
+      const ctx = {
+        root, pulses, beatsPerBar, rng,
+        next: harmony[bar + 1]?.bass ?? root,
+        fifth: chord.bassSemi === chord.rootSemi ? (chord.intervals.find(i=> i >= 6 && i <= 8) ?? 7) : 7,
+        tones: [...new Set(chord.notes.map(n=> root + ((n - root) % 12 + 12) % 12))].filter(n=> n !== root).concat(root + 12),
+        kicks: kicks[bar],
+        chugs: chugs[bar].map(e=> ({ beat: e.beat, dur: e.durBeats, accent: e.midis.length > 1 })),
+      };
+      let notes = (BASS_PATTERNS[pattern] || BASS_PATTERNS.pulse)(ctx);
+      if(!notes.length) notes = BASS_PATTERNS.pulse(ctx);
+      for(const n of notes) out.push({ startBeat: bar*beatsPerBar + n.beat, durBeats: n.dur, midi: n.midi, vel: n.vel });
+    }
+  }
+  return out;
+}
 
-    const mix = await this.#mix([drums,bass,chords,lead]);
+/** Whole-bar chords, voice-led from bar to bar in the style's (or spec's) voicing */
+function composeChords(plan){
+  const { spec, style, beatsPerBar, totalBars, harmony } = plan;
+  const voicing = { ...style.voicing, ...spec.voicing };
+  voicing.voices = clamp(Math.round(voicing.voices) || 3, 2, 6);
+  const out = [];
+  let prev = null;
+  for(let bar=0; bar<totalBars; bar++){
+    prev = voiceLead(harmony[bar], voicing, prev);
+    out.push({startBeat: bar*beatsPerBar, durBeats: beatsPerBar, midis: prev.slice(), vel: 90});
+  }
+  return out;
+}
 
-    const meta = { totalBars, totalBeats, totalSec, key: fullSpec.key, mode: fullSpec.mode, bpm: fullSpec.bpm, ts: fullSpec.ts, sampleRate: sr };
+// ---------------------- Melody ----------------------
+/** Direction bias (-1 down .. 1 up) at a point 0..1 through a motif */
+const CONTOURS = {
+  arch: t=> t < 0.5 ? 0.6 : -0.6,
+  rise: ()=> 0.5,
+  fall: ()=> -0.5,
+  wave: t=> Math.sin(t * Math.PI * 4) * 0.6,
+};
 
-    // attach midi events for export helper
-    this._lastMidi = { bpm: fullSpec.bpm, drumEvents, bassEvents, chordEvents, leadEvents };
-    return { stems: {drums, bass, chords, lead}, mix, meta };
+/**
+ * A motif is rhythm plus scale steps: [{pos, dur, step, snap}], `pos` in beats from the motif start.
+ * `snap` notes land on a chord tone when realized (always on the beat), so a repeat over the same
+ * chords plays identically. Melodies move by step; after a leap they turn back by step.
+ */
+function makeMotif(rng, lengthBeats, opts){
+  const contour = CONTOURS[opts.contour] || CONTOURS.arch;
+  const notes = [];
+  let pos = 0, step = [0, 2, 4][Math.floor(rng()*3)], leap = 0;
+  while(pos < lengthBeats - 1e-6){
+    const r = rng();
+    const durs = r < opts.sixteenths ? [0.25, 0.25] : r < opts.sixteenths + 0.15 ? [1] : [0.5];
+    for(const d of durs){
+      const dur = Math.min(d, lengthBeats - pos);
+      if(dur <= 0) break;
+      if(notes.length && rng() < opts.rest){ pos += dur; continue; }
+      if(notes.length){
+        const dir = leap ? -leap : (rng() < 0.5 + contour(pos / lengthBeats) / 2 ? 1 : -1);
+        const size = leap ? 1 : rng() < 0.7 ? 1 : rng() < 0.7 ? 2 : 3 + Math.floor(rng()*2);
+        leap = size > 2 ? dir : 0;
+        step += dir * size;
+      }
+      notes.push({ pos, dur, step, snap: pos % 1 === 0 || rng() < opts.chordTones });
+      pos += dur;
+    }
   }
+  return notes;
+}
 
-  /** Export last generated MIDI as Blob */
-  exportMidi(){
-    if(!this._lastMidi) throw new Error('No MIDI in memory. Call generate() first.');
-    return writeMidi(this._lastMidi);
-  }
+/** The motif moved `k` scale steps */
+function sequenceMotif(motif, k){
+  return motif.map(n=> ({ ...n, step: n.step + k }));
+}
 
-  /** @param {AudioBuffer} buf */
-  encodeWav(buf){ return encodeWav(buf); }
+/** Response to the motif's call: same first half, second half mirrored around where it starts */
+function answerMotif(motif, lengthBeats){
+  const back = motif.filter(n=> n.pos >= lengthBeats / 2);
+  if(!back.length) return motif;
+  const pivot = back[0].step;
+  return motif.map(n=> n.pos >= lengthBeats / 2 ? { ...n, step: 2*pivot - n.step } : n);
+}
 
-  // ----- Private: Synthesis Engines -----
+/** Same contour, new rhythm: some notes split into two with a neighbour step, some merge with the next */
+function varyRhythm(motif, rng){
+  const out = [];
+  for(let i=0; i<motif.length; i++){
+    const n = motif[i], next = motif[i+1];
+    if(n.dur >= 0.5 && rng() < 0.3){
+      out.push({ ...n, dur: n.dur/2 }, { ...n, pos: n.pos + n.dur/2, dur: n.dur/2, step: n.step + (rng() < 0.5 ? 1 : -1), snap: false });
+    } else if(next && next.pos === n.pos + n.dur && rng() < 0.2){
+      out.push({ ...n, dur: n.dur + next.dur });
+      i++;
+    } else {
+      out.push(n);
+    }
+  }
+  return out;
+}
 
-  async #renderDrums(length, sr, spec, midiOut){
-    const beatsPerBar = beatsPerBarFromTs(spec.ts);
-    const secPerBeat = 60 / spec.bpm;
-    const totalBars = Math.max(1, spec.structure.reduce((a,b)=>a+(b?.bars||0), 0));
-    const totalBeats = totalBars * beatsPerBar;
-    const totalSec = Math.max(0.1, totalBeats * secPerBeat);
+/** Phrase ending: the cell runs into a long note on `home` (a scale degree), then a rest */
+function cadence(motif, lengthBeats, restBeats, home){
+  const end = lengthBeats - restBeats;
+  const longStart = Math.max(0, end - Math.min(2, lengthBeats / 2));
+  const kept = motif.filter(n=> n.pos < longStart).map(n=> ({ ...n, dur: Math.min(n.dur, longStart - n.pos) }));
+  const last = kept.length ? kept[kept.length-1].step : home;
+  const step = home + 7 * Math.round((last - home) / 7);
+  return [...kept, { pos: longStart, dur: end - longStart, step, snap: true, long: true }];
+}
 
-    return Tone.Offline(async ()=>{
-      Tone.Transport.cancel(0);
-      Tone.Transport.bpm.value = spec.bpm;
-
-      const drumBus = new Tone.Channel({ volume: -3 }).toDestination();
-      const comp = new Tone.Compressor({ threshold: -8, ratio: 3, attack: 0.002, release: 0.18 }).connect(drumBus);
-
-      const kick = new Tone.MembraneSynth({
-        envelope: { attack: 0.001, decay: 0.45, sustain: 0 },
-        pitchDecay: 0.03,
-        octaves: 2.8
-      }).connect(comp);
-
-      const snare = new Tone.NoiseSynth({
-        noise: { type: 'pink' },
-        envelope: { attack: 0.001, decay: 0.28, sustain: 0 },
-        filterEnvelope: { attack: 0.001, decay: 0.1, sustain: 0, baseFrequency: 1800, octaves: 2 }
-      }).connect(comp);
-
-      const hat = new Tone.NoiseSynth({
-        noise: { type: 'white' },
-        envelope: { attack: 0.001, decay: 0.08, sustain: 0 },
-        filterEnvelope: { attack: 0.001, decay: 0.05, sustain: 0, baseFrequency: 8000, octaves: 1 }
-      });
-      const hatChain = new Tone.MidSideMerge().toDestination();
-      hat.connect(hatChain);
-
-      const rng = prng(spec.seed ^ 0xD0F1CE);
-      for(let b=0; b<totalBeats; b++){
-        const t = b * secPerBeat;
-        const beatInBar = b % beatsPerBar;
-        if(beatInBar===0 || beatInBar===2){
-          Tone.Transport.schedule(time=>{ kick.triggerAttackRelease('C2', '8n', time, 1); }, t);
-          midiOut.push({startBeat:b, durBeats:0.1, note:36, vel:110});
-        }
-        if(beatInBar===1 || beatInBar===3){
-          const snTime = t + 0.01;
-          Tone.Transport.schedule(time=>{ snare.triggerAttackRelease('8n', time, 0.8); }, snTime);
-          midiOut.push({startBeat:b+0.01/spec.bpm*60, durBeats:0.1, note:38, vel:100});
-        }
-        Tone.Transport.schedule(time=>{ hat.triggerAttackRelease('16n', time, 0.35); }, t);
-        Tone.Transport.schedule(time=>{ hat.triggerAttackRelease('16n', time, 0.3); }, t+secPerBeat*0.5);
-        if(beatInBar===3){
-          Tone.Transport.schedule(time=>{ hat.triggerAttackRelease('8n', time, 0.45); }, t+secPerBeat*0.8);
-        }
-        if(beatInBar===1 && rng() < 0.3){
-          const tt = t + secPerBeat*0.5;
-          Tone.Transport.schedule(time=>{ kick.triggerAttackRelease('C2', '8n', time, 0.8); }, tt);
-          midiOut.push({startBeat:b+0.5, durBeats:0.1, note:36, vel:100});
-        }
+/**
+ * A section's melody in steps: 4-cell phrases of motif (call), answer, sequence and varied motif,
+ * each phrase ending on a long note and a rest. Cells are `motifBars` long.
+ */
+function sectionMelody(rng, bars, opts, beatsPerBar){
+  const cellBars = clamp(Math.round(opts.motifBars) || 1, 1, 2);
+  const cellBeats = cellBars * beatsPerBar;
+  const restBeats = beatsPerBar >= 4 ? 1 : 0.5;
+  const motif = makeMotif(rng, cellBeats, opts);
+  const cells = Math.ceil(bars / cellBars);
+  const notes = [];
+  for(let c=0; c<cells; c++){
+    const slot = c % 4;
+    let cell = slot === 0 ? motif
+      : slot === 1 ? answerMotif(motif, cellBeats)
+      : slot === 2 ? sequenceMotif(varyRhythm(motif, rng), rng() < 0.5 ? 1 : 2)
+      : varyRhythm(motif, rng);
+    // half cadence mid-section, home at the end
+    if(slot === 3 || c === cells-1) cell = cadence(cell, cellBeats, restBeats, c === cells-1 ? 0 : 4);
+    for(const n of cell) notes.push({ ...n, pos: n.pos + c * cellBeats });
+  }
+  return { notes: notes.filter(n=> n.pos < bars * beatsPerBar), beats: bars * beatsPerBar };
+}
+
+/**
+ * Steps to MIDI notes over the song's chords, starting at `startBeat`. Step 0 is the tonic nearest
+ * the middle of the range; notes fold into [low, high] and leaps over `maxLeap` semitones are
+ * taken an octave closer where the range allows.
+ */
+function realizeMelody(notes, startBeat, plan, opts){
+  const { spec, harmony, beatsPerBar } = plan;
+  const scale = resolveScale(spec.mode);
+  const low = opts.low, high = Math.max(opts.high, opts.low + 12);
+  const keySemi = NOTE_TO_SEMI[spec.key] ?? 0;
+  const tonic = keySemi + 12 * Math.round(((low + high) / 2 - keySemi) / 12);
+  const fold = n=>{ while(n > high) n -= 12; while(n < low) n += 12; return n; };
+  const out = [];
+  let prev = null;
+  for(const n of notes){
+    const beat = startBeat + n.pos;
+    const chord = harmony[Math.floor(beat / beatsPerBar + 1e-9)];
+    if(!chord) continue;
+    let midi = tonic + 12 * Math.floor(n.step / 7) + scale[((n.step % 7) + 7) % 7];
+    if(n.snap){
+      const pcs = chord.notes.map(m=> m % 12);
+      for(const d of [0, -1, 1, -2, 2, -3, 3]) if(pcs.includes(((midi + d) % 12 + 12) % 12)){ midi += d; break; }
+    }
+    midi = fold(midi);
+    if(prev !== null && Math.abs(midi - prev) > opts.maxLeap){
+      const closer = midi + (midi < prev ? 12 : -12);
+      if(closer >= low && closer <= high) midi = closer;
+    }
+    const vel = n.pos % beatsPerBar === 0 ? 100 : n.long ? 92 : n.pos % 1 === 0 ? 94 : 86;
+    out.push({ startBeat: beat, durBeats: n.dur, midi, vel, ...(n.lyric && { lyric: n.lyric }) });
+    prev = midi;
+  }
+  return out;
+}
+
+/**
+ * Lead melody: each section role writes one motif-based melody and every later section of that role
+ * replays it (looping when longer), so choruses repeat. Settings come from the style's `lead`, with
+ * spec.melody overriding range and contour.
+ */
+function composeLead(plan, rng){
+  const { spec, beatsPerBar, sections, style } = plan;
+  const opts = { ...style.lead, ...spec.melody };
+  const melodies = {};
+  const out = [];
+  for(const sec of sections){
+    if(!sec.bars) continue;
+    const melody = melodies[sec.role] ??= sectionMelody(rng, sec.bars, opts, beatsPerBar);
+    const secBeats = sec.bars * beatsPerBar;
+    for(let offset = 0; offset < secBeats; offset += melody.beats){
+      const notes = melody.notes.filter(n=> offset + n.pos < secBeats).map(n=> ({ ...n, pos: offset + n.pos, dur: Math.min(n.dur, secBeats - offset - n.pos) }));
+      out.push(...realizeMelody(notes, sec.startBar * beatsPerBar, plan, opts));
+    }
+  }
+  return out;
+}
+
+/**
+ * One lyric line over `phraseBeats`: a note per syllable (8ths, or 16ths for long lines), spare time
+ * held on random syllables and the last one, then a rest. Syllables that don't fit are dropped.
+ * `steps` is the role's tune; `home` the degree the line ends on.
+ */
+function vocalLine(syllables, steps, home, phraseBeats, restBeats, rng){
+  const room = phraseBeats - restBeats;
+  const grid = syllables.length * 0.5 <= room ? 0.5 : 0.25;
+  const count = Math.min(syllables.length, Math.floor(room / grid));
+  if(!count) return [];
+  const durs = Array(count).fill(grid);
+  let spare = Math.round((room - count * grid) / grid);
+  const hold = Math.ceil(spare / 2);
+  durs[count-1] += hold * grid;
+  for(spare -= hold; spare > 0; spare--) durs[Math.floor(rng() * count)] += grid;
+  const notes = [];
+  let pos = 0;
+  for(let i=0; i<count; i++){
+    const last = i === count-1;
+    const step = last ? home + 7 * Math.round((steps[(i-1+steps.length) % steps.length] - home) / 7) : steps[i % steps.length];
+    notes.push({ pos, dur: durs[i], step, snap: last || pos % 1 === 0, long: last, lyric: syllables[i] });
+    pos += durs[i];
+  }
+  return notes;
+}
+
+/** A singable tune for a role: mostly steps, inside an octave and a bit */
+function vocalTune(rng, length){
+  const steps = [];
+  let step = [0, 2, 4][Math.floor(rng()*3)];
+  for(let i=0; i<length; i++){
+    steps.push(step);
+    const move = rng() < 0.6 ? 1 : rng() < 0.6 ? 0 : 2;
+    step = clamp(step + (rng() < 0.5 ? move : -move), -3, 9);
+  }
+  return steps;
+}
+
+/**
+ * Vocal topline: each section sings its lyrics (or generated ones, shared by its role), one line per
+ * 2 bars. Lines alternate the role's tune and an answer a step lower; the section's last line comes
+ * home to the tonic. Sections of the same role with the same words sing the same melody.
+ * Events carry `lyric` (one syllable) and `harsh` for roles the style screams.
+ */
+function composeVocals(plan, rng){
+  const { beatsPerBar, sections, style } = plan;
+  const { low, high, harsh } = style.vocals;
+  const opts = { low, high, maxLeap: 7 };
+  const phraseBeats = 2 * beatsPerBar;
+  const restBeats = beatsPerBar >= 4 ? 1 : 0.5;
+  const tunes = {}, roleLyrics = {}, lines = {};
+  const out = [];
+  for(const sec of sections){
+    if(!sec.bars) continue;
+    const count = Math.ceil(sec.bars / 2);
+    const text = sec.lyrics || (roleLyrics[sec.role] ??= generateLyrics(rng, sec.role, count));
+    const tune = tunes[sec.role] ??= vocalTune(rng, 16);
+    const melody = lines[`${sec.role}\n${count}\n${text}`] ??= (()=>{
+      const words = lyricLines(text);
+      if(!words.length) return [];
+      const notes = [];
+      for(let k=0; k<count; k++){
+        const steps = k % 2 ? tune.map(st=> st - 1) : tune;
+        const home = k === count-1 ? 0 : k % 2 ? 2 : 4;
+        for(const n of vocalLine(words[k % words.length], steps, home, phraseBeats, restBeats, rng)) notes.push({ ...n, pos: n.pos + k * phraseBeats });
       }
-      Tone.Transport.start(0);
-    }, totalSec + 0.5, { channels: 2, sampleRate: sr });
+      return notes.filter(n=> n.pos < sec.bars * beatsPerBar);
+    })();
+    const sung = realizeMelody(melody, sec.startBar * beatsPerBar, plan, opts);
+    for(const e of sung) out.push(harsh.includes(sec.role) ? { ...e, harsh: true } : e);
   }
+  return out;
+}
 
-  async #renderBass(length, sr, spec, harmony, midiOut){
-    const beatsPerBar = beatsPerBarFromTs(spec.ts);
-    const secPerBeat = 60 / spec.bpm;
-    const totalBars = Math.max(1, harmony.length || 0);
-    const totalBeats = totalBars * beatsPerBar;
-    const totalSec = Math.max(0.1, totalBeats * secPerBeat);
+/** Section roles that sit on a drone instead of chord pads */
+const DRONE_ROLES = ['intro', 'break', 'outro'];
 
-    return Tone.Offline(async ()=>{
-      Tone.Transport.cancel(0);
-      Tone.Transport.bpm.value = spec.bpm;
-
-      const bass = new Tone.MonoSynth({
-        oscillator: { type: 'square' },
-        filter: { type: 'lowpass', rolloff: -24, Q: 1 },
-        envelope: { attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.3 },
-        filterEnvelope: { attack: 0.01, decay: 0.15, sustain: 0.3, release: 0.1, baseFrequency: 80, octaves: 3 }
-      });
-      const sat = new Tone.Distortion(0.2).toDestination();
-      const eq = new Tone.EQ3({ low: 3, mid: -4, high: -6 }).connect(sat);
-      bass.connect(eq);
-
-      let beatCounter = 0;
-      for(let bar=0; bar<totalBars; bar++){
-        const chord = harmony[bar].notes;
-        const root = clamp(chord[0]-12, 36, 60); // C2..B3
-        for(let i=0;i<beatsPerBar;i++){
-          const t = beatCounter * secPerBeat;
-          Tone.Transport.schedule(time=>{
-            bass.triggerAttackRelease(Tone.Frequency(root, 'midi'), secPerBeat * 0.95, time, 0.8);
-          }, t);
-          midiOut.push({startBeat: beatCounter, durBeats: 0.95, midi: root, vel: 96});
-          beatCounter++;
-        }
+/** Open pad voicing of a chord around C4: root, fifth, tenth */
+function padVoicing(chord){
+  const root = 48 + chord.rootSemi % 12;
+  return [root, root + (chord.intervals.find(i=> i >= 6 && i <= 8) ?? 7), root + 12 + (chord.intervals[1] ?? 4)];
+}
+
+/**
+ * Atmosphere lane: a tonic drone under intros, breakdowns and outros; elsewhere swelling pads on
+ * the chords in a share of bars that grows with the `ambient` influence (half as many again in choruses);
+ * and reverse swells rising into section changes (always into a chorus). Events carry `kind`.
+ */
+function composeAmbient(plan, rng){
+  const { spec, beatsPerBar, sections, harmony } = plan;
+  const weight = clamp(Number(spec.influence?.ambient) || 0, 0, 1);
+  const tonic = 36 + (NOTE_TO_SEMI[spec.key] ?? 0);
+  const out = [];
+  sections.forEach((sec, si)=>{
+    if(!sec.bars) return;
+    const b0 = sec.startBar * beatsPerBar;
+    if(DRONE_ROLES.includes(sec.role)){
+      out.push({ startBeat: b0, durBeats: sec.bars * beatsPerBar, midis: [tonic, tonic + 7, tonic + 12], vel: Math.round(60 + 30*weight), kind: 'drone' });
+    } else {
+      const density = sec.role === 'chorus' ? weight * 1.5 : weight;
+      let last = null;
+      for(let bar = sec.startBar; bar < sec.startBar + sec.bars; bar++){
+        if(rng() >= density){ last = null; continue; }
+        const midis = padVoicing(harmony[bar]);
+        if(last && last.midis.join() === midis.join()){ last.durBeats += beatsPerBar; continue; }
+        last = { startBeat: bar * beatsPerBar, durBeats: beatsPerBar, midis, vel: Math.round(50 + 40*weight), kind: 'pad' };
+        out.push(last);
       }
-      Tone.Transport.start(0);
-    }, totalSec + 0.5, { channels: 2, sampleRate: sr });
+    }
+    const next = sections[si + 1];
+    if(next?.bars && (next.role === 'chorus' || rng() < weight)){
+      const len = Math.min(2, beatsPerBar);
+      const end = next.startBar * beatsPerBar;
+      out.push({ startBeat: end - len, durBeats: len, midis: padVoicing(harmony[next.startBar]), vel: Math.round(70 + 40*weight), kind: 'swell' });
+    }
+  });
+  return out.sort((a,b)=> a.startBeat - b.startBeat);
+}
+
+/**
+ * Palm-muted chugs on the tuned low string, fretted at each bar's chord root. Every kick gets
+ * an accented power chord; the style's chug settings decide how busy the rest is.
+ */
+function composeGuitar(plan, rng, lanes){
+  const { spec, meter, beatsPerBar, totalBars, harmony, style } = plan;
+  const { density, djent, gallop, random } = style.chug;
+  const low = lowStringFromTuning(spec.tuning);
+  const kickSteps = new Set(lanes.drums.filter(e=> e.note===GM.kick).map(e=> Math.round(e.startBeat * 4)));
+  const stepsPerBar = Math.round(beatsPerBar * 4);
+  const unitSteps = Math.max(1, Math.round(meter.unit * 4)); // 16ths per denominator unit
+  const hits = [];
+  for(let bar=0; bar<totalBars; bar++){
+    const fret = ((harmony[bar].root - low) % 12 + 12) % 12;
+    const root = low + fret;
+    const djentBar = rng() < djent;
+    const gallopBeats = new Set();
+    for(let q=0; q<stepsPerBar; q+=4) if(rng() < gallop) gallopBeats.add(q);
+    for(let step=0; step<stepsPerBar; step++){
+      const abs = bar * stepsPerBar + step;
+      const accent = kickSteps.has(abs);
+      // chug on the downbeat and (by density) each meter unit; djent bars add the last 16th of each quarter,
+      // gallop beats the last two
+      const beat = step - step % 4;
+      const chug = step === 0 || (step % unitSteps === 0 && rng() < density)
+        || (djentBar && step % 4 === 3) || (gallopBeats.has(beat) && step % 4 >= 2) || rng() < random;
+      if(!accent && !chug) continue;
+      hits.push({
+        startBeat: abs / 4,
+        durBeats: accent ? 0.5 : 0.2,
+        midis: accent ? [root, root+7, root+12] : [root],
+        vel: accent ? 112 : (step % unitSteps === 0 ? 100 : 88),
+      });
+    }
+  }
+  // one string: let each hit ring only until the next one
+  for(let i=0; i<hits.length-1; i++){
+    hits[i].durBeats = Math.min(hits[i].durBeats, hits[i+1].startBeat - hits[i].startBeat);
+  }
+  return hits;
+}
+
+const COMPOSERS = { drums: composeDrums, bass: composeBass, chords: composeChords, guitar: composeGuitar, lead: composeLead, vocals: composeVocals, ambient: composeAmbient };
+/** Guitar reads the drums and bass reads both, so they compose in this order */
+const COMPOSE_ORDER = ['drums', 'guitar', 'bass', 'chords', 'lead', 'vocals', 'ambient'];
+
+/**
+ * Compose note events for every lane. Lanes listed in `fixed` are taken as-is,
+ * which is how a regen keeps the untouched lanes identical.
+ */
+function composeLanes(plan, seed, fixed = {}){
+  const events = {};
+  for(const lane of COMPOSE_ORDER){
+    const salt = (seed ^ LANE_SALT[lane]) >>> 0;
+    events[lane] = fixed[lane] ?? humanizeEvents(lane, COMPOSERS[lane](plan, prng(salt), events), plan, prng((salt ^ HUMANIZE_SALT) >>> 0));
   }
+  return Object.fromEntries(LANES.map(lane=> [lane, events[lane]]));
+}
 
-  async #renderChords(length, sr, spec, harmony, midiOut){
-    const beatsPerBar = beatsPerBarFromTs(spec.ts);
-    const secPerBeat = 60 / spec.bpm;
-    const totalBars = Math.max(1, harmony.length || 0);
-    const totalBeats = totalBars * beatsPerBar;
-    const totalSec = Math.max(0.1, totalBeats * secPerBeat);
+/** Delay every off-beat note of the `grid` (0.25 = 16ths, 0.5 = 8ths) by `swing` of a grid step; notes keep their end where possible */
+function swingEvents(events, swing, grid = 0.25){
+  if(!swing) return events;
+  const shift = swing * grid;
+  return events.map(e=>{
+    const pos = e.startBeat % (grid * 2);
+    if(Math.abs(pos - grid) > 1e-6) return e;
+    return { ...e, startBeat: e.startBeat + shift, durBeats: Math.max(0.05, e.durBeats - shift) };
+  });
+}
 
-    return Tone.Offline(async ()=>{
-      Tone.Transport.cancel(0);
-      Tone.Transport.bpm.value = spec.bpm;
+// ---------------------- Humanize ----------------------
+
+/**
+ * Groove templates for spec.humanize.groove / style.feel.groove. `grid` is the note value that swings;
+ * `swing` replaces the style's swing when set; `hats: 'triplet'` rewrites the closed hats drill-style.
+ */
+const GROOVE_TEMPLATES = {
+  straight: { grid: 0.25 },
+  shuffle: { grid: 0.5, swing: 1/3 },
+  drill: { grid: 0.25, swing: 0, hats: 'triplet' },
+};
+
+const HUMANIZE_SALT = 0x4A11;
+/** Widest micro-timing offset at `timing: 1`, in milliseconds */
+const HUMANIZE_MS = 20;
+/** Timing spread per lane: the kit and the guitar stay tight, voices float, ambient pads stay put */
+const LANE_LOOSENESS = { drums: 0.6, bass: 0.7, chords: 0.8, guitar: 0.5, lead: 1.2, vocals: 1.5, ambient: 0 };
+
+/** Cymbals that keep time; the drill template turns them into hats */
+const TIMEKEEPERS = [GM.hat, GM.ride, GM.china];
+
+/**
+ * Drill hats: every beat with a timekeeping cymbal becomes closed-hat 8ths, 8th triplets or a
+ * 16th-triplet roll (usually on the last beat of the bar), accented on the beat.
+ */
+function drillHats(events, beatsPerBar, rng){
+  const slots = new Map(), out = [];
+  for(const e of events){
+    if(!TIMEKEEPERS.includes(e.note)){ out.push(e); continue; }
+    const barStart = Math.floor(e.startBeat / beatsPerBar + 1e-9) * beatsPerBar;
+    const slot = barStart + Math.floor(e.startBeat - barStart + 1e-9);
+    slots.set(slot, Math.max(slots.get(slot) ?? 0, e.vel ?? 60));
+  }
+  for(const [slot, vel] of slots){
+    const barEnd = (Math.floor(slot / beatsPerBar + 1e-9) + 1) * beatsPerBar;
+    const len = Math.min(1, barEnd - slot);
+    const r = rng();
+    const steps = r < (barEnd - slot <= 1 ? 0.45 : 0.08) ? 6 : r < 0.65 ? 3 : 2;
+    for(let i=0; i<steps; i++){
+      const v = steps === 6 ? vel * (0.6 + 0.4 * i / (steps - 1)) : i ? vel * 0.8 : vel;
+      out.push({ startBeat: slot + i * len / steps, durBeats: Math.min(0.25, len / steps), note: GM.hat, vel: Math.round(v) });
+    }
+  }
+  return out.sort((a,b)=> a.startBeat - b.startBeat);
+}
+
+/** Quiet snares on the 16ths around each backbeat, wherever the kick and snare are free */
+function ghostSnares(events, amount, rng){
+  const busy = new Set(events.filter(e=> e.note === GM.kick || e.note === GM.snare).map(e=> Math.round(e.startBeat * 4)));
+  const out = events.slice();
+  for(const e of events){
+    if(e.note !== GM.snare || (e.vel ?? 0) < 96) continue;
+    // the 'a' before, then the 'e' and 'a' after
+    for(const step of [-1, 1, 3]){
+      const s = Math.round(e.startBeat * 4) + step;
+      if(s < 0 || busy.has(s) || rng() >= amount * 0.5) continue;
+      busy.add(s);
+      out.push({ startBeat: s / 4, durBeats: 0.1, note: GM.snare, vel: 28 + Math.floor(rng() * 16), ghost: true });
+    }
+  }
+  return out.sort((a,b)=> a.startBeat - b.startBeat);
+}
+
+/** 1 on the downbeat, 0.5 on other beats, 0 on 8ths, -0.5 on anything finer */
+function accentOf(beat){
+  if(beat < 1e-6) return 1;
+  if(Math.abs(beat - Math.round(beat)) < 1e-6) return 0.5;
+  return Math.abs(beat*2 - Math.round(beat*2)) < 1e-6 ? 0 : -0.5;
+}
+
+/**
+ * The humanize stage between composing and both outputs: the groove template (drill hats, swing),
+ * ghost snares, then a velocity curve accenting downbeats and seeded micro-timing. Hits that share
+ * a start move together, and nothing is pulled before the start of its bar.
+ */
+function humanizeEvents(lane, events, plan, rng){
+  const { beatsPerBar, secPerBeat } = plan;
+  const feel = { ...plan.style.feel, ...plan.spec.humanize };
+  const template = GROOVE_TEMPLATES[feel.groove] || GROOVE_TEMPLATES.straight;
+  let out = events;
+  if(lane === 'drums'){
+    if(template.hats === 'triplet') out = drillHats(out, beatsPerBar, rng);
+    if(feel.ghosts > 0) out = ghostSnares(out, feel.ghosts, rng);
+  }
+  out = swingEvents(out, plan.spec.humanize?.swing ?? template.swing ?? plan.style.feel.swing, template.grid);
+  if(!LANE_LOOSENESS[lane]) return out;
+  const spread = clamp(Number(feel.timing) || 0, 0, 1) * LANE_LOOSENESS[lane] * HUMANIZE_MS / 1000 / secPerBeat;
+  const depth = clamp(Number(feel.velocity) || 0, 0, 1);
+  const offsets = new Map();
+  return out.map(e=>{
+    const barStart = Math.floor(e.startBeat / beatsPerBar + 1e-9) * beatsPerBar;
+    const key = Math.round(e.startBeat * 960);
+    if(!offsets.has(key)) offsets.set(key, (rng() + rng() - 1) * spread);
+    const startBeat = Math.max(barStart, e.startBeat + offsets.get(key));
+    const accent = e.ghost ? 0 : accentOf(e.startBeat - barStart);
+    const vel = clamp(Math.round((e.vel ?? 96) + depth * (10 * accent + (rng() * 2 - 1) * 6)), 1, 127);
+    return { ...e, startBeat, durBeats: Math.max(0.05, e.durBeats - (startBeat - e.startBeat)), vel };
+  });
+}
+
+/** Resolve a RegenSpec/TakeRef against the plan: clamps the window and fills in take number and seed. */
+function resolveTake(plan, ref, priorTakes = []){
+  const startBar = clamp(Math.floor(ref.startBar) || 1, 1, plan.totalBars);
+  const bars = clamp(Math.floor(ref.bars) || 1, 1, plan.totalBars - startBar + 1);
+  const take = ref.take ?? priorTakes.filter(t=> t.lane===ref.lane && t.startBar===startBar && t.bars===bars).length + 1;
+  const seed = ref.seed ?? deriveSeed(plan.spec.seed, ref.lane, startBar, bars, take);
+  return { lane: ref.lane, startBar, bars, take, seed };
+}
+
+function takeBeats(plan, take){
+  const startBeat = (take.startBar-1) * plan.beatsPerBar;
+  return { startBeat, endBeat: startBeat + take.bars * plan.beatsPerBar };
+}
+
+/** Re-compose the take's lane with the take's seed and splice it into `events` over the take's window. */
+function applyTake(plan, events, take){
+  const { [take.lane]: _, ...fixed } = events;
+  const rerolled = composeLanes(plan, take.seed, fixed)[take.lane];
+  const { startBeat, endBeat } = takeBeats(plan, take);
+  return { ...events, [take.lane]: spliceEvents(events[take.lane], rerolled, startBeat, endBeat) };
+}
 
-      const space = new Tone.JCReverb(0.2);
-      const amp = new Tone.Distortion(0.4);
-      const chorus = new Tone.Chorus(2.4, 0.4, 0.35).start();
-      const chords = new Tone.PolySynth(Tone.AMSynth, {
+/** Keep `base` outside [startBeat,endBeat) and `take` inside it; notes crossing an edge are cut there. */
+function spliceEvents(base, take, startBeat, endBeat){
+  const out = [];
+  for(const e of base){
+    if(e.startBeat < startBeat){
+      const end = e.startBeat + e.durBeats;
+      out.push(end > startBeat ? { ...e, durBeats: startBeat - e.startBeat } : e);
+    } else if(e.startBeat >= endBeat){
+      out.push(e);
+    }
+  }
+  for(const e of take){
+    if(e.startBeat < startBeat || e.startBeat >= endBeat) continue;
+    const end = e.startBeat + e.durBeats;
+    out.push(end > endBeat ? { ...e, durBeats: endBeat - e.startBeat } : e);
+  }
+  return out.sort((a,b)=>a.startBeat-b.startBeat);
+}
+
+/**
+ * The song's render blocks: every section split into runs of at most BLOCK_BARS bars, each with its
+ * window in beats, the section it belongs to and its frames in the stem. A block's segment runs on
+ * through the next block's SPLICE_FADE_SEC crossfade; the last one runs to the end of the stems.
+ */
+function renderBlocks(plan){
+  const blocks = [];
+  for(const sec of plan.sections){
+    for(let bar=0; bar<sec.bars; bar+=BLOCK_BARS){
+      const startBar = sec.startBar + bar, bars = Math.min(BLOCK_BARS, sec.bars - bar);
+      const startBeat = startBar * plan.beatsPerBar;
+      blocks.push({ sec, startBar, bars, startBeat, endBeat: startBeat + bars * plan.beatsPerBar, fromFrame: Math.round(startBeat * plan.secPerBeat * plan.sr) });
+    }
+  }
+  const fade = Math.round(SPLICE_FADE_SEC * plan.sr);
+  blocks.forEach((block, i)=>{
+    block.first = i === 0;
+    block.last = i === blocks.length - 1;
+    block.toFrame = block.last ? Math.ceil((plan.totalSec + 0.5) * plan.sr) : blocks[i+1].fromFrame + fade;
+  });
+  return blocks;
+}
+
+/**
+ * The events one lane renders for a block: its own, those starting in the crossfade into the next
+ * block (both sides of the seam play them), and earlier ones still ringing at the block start
+ * within LANE_TAIL_SEC. Rendering those from their start brings delays, reverbs, saturation and
+ * compressors to the seam in the state a whole-song render has there.
+ */
+function blockEvents(plan, lane, block, events){
+  const startSec = block.fromFrame / plan.sr, endSec = block.toFrame / plan.sr;
+  return events.filter(e=>{
+    const on = e.startBeat * plan.secPerBeat;
+    return on < endSec && (on >= startSec || on + e.durBeats * plan.secPerBeat + LANE_TAIL_SEC[lane] > startSec);
+  });
+}
+
+/**
+ * Cache key of one lane's block: engine, rate, lane, seed, tempo and meter, the section spec, the
+ * block's harmony slice, patch, length and fades, plus its blockEvents() relative to its start (which
+ * carry anything composed across blocks: fills, swells, comped takes, notes ringing in from before).
+ * Headless drums also key on where the block falls in the noise loop. Two FNV lanes, 16 hex digits.
+ */
+function segmentKey(engine, lane, plan, block, events){
+  const { spec } = plan;
+  const { sec } = block;
+  const local = blockEvents(plan, lane, block, events).map(e=> ({ ...e, startBeat: e.startBeat - block.startBeat }));
+  const harmony = plan.harmony.slice(block.startBar, block.startBar + block.bars);
+  const noisePhase = engine === 'headless' && lane === 'drums' ? block.fromFrame % Math.round(NOISE_LOOP_SEC * plan.sr) : null;
+  const span = [block.toFrame - block.fromFrame, block.first, block.last, noisePhase];
+  const json = JSON.stringify([engine, plan.sr, lane, spec.seed, spec.bpm, spec.ts, sec.name, sec.role, sec.bars, sec.lyrics, block.bars, span, harmony, plan.style.patches[lane], local]);
+  const hex = h=> h.toString(16).padStart(8, '0');
+  return hex(deriveSeed(json)) + hex(deriveSeed(json.length, json));
+}
+
+/** Fade the last `frames` of a buffer out to silence, in place */
+function fadeOut(buf, frames){
+  const n = Math.min(frames, buf.length);
+  for(let c=0;c<buf.numberOfChannels;c++){
+    const data = buf.getChannelData(c);
+    for(let j=1;j<=n;j++) data[buf.length - j] *= (j - 1) / n;
+  }
+}
+
+/** Fade the first `frames` of a buffer in, in place; across a seam its gains and fadeOut's sum to one */
+function fadeIn(buf, frames){
+  const n = Math.min(frames, buf.length);
+  for(let c=0;c<buf.numberOfChannels;c++){
+    const data = buf.getChannelData(c);
+    for(let j=0;j<n;j++) data[j] *= (j + 1) / n;
+  }
+}
+
+/** Sum `segment` into `stem` from `fromFrame` (neighbouring segments overlap by their crossfade) */
+function addSegment(stem, segment, fromFrame){
+  const frames = Math.min(segment.length, stem.length - fromFrame);
+  for(let c=0;c<stem.numberOfChannels;c++){
+    const dst = stem.getChannelData(c);
+    const src = segment.getChannelData(Math.min(c, segment.numberOfChannels-1));
+    for(let j=0;j<frames;j++) dst[fromFrame + j] += src[j];
+  }
+}
+
+/** The audible channel strips of a mix: mute and solo applied, style balance folded into the fader gain */
+function mixStrips(stems, balance, { lanes }){
+  const soloed = LANES.some(lane=> lanes[lane].solo);
+  return LANES.filter(lane=> !lanes[lane].mute && (!soloed || lanes[lane].solo)).map(lane=> ({
+    buffer: stems[lane],
+    gain: (balance?.[lane] ?? 1) * Math.pow(10, lanes[lane].gain / 20),
+    pan: clamp(lanes[lane].pan, -1, 1),
+    send: clamp(lanes[lane].send, 0, 1),
+  }));
+}
+
+/** @returns {MixSettings} unity strips at their default pans, gentle glue, flat EQ, -1 dBFS ceiling */
+export function defaultMixSettings(){
+  return {
+    lanes: Object.fromEntries(LANES.map(lane=> [lane, { gain: 0, pan: LANE_PAN[lane], mute: false, solo: false, send: 0 }])),
+    master: { glue: { threshold: -18, ratio: 2 }, eq: { low: 0, mid: 0, high: 0 }, ceiling: -1 },
+  };
+}
+
+/** Fill any missing strip/master fields from the defaults */
+function normalizeMix(settings = {}){
+  const def = defaultMixSettings();
+  const master = settings.master || {};
+  return {
+    lanes: Object.fromEntries(LANES.map(lane=> [lane, { ...def.lanes[lane], ...settings.lanes?.[lane] }])),
+    master: { glue: { ...def.master.glue, ...master.glue }, eq: { ...def.master.eq, ...master.eq }, ceiling: master.ceiling ?? def.master.ceiling },
+  };
+}
+
+/**
+ * Lookahead brickwall limiter, in place. Each frame's gain is the lowest any frame in the next
+ * `lookahead` needs, released exponentially and then averaged over the lookahead, so the gain
+ * ramps down before a peak and never lets it past `ceilingDb`.
+ */
+function limitBuffer(buffer, ceilingDb = -1, lookahead = 0.005, release = 0.08){
+  const ceil = Math.pow(10, ceilingDb / 20);
+  const n = buffer.length;
+  const chans = [];
+  for(let c=0;c<buffer.numberOfChannels;c++) chans.push(buffer.getChannelData(c));
+  const L = Math.max(1, Math.round(lookahead * buffer.sampleRate));
+  const need = new Float32Array(n);
+  for(let i=0;i<n;i++){
+    let peak = 0;
+    for(const ch of chans) peak = Math.max(peak, Math.abs(ch[i]));
+    need[i] = peak > ceil ? ceil / peak : 1;
+  }
+  // sliding minimum over [i, i+L] (monotonic deque), with release
+  const env = new Float32Array(n);
+  const dq = new Int32Array(n + L + 1);
+  const rel = 1 - Math.exp(-1 / (release * buffer.sampleRate));
+  let head = 0, tail = 0, next = 0, g = 1;
+  for(let i=0;i<n;i++){
+    for(; next < n && next <= i + L; next++){
+      while(tail > head && need[dq[tail-1]] >= need[next]) tail--;
+      dq[tail++] = next;
+    }
+    while(dq[head] < i) head++;
+    const target = need[dq[head]];
+    g = target < g ? target : g + (target - g) * rel;
+    env[i] = g;
+  }
+  // moving average over the previous L+1 frames keeps the gain at or under what each peak needs
+  let sum = L;
+  for(let i=0;i<n;i++){
+    sum += env[i];
+    const gain = sum / (L + 1);
+    sum -= i - L >= 0 ? env[i - L] : 1;
+    for(const ch of chans) ch[i] = clamp(ch[i] * gain, -ceil, ceil);
+  }
+  return buffer;
+}
+
+/** Pad or trim to `length` frames so every stem in a bundle starts and ends together */
+function alignBuffer(buf, length){
+  if(buf.length === length) return buf;
+  const out = createBuffer({ length, sampleRate: buf.sampleRate, numberOfChannels: buf.numberOfChannels });
+  for(let c=0;c<buf.numberOfChannels;c++) out.getChannelData(c).set(buf.getChannelData(c).subarray(0, length));
+  return out;
+}
+
+/** 'Ashen Siege' at 142 BPM in C# aeolian -> 'ashen-siege_142bpm_C#-aeolian' */
+function sessionFileBase(title, spec){
+  const name = String(title || 'session').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') || 'session';
+  const mode = Array.isArray(spec.mode) ? 'custom' : String(spec.mode || 'major').replace(/\(.*\)/, '').trim().replace(/\s+/g, '-');
+  return `${name}_${Math.round(spec.bpm)}bpm_${spec.key}-${mode}`;
+}
+
+/**
+ * MIDI key signature for a tonic + mode: sharps/flats of the tonic's major key, or of its minor key
+ * when the mode has a minor third (Dorian, Phrygian, harmonic minor... are written as minor).
+ * The key's spelling picks sharps or flats where both exist ('C#' -> 7 sharps, 'Db' -> 5 flats).
+ */
+function keySignature(key, mode){
+  const semi = NOTE_TO_SEMI[key] ?? 0;
+  const minor = resolveScale(mode)[2] === 3;
+  let sf = ((semi + (minor ? 3 : 0)) * 7) % 12;
+  if(sf > 6) sf -= 12;
+  if(/#/.test(key) && sf < 0) sf += 12;
+  if(/b/.test(key) && sf > 0) sf -= 12;
+  if(sf > 7) sf -= 12;      // no 8-sharp/flat keys: Db minor is written as C# minor
+  if(sf < -7) sf += 12;
+  return { sf, mi: minor ? 1 : 0 };
+}
+
+/** Everything writeMidi needs for a spec: meter, key, one marker per section, named lane tracks */
+function midiPayload(spec, events, name){
+  const meter = meterFromTs(spec.ts);
+  const { num, den, compound } = meter;
+  const markers = [];
+  let bar = 0;
+  for(const sec of spec.structure || []){
+    markers.push({ beat: bar * meter.beatsPerBar, text: sec.name || sec.role || `Section ${markers.length + 1}` });
+    bar += sec.bars || 0;
+  }
+  return {
+    bpm: spec.bpm, timeSig: { num, den, compound }, keySig: keySignature(spec.key, spec.mode), markers, name,
+    tracks: LANES.map(lane=> ({ ...LANE_MIDI[lane], events: events[lane] })),
+  };
+}
+
+// ---------------------- MIDI Import ----------------------
+/** Triad shapes the detector tries, keyed by the chord-name suffix parseNameChord understands */
+const CHORD_SHAPES = { '': [0,4,7], 'm': [0,3,7], 'dim': [0,3,6], 'aug': [0,4,8] };
+
+/**
+ * Best triad for a bar's pitch-class weights: chord tones count for, other notes against,
+ * a root in the bass helps, and dim/aug must clearly beat maj/min.
+ * @param {number[]} weights - 12 pitch-class weights
+ * @param {number|null} bassPc
+ * @returns {{root:number, suffix:string}|null}
+ */
+function detectChord(weights, bassPc){
+  const total = weights.reduce((a,b)=> a+b, 0);
+  if(!total) return null;
+  let best = null;
+  for(let root=0; root<12; root++){
+    for(const [suffix, shape] of Object.entries(CHORD_SHAPES)){
+      const tones = shape.map(i=> (root + i) % 12);
+      const inside = tones.reduce((a,pc)=> a + weights[pc], 0);
+      let score = inside - 0.5 * (total - inside) + (bassPc === root ? 0.3 * total : 0);
+      if(suffix === 'dim' || suffix === 'aug') score -= 0.1 * total;
+      if(!weights[root]) score -= 0.2 * total; // implied roots lose to sounded ones
+      if(!best || score > best.score) best = { root, suffix, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Map a parsed track to a lane: by track name first ('Rhythm Guitar' -> guitar, 'Lead Vox' -> vocals),
+ * then lyrics, then channel
+ */
+function laneForTrack(track){
+  const name = track.name.toLowerCase();
+  const byName = { vocals: /vocal|vox|voice|sing/, ambient: /ambient|atmo|drone|texture/, drums: /drum|kit|perc/, bass: /bass/, chords: /chord|pad|keys|string/, guitar: /guitar|gtr|rhythm/, lead: /lead|melody|solo/ };
+  for(const [lane, re] of Object.entries(byName)) if(re.test(name)) return lane;
+  if(track.notes.some(n=> n.lyric)) return 'vocals';
+  const channel = track.notes[0]?.channel;
+  if(channel === undefined) return null;
+  return LANES.find(lane=> LANE_MIDI[lane].channel === channel) || null;
+}
+
+/** Parsed notes -> lane events in beats: drums use `note`, mono lanes `midi` (vocals keep lyrics), chord lanes stack `midis` */
+function notesToLaneEvents(lane, notes, ppq){
+  const ev = n=> ({ startBeat: n.tick / ppq, durBeats: n.dur / ppq, vel: n.vel });
+  if(lane === 'drums') return notes.map(n=> ({ ...ev(n), note: n.midi }));
+  if(lane === 'vocals') return notes.map(n=> ({ ...ev(n), midi: n.midi, ...(n.lyric && { lyric: n.lyric }) }));
+  if(lane === 'bass' || lane === 'lead') return notes.map(n=> ({ ...ev(n), midi: n.midi }));
+  const out = [];
+  for(const n of notes){
+    const last = out[out.length-1];
+    if(last && last.startBeat === n.tick / ppq){
+      last.midis.push(n.midi);
+      last.durBeats = Math.max(last.durBeats, n.dur / ppq);
+    } else {
+      out.push({ ...ev(n), midis: [n.midi] });
+    }
+  }
+  return out;
+}
+
+function specFromMidi(midi, base, lock){
+  const { ppq } = midi;
+  const ts = midi.timeSigs[0] ? `${midi.timeSigs[0].num}/${midi.timeSigs[0].den}` : '4/4';
+  const { beatsPerBar } = meterFromTs(ts);
+  const bpm = midi.tempos[0] ? Math.round(midi.tempos[0].bpm * 100) / 100 : base.bpm;
+  const totalBars = Math.max(1, Math.ceil(midi.lengthTicks / ppq / beatsPerBar - 1e-6));
+
+  // lanes the file provides
+  const laneNotes = {};
+  const pitched = [];
+  for(const track of midi.tracks){
+    if(!track.notes.length) continue;
+    const lane = laneForTrack(track);
+    if(lane) (laneNotes[lane] ||= []).push(...track.notes);
+    if(lane !== 'drums') pitched.push(...track.notes.filter(n=> n.channel !== 9).map(n=> ({ ...n, lane })));
+  }
+  const chordSource = pitched.some(n=> n.lane === 'chords') ? pitched.filter(n=> n.lane === 'chords') : pitched;
+
+  // one chord per bar (empty bars hold the previous chord)
+  const flats = midi.keySig ? midi.keySig.sf < 0 : /b/.test(base.key);
+  const names = flats ? SEMI_TO_FLAT : SEMI_TO_NOTE;
+  const barChords = [];
+  let prev = null;
+  for(let bar=0; bar<totalBars; bar++){
+    const b0 = bar * beatsPerBar * ppq, b1 = b0 + beatsPerBar * ppq;
+    const weights = Array(12).fill(0);
+    let bass = null;
+    for(const n of chordSource){
+      const overlap = Math.min(b1, n.tick + n.dur) - Math.max(b0, n.tick);
+      if(overlap <= 0) continue;
+      weights[n.midi % 12] += overlap * (0.5 + n.vel / 254);
+    }
+    for(const n of pitched){
+      if(Math.min(b1, n.tick + n.dur) > Math.max(b0, n.tick) && (bass === null || n.midi < bass)) bass = n.midi;
+    }
+    const chord = detectChord(weights, bass === null ? null : bass % 12);
+    prev = chord ? `${names[chord.root]}${chord.suffix}` : prev;
+    barChords.push(prev);
+  }
+  const firstChord = barChords.find(Boolean) || 'C';
+  for(let i=0; i<barChords.length; i++) barChords[i] ||= firstChord;
+
+  // key: the key signature, else the first chord's root and third
+  let key, mode;
+  if(midi.keySig){
+    const major = ((midi.keySig.sf * 7) % 12 + 12) % 12;
+    key = names[midi.keySig.mi ? (major + 9) % 12 : major];
+    mode = midi.keySig.mi ? 'minor' : 'major';
+  } else {
+    const first = parseNameChord(firstChord);
+    key = names[first.rootSemi];
+    mode = first.quality === 'min' || first.quality === 'dim' ? 'minor' : 'major';
+  }
+
+  // sections from markers (bar-rounded); unmarked files are one section
+  const starts = [];
+  for(const m of midi.markers){
+    const bar = Math.round(m.tick / ppq / beatsPerBar);
+    if(bar >= totalBars) continue;
+    if(starts.length && starts[starts.length-1].bar === bar) starts[starts.length-1].name = m.text;
+    else starts.push({ bar, name: m.text });
+  }
+  if(!starts.length || starts[0].bar > 0) starts.unshift({ bar: 0, name: starts.length ? 'Intro' : 'Imported' });
+  const structure = starts.map((st, i)=>{
+    const end = i < starts.length - 1 ? starts[i+1].bar : totalBars;
+    return { name: st.name, bars: end - st.bar, chords: barChords.slice(st.bar, end).join(' ') };
+  });
+
+  const lockLanes = lock === true ? Object.keys(laneNotes) : Array.isArray(lock) ? lock.filter(l=> laneNotes[l]) : [];
+  const locked = lockLanes.length
+    ? Object.fromEntries(lockLanes.map(lane=> [lane, notesToLaneEvents(lane, laneNotes[lane].slice().sort((a,b)=> a.tick-b.tick), ppq)]))
+    : undefined;
+  const regenLane = LANES.find(lane=> !locked?.[lane]) || 'lead';
+  return {
+    ...base, bpm, ts, key, mode,
+    progression: structure[0].chords,
+    structure,
+    locked,
+    regen: { lane: regenLane, startBar: 1, bars: Math.min(4, totalBars) },
+    takes: [],
+  };
+}
+
+/** Valid locked lanes of a spec, as composeLanes' `fixed` map */
+function lockedLanes(spec){
+  const fixed = {};
+  for(const lane of LANES) if(Array.isArray(spec.locked?.[lane])) fixed[lane] = spec.locked[lane];
+  return fixed;
+}
+
+// ---------------------- Tone Voices ----------------------
+
+/**
+ * Tone.js instruments per lane, shared by the offline renderer and live mode. Each builds its chain
+ * in the current Tone context, feeding `out`, and returns { play(e, time, secPerBeat), dispose() }.
+ */
+const TONE_VOICES = {
+  drums(plan, out){
+    const { spec, sr } = plan;
+    const patch = plan.style.patches.drums;
+    const drumBus = new Tone.Channel({ volume: -3 }).connect(out);
+    const comp = new Tone.Compressor({ threshold: -8, ratio: 3, attack: 0.002, release: 0.18 }).connect(drumBus);
+
+    const kick = new Tone.MembraneSynth({
+      envelope: { attack: 0.001, decay: patch.kickDecay, sustain: 0 },
+      pitchDecay: 0.03,
+      octaves: 2.8
+    }).connect(comp);
+
+    // noise voices: a seeded noise loop, running from the start, gated by an envelope
+    const rng = prng((spec.seed ^ RENDER_SALT.noise) >>> 0);
+    const noise = [];
+    const noiseVoice = (type, envelope)=>{
+      const env = new Tone.AmplitudeEnvelope(envelope);
+      const buffer = Tone.ToneAudioBuffer.fromArray([0, 1].map(()=> noiseSamples(rng, sr * 2, type)));
+      noise.push(env, new Tone.ToneBufferSource({ url: buffer, loop: true }).connect(env).start(0));
+      return env;
+    };
+
+    const snare = noiseVoice('pink', { attack: 0.001, decay: patch.snareDecay, sustain: 0 }).connect(comp);
+
+    const tom = new Tone.MembraneSynth({
+      envelope: { attack: 0.001, decay: 0.5, sustain: 0 },
+      pitchDecay: 0.06,
+      octaves: 1.6
+    }).connect(comp);
+
+    const hat = noiseVoice('white', { attack: 0.001, decay: 0.08, sustain: 0 });
+    const openHat = noiseVoice('white', { attack: 0.001, decay: 0.35, sustain: 0 });
+    const hatChain = new Tone.MidSideMerge().connect(out);
+    hat.connect(hatChain);
+    openHat.connect(hatChain);
+
+    const cymbalBus = new Tone.Channel({ volume: -14 }).connect(out);
+    const crash = new Tone.MetalSynth({ envelope: { attack: 0.001, decay: 1.4, release: 0.4 }, harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5 }).connect(cymbalBus);
+    const ride = new Tone.MetalSynth({ envelope: { attack: 0.001, decay: 0.45, release: 0.2 }, harmonicity: 8.5, modulationIndex: 20, resonance: 6500, octaves: 1 }).connect(cymbalBus);
+    const china = new Tone.MetalSynth({ envelope: { attack: 0.001, decay: 0.8, release: 0.3 }, harmonicity: 3.1, modulationIndex: 48, resonance: 3000, octaves: 2 }).connect(cymbalBus);
+
+    return {
+      play(e, time, secPerBeat){
+        const vel = (e.vel ?? 90) / 127;
+        const dur = e.durBeats * secPerBeat;
+        switch(e.note){
+          case GM.kick: return kick.triggerAttackRelease('C2', '8n', time, vel);
+          case GM.snare: return snare.triggerAttackRelease('8n', time, vel);
+          case GM.openHat: return openHat.triggerAttackRelease(dur, time, vel);
+          case GM.crash: return crash.triggerAttackRelease(300, dur, time, vel);
+          case GM.ride: return ride.triggerAttackRelease(520, dur, time, vel);
+          case GM.china: return china.triggerAttackRelease(240, dur, time, vel);
+          default:
+            return TOM_PITCH[e.note] !== undefined
+              ? tom.triggerAttackRelease(Tone.Frequency(TOM_PITCH[e.note], 'midi'), '8n', time, vel)
+              : hat.triggerAttackRelease(dur, time, vel);
+        }
+      },
+      dispose: ()=> [drumBus, comp, kick, ...noise, tom, hatChain, cymbalBus, crash, ride, china].forEach(node=> node.dispose()),
+    };
+  },
+
+  bass(plan, out){
+    const patch = plan.style.patches.bass;
+    const bass = new Tone.MonoSynth({
+      oscillator: { type: patch.osc },
+      filter: { type: 'lowpass', rolloff: -24, Q: 1 },
+      envelope: { attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.3 },
+      filterEnvelope: { attack: 0.01, decay: 0.15, sustain: 0.3, release: 0.1, baseFrequency: patch.cutoff, octaves: 3 }
+    });
+    const sat = new Tone.Distortion(patch.drive).connect(out);
+    const eq = new Tone.EQ3({ low: 3, mid: -4, high: -6 }).connect(sat);
+    bass.connect(eq);
+    return {
+      play: (e, time, secPerBeat)=> bass.triggerAttackRelease(Tone.Frequency(e.midi, 'midi'), e.durBeats*secPerBeat, time, (e.vel ?? 100) / 127),
+      dispose: ()=> [bass, eq, sat].forEach(node=> node.dispose()),
+    };
+  },
+
+  chords(plan, out){
+    const patch = plan.style.patches.chords;
+    const space = new Tone.JCReverb(patch.space);
+    const amp = new Tone.Distortion(patch.drive);
+    const chorus = new Tone.Chorus(2.4, 0.4, 0.35).start();
+    const chords = new Tone.PolySynth(Tone.AMSynth, {
+      oscillator: { type: patch.osc },
+      envelope: { attack: 0.08, decay: 0.2, sustain: 0.7, release: 0.4 },
+      filter: { type: 'lowpass', rolloff: -12 },
+    });
+    const channel = new Tone.Channel({ pan:-0.12, volume:-4 }).connect(out);
+    chords.chain(amp, chorus, space, channel);
+    return {
+      play: (e, time, secPerBeat)=> chords.triggerAttackRelease(e.midis.map(n=>Tone.Frequency(n, 'midi')), e.durBeats*secPerBeat, time, (e.vel ?? 90) / 127),
+      dispose: ()=> [chords, amp, chorus, space, channel].forEach(node=> node.dispose()),
+    };
+  },
+
+  guitar(plan, out){
+    const patch = plan.style.patches.guitar;
+    // Double-tracked: two slightly detuned takes panned left/right, each through its own amp + cab
+    const bus = new Tone.Channel({ volume: -10 }).connect(out);
+    const nodes = [bus];
+    const sides = [-0.7, 0.7].map((pan, i)=>{
+      const gtr = new Tone.PolySynth(Tone.Synth, {
         oscillator: { type: 'sawtooth' },
-        envelope: { attack: 0.08, decay: 0.2, sustain: 0.7, release: 0.4 },
-        filter: { type: 'lowpass', rolloff: -12 },
+        detune: i ? patch.detune : -patch.detune,
+        envelope: { attack: 0.003, decay: 0.09, sustain: 0.3, release: 0.06 }
       });
-      chords.chain(amp, chorus, space, new Tone.Channel({ pan:-0.12, volume:-4 }).toDestination());
-
-      for(let bar=0; bar<totalBars; bar++){
-        const t0 = bar * beatsPerBar * secPerBeat;
-        const notes = harmony[bar].notes;
-        Tone.Transport.schedule(time=>{
-          chords.triggerAttackRelease(notes.map(n=>Tone.Frequency(n, 'midi')), beatsPerBar*secPerBeat, time, 0.7);
-        }, t0);
-        midiOut.push({startBeat: bar*beatsPerBar, durBeats: beatsPerBar, midis: notes.slice(), vel: 90});
+      const amp = new Tone.Distortion(patch.gain);
+      const cab = new Tone.Filter({ type: 'lowpass', frequency: patch.cab, Q: 0.6 });
+      const eq = new Tone.EQ3({ low: 2, mid: -3, high: -2 });
+      const panner = new Tone.Panner(pan);
+      gtr.chain(amp, cab, eq, panner, bus);
+      nodes.push(gtr, amp, cab, eq, panner);
+      return gtr;
+    });
+    return {
+      play(e, time, secPerBeat){
+        const vel = (e.vel ?? 100) / 127;
+        for(const gtr of sides) gtr.triggerAttackRelease(e.midis.map(n=>Tone.Frequency(n, 'midi')), e.durBeats*secPerBeat, time, vel);
+      },
+      dispose: ()=> nodes.forEach(node=> node.dispose()),
+    };
+  },
+
+  lead(plan, out){
+    const patch = plan.style.patches.lead;
+    const vibrato = new Tone.Vibrato(6, patch.vibrato);
+    const delay = new Tone.FeedbackDelay(0.22, patch.delay);
+    const lead = new Tone.MonoSynth({
+      oscillator: { type: patch.osc },
+      envelope: { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.25 },
+      filter: { type: 'lowpass', rolloff: -12 },
+      filterEnvelope: { attack: 0.01, decay: 0.1, sustain: 0.2, release: 0.2, baseFrequency: 600, octaves: 3 }
+    });
+    const channel = new Tone.Channel({ pan: 0.14, volume: -6 }).connect(out);
+    lead.chain(vibrato, delay, channel);
+    return {
+      play: (e, time, secPerBeat)=> lead.triggerAttackRelease(Tone.Frequency(e.midi, 'midi'), e.durBeats*secPerBeat, time, (e.vel ?? 108) / 127),
+      dispose: ()=> [lead, vibrato, delay, channel].forEach(node=> node.dispose()),
+    };
+  },
+
+  /**
+   * Guide vocal: a buzzy source through three band-pass formants that move to each syllable's vowel.
+   * Harsh notes drop an octave into a distortion for a growl.
+   */
+  vocals(plan, out){
+    const patch = plan.style.patches.vocals;
+    const channel = new Tone.Channel({ volume: -4 }).connect(out);
+    const growl = new Tone.Distortion(patch.growl).connect(channel);
+    growl.wet.value = 0;
+    const formants = FORMANTS.a.map((freq, i)=> new Tone.Filter({ type: 'bandpass', frequency: freq, Q: 9 - i*2 }).connect(growl));
+    const gains = [1, 0.5, 0.25].map((g, i)=> new Tone.Gain(g).connect(formants[i]));
+    const vibrato = new Tone.Vibrato(5.5, patch.vibrato);
+    const voice = new Tone.MonoSynth({
+      oscillator: { type: 'sawtooth' },
+      envelope: { attack: 0.04, decay: 0.1, sustain: 0.85, release: 0.12 },
+      filterEnvelope: { attack: 0.01, decay: 0.1, sustain: 1, release: 0.1, baseFrequency: 4000, octaves: 0 },
+      portamento: 0.03,
+    });
+    voice.connect(vibrato);
+    for(const g of gains) vibrato.connect(g);
+    return {
+      play(e, time, secPerBeat){
+        const vowel = FORMANTS[syllableVowel(e.lyric)];
+        formants.forEach((f, i)=> f.frequency.linearRampTo(vowel[i], 0.04, time));
+        growl.wet.setValueAtTime(e.harsh ? 1 : 0, time);
+        voice.triggerAttackRelease(Tone.Frequency(e.midi - (e.harsh ? 12 : 0), 'midi'), e.durBeats*secPerBeat, time, (e.vel ?? 96) / 127);
+      },
+      dispose: ()=> [voice, vibrato, ...gains, ...formants, growl, channel].forEach(node=> node.dispose()),
+    };
+  },
+
+  /**
+   * Detuned saw pads through a low-pass, a stereo chorus and a feedback delay. Pads fade in over up
+   * to 1.5 s, drones over four beats; swells rise across their whole length and stop dead on the downbeat.
+   */
+  ambient(plan, out){
+    const patch = plan.style.patches.ambient;
+    const channel = new Tone.Channel({ volume: -10 }).connect(out);
+    const delay = new Tone.FeedbackDelay(0.27, patch.delay).connect(channel);
+    const chorus = new Tone.Chorus(0.3, 3.5, 0.7).connect(delay).start();
+    const filter = new Tone.Filter(patch.cutoff, 'lowpass').connect(chorus);
+    const pad = new Tone.PolySynth(Tone.Synth, {
+      oscillator: { type: 'fatsawtooth', count: 3, spread: patch.detune },
+      envelope: { attack: 1.5, decay: 0.5, sustain: 0.9, release: 1.5 },
+    }).connect(filter);
+    return {
+      play(e, time, secPerBeat){
+        const dur = e.durBeats * secPerBeat;
+        const attack = e.kind === 'swell' ? dur : e.kind === 'drone' ? Math.min(dur / 2, 4 * secPerBeat) : Math.min(dur / 2, 1.5);
+        pad.set({ envelope: { attack, attackCurve: e.kind === 'swell' ? 'exponential' : 'linear', release: e.kind === 'swell' ? 0.03 : 1.5 } });
+        pad.triggerAttackRelease(e.midis.map(m=> Tone.Frequency(m, 'midi')), dur, time, (e.vel ?? 70) / 127);
+      },
+      dispose: ()=> [pad, filter, chorus, delay, channel].forEach(node=> node.dispose()),
+    };
+  },
+};
+
+// ---------------------- Live Mode ----------------------
+
+/**
+ * Real-time playback on Tone.Transport; see SongGenerator.live(). Each bar is queued a beat before its
+ * bar line, so update(), loop(), seek() and metronome() take effect at the next bar without a render.
+ */
+class LiveSession {
+  #compose;
+  #opts;
+  #song;
+  #next = null;
+  #voices = {};
+  #strips = {};
+  #master;
+  #click;
+  #retired = new Set();
+  #bar;
+  #countIn;
+  #loop;
+  #metronome;
+  #playing = false;
+
+  /** @param {(spec: SessionSpec) => Object} compose @param {SessionSpec} spec @param {LiveOptions} opts */
+  constructor(compose, spec, opts){
+    this.#compose = compose;
+    this.#opts = opts;
+    this.#song = this.#arrange(spec);
+    this.#bar = Math.max(0, Math.floor(opts.startBar ?? 0));
+    this.#countIn = Math.max(0, Math.floor(opts.countIn ?? 1));
+    this.#loop = opts.loop ?? null;
+    this.#metronome = !!opts.metronome;
+  }
+
+  async start(){
+    await Tone.start();
+    const transport = Tone.getTransport();
+    transport.stop();
+    transport.cancel(0);
+    transport.position = 0;
+    transport.bpm.value = this.#song.plan.spec.bpm;
+    this.#master = this.#masterBus();
+    this.#click = new Tone.Synth({ oscillator: { type: 'square' }, envelope: { attack: 0.001, decay: 0.04, sustain: 0, release: 0.01 }, volume: -12 }).toDestination();
+    this.#playing = true;
+    this.#next = this.#song;
+    this.#queueBar(0);
+    transport.start('+0.05');
+  }
+
+  stop(){
+    if(!this.#playing) return;
+    this.#playing = false;
+    const transport = Tone.getTransport();
+    transport.stop();
+    transport.cancel(0);
+    for(const voice of [...Object.values(this.#voices), ...this.#retired]) voice.dispose();
+    for(const strip of Object.values(this.#strips)) strip.dispose();
+    this.#master.dispose();
+    this.#click.dispose();
+    this.#voices = {};
+    this.#strips = {};
+    this.#retired.clear();
+  }
+
+  /** Recompose from `spec`; the new song (tempo, key, timeline, mix…) takes over at the next bar line */
+  update(spec){ this.#next = this.#arrange(spec); }
+
+  /** Loop a section by index from the next bar line on, or play on with null */
+  loop(section){ this.#loop = section ?? null; }
+
+  /** Continue from song bar `bar` (0-based) at the next bar line */
+  seek(bar){ this.#bar = Math.max(0, Math.floor(bar)); }
+
+  /** Click every beat while the song plays; the count-in always clicks */
+  metronome(on){ this.#metronome = !!on; }
+
+  #arrange(spec){
+    const { plan, events } = this.#compose(spec);
+    return { plan, bars: Object.fromEntries(LANES.map(lane=> [lane, eventsByBar(events[lane], plan.beatsPerBar, plan.totalBars)])) };
+  }
+
+  /** Glue compressor -> 3-band EQ -> limiter, as in the offline mix, with the seeded reverb as the send bus */
+  #masterBus(){
+    const { spec } = this.#song.plan;
+    const limiter = new Tone.Limiter(-1).toDestination();
+    const eq = [['lowshelf', 120], ['peaking', 1000], ['highshelf', 8000]].map(([type, frequency])=> new Tone.Filter({ type, frequency, Q: 0.7 }));
+    const glue = new Tone.Compressor({ knee: 6, attack: 0.03, release: 0.25 });
+    const input = new Tone.Gain(0.9);
+    input.chain(glue, ...eq, limiter);
+    const reverb = new Tone.Convolver(createReverbBuffer(Tone.getContext().rawContext, prng((spec.seed ^ RENDER_SALT.reverb) >>> 0))).connect(input);
+    return { input, glue, eq, limiter, reverb, dispose: ()=> [input, glue, ...eq, limiter, reverb].forEach(node=> node.dispose()) };
+  }
+
+  /** Swap in a lane's voice when its patch changed; the old one rings out for a bar before it is freed */
+  #voice(lane, plan, tick){
+    const patch = JSON.stringify(plan.style.patches[lane]);
+    const current = this.#voices[lane];
+    if(current?.patch === patch) return current;
+    if(!this.#strips[lane]){
+      const strip = new Tone.Channel().connect(this.#master.input);
+      const send = new Tone.Gain(0).connect(this.#master.reverb);
+      strip.connect(send);
+      this.#strips[lane] = { strip, send, dispose: ()=>{ strip.dispose(); send.dispose(); } };
+    }
+    const voice = { ...TONE_VOICES[lane](plan, this.#strips[lane].strip), patch };
+    if(current){
+      this.#retired.add(current);
+      Tone.getTransport().scheduleOnce(()=>{ this.#retired.delete(current); current.dispose(); }, `${tick + Math.round(plan.beatsPerBar * Tone.getTransport().PPQ)}i`);
+    }
+    return this.#voices[lane] = voice;
+  }
+
+  /** Mix settings at `time`: strips (mute/solo as silence), sends and the master chain */
+  #applyMix(plan, time){
+    const { lanes, master } = plan.spec.mixSettings;
+    const soloed = LANES.some(lane=> lanes[lane].solo);
+    for(const lane of LANES){
+      const { strip, send } = this.#strips[lane];
+      const heard = !lanes[lane].mute && (!soloed || lanes[lane].solo);
+      const gain = heard ? (plan.style.mix?.[lane] ?? 1) * Math.pow(10, lanes[lane].gain / 20) : 0;
+      strip.volume.setValueAtTime(Tone.gainToDb(gain), time);
+      strip.pan.setValueAtTime(clamp(lanes[lane].pan, -1, 1), time);
+      send.gain.setValueAtTime(clamp(lanes[lane].send, 0, 1), time);
+    }
+    const { glue, eq, limiter } = this.#master;
+    glue.threshold.setValueAtTime(master.glue.threshold, time);
+    glue.ratio.setValueAtTime(master.glue.ratio, time);
+    [master.eq.low, master.eq.mid, master.eq.high].forEach((gain, i)=> eq[i].gain.setValueAtTime(gain, time));
+    limiter.threshold.setValueAtTime(master.ceiling, time);
+  }
+
+  /**
+   * Decide what plays in the bar starting at `tick`: apply a pending update, then schedule the
+   * count-in clicks or the song bar's events, and queue the bar after it one beat before its line.
+   */
+  #queueBar(tick){
+    if(!this.#playing) return;
+    const transport = Tone.getTransport();
+    const ppq = transport.PPQ;
+    if(this.#next){
+      this.#song = this.#next;
+      this.#next = null;
+      const { plan } = this.#song;
+      for(const lane of LANES) this.#voice(lane, plan, tick);
+      transport.scheduleOnce(time=>{
+        transport.bpm.setValueAtTime(plan.spec.bpm, time);
+        this.#applyMix(plan, time);
+      }, `${tick}i`);
+    }
+    const { plan, bars } = this.#song;
+    const barTicks = Math.round(plan.beatsPerBar * ppq);
+    const at = beat=> `${Math.max(0, tick + Math.round(beat * ppq))}i`;
+
+    let position;
+    if(this.#countIn > 0){
+      position = { bar: -this.#countIn, section: null };
+      this.#countIn--;
+      this.#clicks(plan, at);
+    } else {
+      if(this.#loop !== null){
+        const sec = plan.sections[this.#loop];
+        if(sec && !(this.#bar >= sec.startBar && this.#bar < sec.startBar + sec.bars)) this.#bar = sec.startBar;
+      }
+      const bar = this.#bar;
+      if(bar >= plan.totalBars){
+        // let the last notes ring for two beats, then finish
+        transport.scheduleOnce(time=> Tone.getDraw().schedule(()=>{ this.stop(); this.#opts.onEnd?.(); }, time), at(2));
+        return;
+      }
+      for(const lane of LANES){
+        const voice = this.#voices[lane];
+        for(const e of bars[lane][bar]) transport.scheduleOnce(time=> voice.play(e, time, plan.secPerBeat), at(e.beat));
+      }
+      if(this.#metronome) this.#clicks(plan, at);
+      position = { bar, section: plan.sections.findLastIndex(s=> s.startBar <= bar) };
+      this.#bar = bar + 1;
+    }
+
+    const report = { ...position, totalBars: plan.totalBars, sec: Math.max(0, position.bar) * plan.beatsPerBar * plan.secPerBeat, totalSec: plan.totalSec, bpm: plan.spec.bpm };
+    transport.scheduleOnce(time=> Tone.getDraw().schedule(()=> this.#opts.onBar?.(report), time), at(0));
+    transport.scheduleOnce(()=> this.#queueBar(tick + barTicks), at(Math.max(0, plan.beatsPerBar - 1)));
+  }
+
+  /** One click per meter unit, accented on the downbeat and at each group start */
+  #clicks(plan, at){
+    const { meter } = plan;
+    const starts = groupStarts(meter.groups);
+    for(let u=0; u<meter.num; u++){
+      const note = u === 0 ? 'C6' : starts.includes(u) ? 'G5' : 'C5';
+      Tone.getTransport().scheduleOnce(time=> this.#click.triggerAttackRelease(note, 0.03, time), at(u * meter.unit));
+    }
+  }
+}
+
+// ---------------------- Core Generator ----------------------
+export class SongGenerator {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.sampleRate=48000]
+   * @param {'auto'|'webaudio'|'headless'} [opts.backend='auto'] - auto uses Web Audio where the host has it, else the pure-JS renderer
+   */
+  constructor(opts={}){
+    this.sampleRate = opts.sampleRate || 48000;
+    this.backend = opts.backend || 'auto';
+    /** Rendered (lane, block) segments by segmentKey(): the current song's and the last finished one's */
+    this._segments = new Map();
+    /** Segment keys of the last song a generate() or preview() finished */
+    this._settled = new Set();
+  }
+
+  /** @returns {SessionSpec} */
+  defaultSpec(){
+    return {
+      seed: Math.floor(Math.random()*2**31),
+      style: '',
+      key: 'C',
+      mode: 'major',
+      bpm: 96,
+      ts: '4/4',
+      progression: 'I V vi IV',
+      structure: [
+        {name:'Verse', bars:8},
+        {name:'Chorus', bars:8},
+        {name:'Verse', bars:8},
+        {name:'Chorus', bars:8},
+        {name:'Bridge', bars:8},
+        {name:'Chorus', bars:8}
+      ],
+      regen: { lane:'lead', startBar:1, bars:4 }
+    };
+  }
+
+  // ----- Public API -----
+
+  /**
+   * Generate stems and mix for a given spec. Comped `spec.takes` are spliced into their lanes
+   * before rendering, so a base seed plus a take list always rebuilds the same song.
+   * `spec.regen` is not applied here; pass the result to regenerate() for that.
+   * @param {SessionSpec} spec
+   * @param {RenderOptions} [opts]  - progress callback and abort signal
+   * @returns {Promise<GenerateResult>}
+   */
+  async generate(spec, opts = {}){
+    const { plan, events, takes, meta } = this.#compose(spec);
+
+    const engine = await this.#engine(plan);
+    if (!engine){
+      const silence = createBuffer({ length: plan.length, sampleRate: plan.sr, numberOfChannels: 2 });
+      const stems = Object.fromEntries(LANES.map(lane=> [lane, silence]));
+      return { stems, mix: silence, meta: { ...meta, renderHash: renderHash(stems, silence) }, events, spec: plan.spec, takes };
+    }
+
+    const { signal } = opts;
+    const progress = progressReporter(opts.onProgress, LANES);
+    const blocks = this.#blocks(engine, plan, events);
+    const renderStem = async (lane)=>{
+      await nextTask();
+      signal?.throwIfAborted();
+      progress(lane, 0);
+      const buf = await this.#renderStem(engine, lane, plan, events[lane], blocks, f=> progress(lane, f), signal);
+      progress(lane, 1);
+      return buf;
+    };
+
+    // Render stems, reusing the blocks cached by earlier calls
+    const rendered = await Promise.all(LANES.map(renderStem));
+    const stems = Object.fromEntries(LANES.map((lane,i)=> [lane, rendered[i]]));
+    this.#settle(blocks);
+
+    const mix = await this.#mixStage(engine, stems, plan, progress, signal);
+    return { stems, mix, meta: { ...meta, renderHash: renderHash(stems, mix) }, events, spec: plan.spec, takes };
+  }
+
+  /**
+   * Streaming preview: render the song block by block (BLOCK_BARS bars, split at sections), sum each
+   * block through the channel strips and pass it to opts.onBlock as soon as it is ready, so playback
+   * can start long before the whole song is done. Blocks render in order from the playhead; seek()
+   * moves it, and the blocks from there on render next. Segments are shared with generate()'s cache
+   * both ways. Sends and the master bus are left out: their state would restart at every block and
+   * jump at the seams, while the strips are linear, so the blocks overlap-add seamlessly.
+   * @param {SessionSpec} spec
+   * @param {RenderOptions & {onBlock?: (block: PreviewBlock) => void}} [opts]
+   * @returns {{done: Promise<Object>, seek: (seconds: number) => void}}  - done resolves to the song meta
+   */
+  preview(spec, opts = {}){
+    const { plan, events, meta } = this.#compose(spec);
+    const { signal } = opts;
+    const blockAt = seconds=> Math.max(0, renderBlocks(plan).findLastIndex(b=> b.startBeat * plan.secPerBeat <= seconds));
+    let cursor = 0;
+    const done = (async ()=>{
+      const engine = await this.#engine(plan);
+      if(!engine) return meta;
+      const blocks = this.#blocks(engine, plan, events);
+      const progress = progressReporter(opts.onProgress, LANES);
+      const pending = new Set(blocks.keys());
+      while(pending.size){
+        await nextTask();
+        signal?.throwIfAborted();
+        const index = [...pending].find(i=> i >= cursor) ?? Math.min(...pending);
+        const block = blocks[index];
+        const stems = {};
+        await Promise.all(LANES.map(async lane=>{
+          try { stems[lane] = await this.#segment(engine, lane, plan, events[lane], block); }
+          catch (err){ console.error('Render fallback', err); stems[lane] = createBuffer({ length: 1, sampleRate: plan.sr, numberOfChannels: 2 }); }
+        }));
+        const length = Math.max(...LANES.map(lane=> stems[lane].length));
+        const buffer = sumChannels(mixStrips(stems, plan.style.mix, plan.spec.mixSettings), length, plan.sr);
+        pending.delete(index);
+        const share = 1 - pending.size / blocks.length;
+        for(const key of [...LANES, 'mix']) progress(key, share);
+        opts.onBlock?.({ index, startBar: block.startBar, bars: block.bars, startSec: block.startBeat * plan.secPerBeat, endSec: block.endBeat * plan.secPerBeat, buffer, totalSec: plan.totalSec });
       }
-      Tone.Transport.start(0);
-    }, totalSec + 0.5, { channels: 2, sampleRate: sr });
+      this.#settle(blocks);
+      return meta;
+    })();
+    return { done, seek: seconds=> { cursor = blockAt(seconds); } };
+  }
+
+  /**
+   * Live mode: play the song in real time on Tone.Transport instead of rendering it. The session's
+   * update(spec) recomposes and takes over at the next bar line, so tempo, key, mix and timeline edits
+   * play without a render. loop(section), seek(bar) and metronome(on) land on the next bar line too.
+   * Needs Web Audio; call it from a user gesture so the context can start.
+   * @param {SessionSpec} spec
+   * @param {LiveOptions} [opts]
+   * @returns {Promise<LiveSession>}  - already playing; stop() ends it
+   */
+  async live(spec, opts = {}){
+    Tone ??= await import('tone');
+    const session = new LiveSession(s=> this.#compose(s), spec, opts);
+    await session.start();
+    return session;
+  }
+
+  /**
+   * Compose without rendering: the events, MIDI and meta generate() would produce, with no audio.
+   * exportMidi() then writes this song.
+   * @param {SessionSpec} spec
+   * @returns {{events: Object<string, Array<Object>>, spec: SessionSpec, takes: TakeRef[], meta: Object}}
+   */
+  compose(spec){
+    const { plan, events, takes, meta } = this.#compose(spec);
+    return { events, spec: plan.spec, takes, meta };
+  }
+
+  /**
+   * Re-roll one lane inside a bar window of a previous result using a seed derived from
+   * (spec seed, lane, window, take). The lane's events are spliced, and its stem is rebuilt
+   * block by block exactly as generate() would build it: blocks the take leaves alone come from
+   * the render cache, and notes ring across the window edges. Other lanes are reused as-is, so
+   * generate() with the returned takes reproduces the same renderHash.
+   * @param {GenerateResult} previous  - result of generate() or regenerate()
+   * @param {RegenSpec} [regen]        - defaults to previous.spec.regen
+   * @param {RenderOptions} [opts]
+   * @returns {Promise<GenerateResult>}
+   */
+  async regenerate(previous, regen = previous?.spec?.regen, opts = {}){
+    if(!previous?.events || !previous?.stems) throw new Error('regenerate() needs a result returned by generate().');
+    if(!regen || !LANES.includes(regen.lane)) throw new Error(`Unknown regen lane: ${regen?.lane}`);
+    if(previous.spec.locked?.[regen.lane]) throw new Error(`Lane ${regen.lane} is locked; unlock it to regenerate.`);
+
+    const plan = this.#plan(previous.spec);
+    const takes = previous.takes || [];
+    const applied = resolveTake(plan, regen, takes);
+    const { lane } = applied;
+    const events = applyTake(plan, previous.events, applied);
+    this._lastMidi = midiPayload(plan.spec, events);
+
+    let { stems, mix } = previous;
+    const engine = await this.#engine(plan);
+    if (engine){
+      const progress = progressReporter(opts.onProgress, [lane]);
+      await nextTask();
+      opts.signal?.throwIfAborted();
+      progress(lane, 0);
+      const blocks = this.#blocks(engine, plan, events);
+      stems = { ...stems, [lane]: await this.#renderStem(engine, lane, plan, events[lane], blocks, f=> progress(lane, f), opts.signal) };
+      progress(lane, 1);
+      this.#settle(blocks);
+      mix = await this.#mixStage(engine, stems, plan, progress, opts.signal);
+    }
+    return { stems, mix, meta: { ...previous.meta, renderHash: renderHash(stems, mix) }, events, spec: { ...plan.spec, regen: applied }, takes: [...takes, applied] };
+  }
+
+  /**
+   * Re-balance the stems of a previous result with new mix settings. Stems are reused as-is,
+   * so only the mix bus runs again.
+   * @param {GenerateResult} previous
+   * @param {MixSettings} [mixSettings]  - defaults to previous.spec.mixSettings
+   * @param {RenderOptions} [opts]
+   * @returns {Promise<GenerateResult>}
+   */
+  async remix(previous, mixSettings = previous?.spec?.mixSettings, opts = {}){
+    if(!previous?.stems) throw new Error('remix() needs a result returned by generate().');
+    const plan = this.#plan({ ...previous.spec, mixSettings });
+    const engine = await this.#engine(plan);
+    if (!engine) return { ...previous, spec: plan.spec };
+    const mix = await this.#mixStage(engine, previous.stems, plan, progressReporter(opts.onProgress, []), opts.signal);
+    return { ...previous, mix, meta: { ...previous.meta, renderHash: renderHash(previous.stems, mix) }, spec: plan.spec };
+  }
+
+  /**
+   * Turn a MIDI file into a SessionSpec: tempo and meter from the first tempo/time-signature events,
+   * key from the key signature (or the first chord), one section per marker, and a chord per bar
+   * detected from the pitched notes (a track named/channelled as 'chords' wins when present).
+   * Tracks recognised as lanes (by name, then channel) can be locked so they play as written
+   * while the other lanes are generated around them.
+   * @param {ArrayBuffer|Uint8Array|import('./midi_reader.js').ParsedMidi} data
+   * @param {Object} [opts]
+   * @param {boolean|Lane[]} [opts.lock=true]  - true locks every lane found in the file; false locks none
+   * @param {Partial<SessionSpec>} [opts.spec] - base fields (seed, style, tuning...) for the new spec
+   * @returns {SessionSpec}
+   */
+  importMidi(data, opts = {}){
+    const midi = data?.tracks && data?.ppq ? data : parseMidi(data);
+    return specFromMidi(midi, { ...this.defaultSpec(), ...opts.spec }, opts.lock ?? true);
   }
 
-  async #renderLead(length, sr, spec, harmony, midiOut){
-    const beatsPerBar = beatsPerBarFromTs(spec.ts);
-    const secPerBeat = 60 / spec.bpm;
-    const totalBars = Math.max(1, harmony.length || 0);
+  /**
+   * Export last generated MIDI as Blob: section markers, named lane tracks, tempo and meter maps
+   * and key signature. The maps hold the song's tempo and meter unless `tempos`/`timeSigs` add changes
+   * (positions in quarter-note beats); a list without an entry at beat 0 starts from the song's own.
+   * @param {Object} [opts]
+   * @param {string} [opts.title]  - written as the sequence name
+   * @param {Array<{beat:number, bpm:number}>} [opts.tempos]
+   * @param {Array<{beat:number, num:number, den:number}>} [opts.timeSigs]
+   */
+  exportMidi(opts = {}){
+    if(!this._lastMidi) throw new Error('No MIDI in memory. Call generate() or compose() first.');
+    // compound meters click on the dotted quarter, as the song's own time signature does
+    const timeSigs = opts.timeSigs?.map(ts=> ({ ...ts, compound: ts.compound ?? meterFromTs(`${ts.num}/${ts.den}`).compound }));
+    return writeMidi({ ...this._lastMidi, name: opts.title ?? this._lastMidi.name, tempos: opts.tempos, timeSigs });
+  }
+
+  /** @param {AudioBuffer} buf @param {WavOptions} [opts] - bit depth, dither, export sample rate */
+  encodeWav(buf, opts){ return encodeWav(buf, opts); }
+
+  /**
+   * Bundle a result as a ZIP: one sample-aligned WAV per stem (all the same length, starting at bar 1),
+   * the MIDI file and the session JSON (spec + applied takes, enough to rebuild the song).
+   * Files are named '<title>_<bpm>bpm_<key>-<mode>_<lane>.wav'.
+   * @param {GenerateResult} result
+   * @param {Object} [opts]
+   * @param {string} [opts.title='session']
+   * @param {WavOptions} [opts.wav]  - stem format, e.g. { bitDepth: 24, sampleRate: 48000 }
+   * @param {Date} [opts.date]  - timestamp for the ZIP entries
+   * @returns {Promise<Blob>}
+   */
+  async exportStems(result, opts = {}){
+    if(!result?.stems || !result?.events) throw new Error('exportStems() needs a result returned by generate().');
+    const base = sessionFileBase(opts.title, result.spec);
+    const length = Math.max(...LANES.map(lane=> result.stems[lane].length));
+    const files = LANES.map(lane=> ({ name: `${base}_${lane}.wav`, data: encodeWav(alignBuffer(result.stems[lane], length), opts.wav) }));
+    files.push({ name: `${base}.mid`, data: writeMidi(midiPayload(result.spec, result.events, opts.title)) });
+    files.push({ name: `${base}_session.json`, data: JSON.stringify({ ...result.spec, takes: result.takes }, null, 2) });
+    return zipFiles(files, { date: opts.date });
+  }
+
+  // ----- Private: Planning -----
+
+  #plan(spec){
+    const sr = this.sampleRate;
+    const meter = meterFromTs(spec.ts);
+    const { beatsPerBar } = meter;
+    const bpm = Math.max(40, Math.min(260, Number(spec.bpm) || 120));
+    const secPerBeat = 60 / bpm;
+    const structure = Array.isArray(spec.structure) && spec.structure.length ? spec.structure : this.defaultSpec().structure;
+    const totalBars = Math.max(1, structure.reduce((a,b)=>a+(b?.bars||0), 0));
+    const sections = [];
+    for(let bar=0, i=0; i<structure.length; i++){
+      const sec = structure[i];
+      sections.push({ name: sec?.name || '', role: sec?.role || sectionRole(sec?.name), startBar: bar, bars: sec?.bars || 0, lyrics: sec?.lyrics });
+      bar += sec?.bars || 0;
+    }
     const totalBeats = totalBars * beatsPerBar;
     const totalSec = Math.max(0.1, totalBeats * secPerBeat);
-
+    const length = Math.max(1, Math.ceil(totalSec * sr));
     const keySemi = NOTE_TO_SEMI[spec.key] ?? 0;
-    const scale = (spec.mode==='minor') ? MINOR : MAJOR;
-    const rng = prng((spec.seed ^ 0xBADA55) >>> 0);
+    const harmony = makeHarmonyMap(structure, spec.progression, keySemi, resolveScale(spec.mode));
+    const style = resolveStyle(spec.style, spec.influence);
+    return { spec: { ...spec, bpm, structure, beatsPerBar, mixSettings: normalizeMix(spec.mixSettings) }, harmony, sections, style, sr, meter, beatsPerBar, secPerBeat, totalBars, totalBeats, totalSec, length };
+  }
 
-    return Tone.Offline(async ()=>{
-      Tone.Transport.cancel(0);
-      Tone.Transport.bpm.value = spec.bpm;
+  /** Plan and compose a spec, splice in its comped takes and make it the MIDI export */
+  #compose(spec){
+    const plan = this.#plan(spec);
+    let events = composeLanes(plan, plan.spec.seed, lockedLanes(plan.spec));
+    const takes = [];
+    for(const ref of plan.spec.takes || []){
+      if(!LANES.includes(ref?.lane) || !(ref.startBar <= plan.totalBars)) continue; // window outside this arrangement
+      if(plan.spec.locked?.[ref.lane]) continue; // locked lanes play as written
+      const take = resolveTake(plan, ref, takes);
+      events = applyTake(plan, events, take);
+      takes.push(take);
+    }
+    this._lastMidi = midiPayload(plan.spec, events);
+    return { plan, events, takes, meta: this.#meta(plan) };
+  }
 
-      const vibrato = new Tone.Vibrato(6, 0.2);
-      const delay = new Tone.FeedbackDelay(0.22, 0.35);
-      const lead = new Tone.MonoSynth({
-        oscillator: { type: 'sawtooth' },
-        envelope: { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.25 },
-        filter: { type: 'lowpass', rolloff: -12 },
-        filterEnvelope: { attack: 0.01, decay: 0.1, sustain: 0.2, release: 0.2, baseFrequency: 600, octaves: 3 }
-      });
-      lead.chain(vibrato, delay, new Tone.Channel({ pan: 0.14, volume: -6 }).toDestination());
-
-      let current = 72 + keySemi; // around C5
-      for(let bar=0; bar<totalBars; bar++){
-        const chord = harmony[bar].notes.map(n=>n+12);
-        let pos = 0;
-        while(pos < beatsPerBar){
-          const sixteenth = rng() < 0.4;
-          const dur = sixteenth ? 0.25 : 0.5; // beats
-          const startBeat = bar*beatsPerBar + pos;
-          let target;
-          if(rng() < 0.6){
-            target = chord[Math.floor(rng()*chord.length)];
-          } else {
-            const degree = Math.floor(rng()*7);
-            const base = 70 + keySemi + scale[degree] + 12*Math.floor(rng()*2);
-            target = clamp(base, 67, 88);
-          }
-          current = target;
-          const start = startBeat * secPerBeat;
-          Tone.Transport.schedule(time=>{
-            lead.triggerAttackRelease(Tone.Frequency(current, 'midi'), dur*secPerBeat, time, 0.85);
-          }, start);
-          midiOut.push({startBeat, durBeats: dur, midi: current, vel: 96});
-          pos += dur;
-        }
+  #meta(plan){
+    const { spec } = plan;
+    return { totalBars: plan.totalBars, totalBeats: plan.totalBeats, totalSec: plan.totalSec, key: spec.key, mode: spec.mode, bpm: spec.bpm, ts: spec.ts, style: plan.style.name, sampleRate: plan.sr };
+  }
+
+  /** Which backend renders this call: 'webaudio', 'headless', or null when a forced Web Audio backend is unavailable */
+  async #engine(plan){
+    if(this.backend === 'headless') return 'headless';
+    if(await this.#offlineReady(plan)) return 'webaudio';
+    return this.backend === 'webaudio' ? null : 'headless';
+  }
+
+  async #offlineReady(plan){
+    try {
+      const Ctx = typeof OfflineAudioContext !== 'undefined' ? OfflineAudioContext : (typeof webkitOfflineAudioContext !== 'undefined' ? webkitOfflineAudioContext : null);
+      if(!Ctx) return false;
+      const test = new Ctx(1, plan.length, plan.sr);
+      test.oncomplete = null;
+    } catch (err){
+      console.warn('OfflineAudioContext unavailable', err);
+      return false;
+    }
+    try {
+      Tone ??= await import('tone');
+      await Tone.Offline(()=>{}, 0.01, { channels: 2, sampleRate: plan.sr });
+    } catch (err){
+      console.warn('Tone.Offline unavailable', err);
+      return false;
+    }
+    return true;
+  }
+
+  // ----- Private: Synthesis Engines -----
+
+  /**
+   * Render one lane's events to an AudioBuffer holding frames [fromFrame, toFrame) of the song.
+   * onProgress(fraction) is called while the headless renderer works through the notes.
+   */
+  #renderLane(engine, lane, plan, events, fromFrame, toFrame, onProgress){
+    const seconds = (toFrame - fromFrame) / plan.sr;
+    const at = e => e.startBeat * plan.secPerBeat - fromFrame / plan.sr;
+    if(!LANES.includes(lane)) throw new Error(`Unknown lane: ${lane}`);
+    if(engine === 'headless') return this.#renderHeadless(lane, plan, events, at, seconds, fromFrame, onProgress);
+    return this.#renderTone(lane, plan, events, at, seconds);
+  }
+
+  /**
+   * The render blocks of a composed song, with each lane's segmentKey(). Cached segments used by
+   * neither this song nor the last finished one are dropped, so the cache holds at most two songs
+   * and an aborted render never costs the previous song its cache.
+   */
+  #blocks(engine, plan, events){
+    const blocks = renderBlocks(plan).map(block=> ({ ...block, keys: Object.fromEntries(LANES.map(lane=> [lane, segmentKey(engine, lane, plan, block, events[lane])])) }));
+    const used = new Set(blocks.flatMap(block=> Object.values(block.keys)));
+    for(const key of [...this._segments.keys()]) if(!used.has(key) && !this._settled.has(key)) this._segments.delete(key);
+    return blocks;
+  }
+
+  /** Mark a song's blocks as the last finished song */
+  #settle(blocks){ this._settled = new Set(blocks.flatMap(block=> Object.values(block.keys))); }
+
+  /**
+   * One lane's audio for frames [block.fromFrame, block.toFrame), from the cache or rendered into it.
+   * The render starts early enough for the notes still ringing into the block (blockEvents()), and
+   * that pre-roll is dropped. The segment fades in and out over SPLICE_FADE_SEC where it overlaps
+   * its neighbours, and the last one fades out at the end of the stems.
+   */
+  async #segment(engine, lane, plan, events, block, onProgress){
+    const key = block.keys[lane];
+    if(this._segments.has(key)) return this._segments.get(key);
+    const own = blockEvents(plan, lane, block, events);
+    const fromFrame = Math.min(block.fromFrame, ...own.map(e=> Math.round(e.startBeat * plan.secPerBeat * plan.sr)));
+    const rendered = await this.#renderLane(engine, lane, plan, own, fromFrame, block.toFrame, onProgress);
+    const segment = createBuffer({ length: block.toFrame - block.fromFrame, sampleRate: plan.sr, numberOfChannels: 2 });
+    for(let c=0;c<2;c++){
+      const src = rendered.getChannelData(Math.min(c, rendered.numberOfChannels-1));
+      segment.getChannelData(c).set(src.subarray(block.fromFrame - fromFrame, block.toFrame - fromFrame));
+    }
+    const fade = Math.round(SPLICE_FADE_SEC * plan.sr);
+    if(!block.first) fadeIn(segment, fade);
+    fadeOut(segment, block.last ? Math.round(SEGMENT_FADE_SEC * plan.sr) : fade);
+    this._segments.set(key, segment);
+    return segment;
+  }
+
+  /**
+   * Render a lane block by block and sum the blocks into a stem. Blocks whose segmentKey() is
+   * cached reuse that audio; only the others are synthesized. Each block already holds the tails
+   * ringing into it, so neighbours only overlap by their crossfade.
+   */
+  async #renderStem(engine, lane, plan, events, blocks, onProgress, signal){
+    const stem = createBuffer({ length: Math.ceil((plan.totalSec + 0.5) * plan.sr), sampleRate: plan.sr, numberOfChannels: 2 });
+    for(const [i, block] of blocks.entries()){
+      if(i && !this._segments.has(block.keys[lane])){
+        await nextTask();
+        signal?.throwIfAborted();
       }
-      Tone.Transport.start(0);
-    }, totalSec + 0.5, { channels: 2, sampleRate: sr });
+      const base = block.startBeat / plan.totalBeats, share = (block.endBeat - block.startBeat) / plan.totalBeats;
+      try { addSegment(stem, await this.#segment(engine, lane, plan, events, block, f=> onProgress?.(base + f * share)), block.fromFrame); }
+      catch (err){ console.error('Render fallback', err); } // a failed block stays silent and is not cached
+      onProgress?.(base + share);
+    }
+    return stem;
+  }
+
+  /** Pure-JS render: lane events become timed notes for headless.js */
+  async #renderHeadless(lane, plan, events, at, seconds, startFrame, onProgress){
+    const { spec, secPerBeat, sr } = plan;
+    const notes = events.map(e=> ({
+      time: at(e),
+      dur: e.durBeats * secPerBeat,
+      vel: (e.vel ?? 96) / 127,
+      midis: e.midis ?? [TOM_PITCH[e.note] ?? e.midi ?? e.note],
+      voice: lane === 'drums' ? drumVoice(e.note) : undefined,
+      kind: e.kind,
+      formants: lane === 'vocals' ? FORMANTS[syllableVowel(e.lyric)] : undefined,
+      harsh: e.harsh,
+    }));
+    return renderLaneHeadless(lane, notes, { seconds, sampleRate: sr, secPerBeat, patch: plan.style.patches[lane], rng: prng((spec.seed ^ RENDER_SALT.noise) >>> 0), startFrame, onProgress });
+  }
+
+  /** Tone.js render: the lane's voice on an offline context's transport */
+  async #renderTone(lane, plan, events, at, seconds){
+    const { spec, secPerBeat, sr } = plan;
+    return Tone.Offline(async ()=>{
+      const transport = Tone.getTransport();
+      transport.cancel(0);
+      transport.bpm.value = spec.bpm;
+      const voice = TONE_VOICES[lane](plan, Tone.getDestination());
+      for(const e of events) transport.schedule(time=> voice.play(e, time, secPerBeat), at(e));
+      transport.start(0);
+    }, seconds, { channels: 2, sampleRate: sr });
   }
 
-  async #mix(buffers){
+  /** The mix step of a call: abort check, then #mix with 'mix' progress */
+  async #mixStage(engine, stems, plan, progress, signal){
+    await nextTask();
+    signal?.throwIfAborted();
+    progress('mix', 0);
+    const mix = await this.#mix(engine, stems, plan.style.mix, plan.spec.mixSettings, plan.spec.seed);
+    progress('mix', 1);
+    return mix;
+  }
+
+  /**
+   * Channel strips -> mix bus -> glue compressor -> 3-band EQ -> brickwall limiter.
+   * @param {'webaudio'|'headless'} engine
+   * @param {Object<Lane, AudioBuffer>} stems
+   * @param {Object<Lane, number>} balance   - style mix balance (linear)
+   * @param {MixSettings} settings            - normalized mix settings
+   */
+  async #mix(engine, stems, balance, settings, seed){
+    const buffers = LANES.map(lane=> stems[lane]);
     const sr = buffers[0].sampleRate;
     const len = Math.max(1, ...buffers.map(b=> Math.max(1, b.length||0)));
+    const { master } = settings;
+    const channels = mixStrips(stems, balance, settings);
+    if(engine === 'headless') return limitBuffer(mixChannels(channels, master, len, sr), master.ceiling);
+
     const ctx = new OfflineAudioContext(2, len, sr);
-    const mix = ctx.createGain(); mix.gain.value = 0.9; mix.connect(ctx.destination);
-    buffers.forEach((b,i)=>{
+
+    const glue = ctx.createDynamicsCompressor();
+    glue.threshold.value = master.glue.threshold;
+    glue.ratio.value = master.glue.ratio;
+    glue.knee.value = 6;
+    glue.attack.value = 0.03;
+    glue.release.value = 0.25;
+    const eq = [['lowshelf', 120, master.eq.low], ['peaking', 1000, master.eq.mid], ['highshelf', 8000, master.eq.high]].map(([type, freq, gain])=>{
+      const band = ctx.createBiquadFilter();
+      band.type = type; band.frequency.value = freq; band.gain.value = gain; band.Q.value = 0.7;
+      return band;
+    });
+    const mix = ctx.createGain(); mix.gain.value = 0.9;
+    mix.connect(glue).connect(eq[0]).connect(eq[1]).connect(eq[2]).connect(ctx.destination);
+
+    let reverb = null;
+    if(channels.some(ch=> ch.send > 0)){
+      reverb = ctx.createConvolver();
+      reverb.buffer = createReverbBuffer(ctx, prng((seed ^ RENDER_SALT.reverb) >>> 0));
+      reverb.connect(mix);
+    }
+
+    for(const ch of channels){
       const src = ctx.createBufferSource();
-      src.buffer = b;
+      src.buffer = ch.buffer;
+      const fader = ctx.createGain();
+      fader.gain.value = ch.gain;
       const pan = ctx.createStereoPanner();
-      pan.pan.value = (i===3 ? 0.15 : (i===2? -0.1 : 0));
-      src.connect(pan).connect(mix);
+      pan.pan.value = ch.pan;
+      src.connect(fader).connect(pan).connect(mix);
+      if(reverb && ch.send > 0){
+        const send = ctx.createGain();
+        send.gain.value = ch.send;
+        pan.connect(send).connect(reverb);
+      }
       src.start(0);
-    });
-    return ctx.startRendering();
+    }
+    return limitBuffer(await ctx.startRendering(), master.ceiling);
   }
 }
 
 // ---------------------- Helpers to integrate in your app ----------------------
+export { parseMidi };
+
 /**
  * Download a Blob in-browser (optional helper)
  * @param {Blob} blob
@@ -0,0 +1,144 @@
+/**
+ * SongWorker (ESM)
+ * ----------------
+ * The SongGenerator API with rendering moved to a dedicated Web Worker (worker.js), so the page stays
+ * responsive while a song renders.
+ * - generate/regenerate/remix/preview take { signal, onProgress } like SongGenerator. Progress events
+ *   arrive per lane and per percent. Aborting rejects the call at once; the worker stops at its next
+ *   block and keeps its render cache.
+ * - preview() streams mixed blocks as they render and returns { done, seek } like SongGenerator's.
+ * - Results and preview blocks hold SampleBuffers whose samples were transferred from the worker, not copied.
+ *   Results passed back in (regenerate, remix, exportStems) are copied to the worker.
+ * - compose(), exportMidi() and encodeWav() run in the worker too, so they return Promises. The
+ *   worker's generator keeps the section render cache between calls.
+ * - live() plays on the calling thread; it schedules notes in real time and renders nothing.
+ * - The worker renders with the headless backend: renderHash matches Node renders, not main-thread Web Audio ones.
+ *
+ * Usage:
+ *   import { SongWorker } from './song_worker.js';
+ *   const gen = new SongWorker({ sampleRate: 44100 });
+ *   const controller = new AbortController();
+ *   const result = await gen.generate(spec, { signal: controller.signal, onProgress: p=> console.log(p.lane, p.percent, p.overall) });
+ */
+import { SongGenerator } from './song_generator.esm.js';
+import { packBuffer, unpackBuffer } from './headless.js';
+
+/** @typedef {import('./song_generator.esm.js').SessionSpec} SessionSpec */
+/** @typedef {import('./song_generator.esm.js').GenerateResult} GenerateResult */
+/** @typedef {import('./song_generator.esm.js').RenderOptions} RenderOptions */
+/** @typedef {import('./song_generator.esm.js').RegenSpec} RegenSpec */
+/** @typedef {import('./song_generator.esm.js').MixSettings} MixSettings */
+/** @typedef {import('./song_generator.esm.js').WavOptions} WavOptions */
+/** @typedef {import('./song_generator.esm.js').PreviewBlock} PreviewBlock */
+/** @typedef {import('./song_generator.esm.js').LiveOptions} LiveOptions */
+
+const mapBuffers = (result, fn)=> ({ ...result, stems: Object.fromEntries(Object.entries(result.stems).map(([lane, buf])=> [lane, fn(buf)])), mix: fn(result.mix) });
+const unpackResult = result=> mapBuffers(result, unpackBuffer);
+const packResult = result=> result?.stems ? mapBuffers(result, packBuffer) : result;
+const errorFrom = ({ name, message })=> Object.assign(new Error(message), { name });
+
+export class SongWorker {
+  #opts;
+  #local;
+  #worker = null;
+  #pending = new Map();
+  #nextId = 1;
+
+  /** @param {Object} [opts] - as for SongGenerator; the worker always uses the headless backend */
+  constructor(opts = {}){
+    this.#opts = opts;
+    this.#local = new SongGenerator(opts);
+    this.sampleRate = this.#local.sampleRate;
+  }
+
+  /** @returns {SessionSpec} */
+  defaultSpec(){ return this.#local.defaultSpec(); }
+
+  /** Runs on the calling thread: MIDI import is quick and needs no audio */
+  importMidi(data, opts){ return this.#local.importMidi(data, opts); }
+
+  /** Runs on the calling thread: live mode plays on the page's real-time Tone.Transport @param {SessionSpec} spec @param {LiveOptions} [opts] */
+  live(spec, opts){ return this.#local.live(spec, opts); }
+
+  /** @param {SessionSpec} spec @param {RenderOptions} [opts] */
+  generate(spec, opts = {}){ return this.#call('generate', [spec], opts).then(unpackResult); }
+
+  /** @param {GenerateResult} previous @param {RegenSpec} [regen] @param {RenderOptions} [opts] */
+  regenerate(previous, regen = previous?.spec?.regen, opts = {}){ return this.#call('regenerate', [packResult(previous), regen], opts).then(unpackResult); }
+
+  /** @param {GenerateResult} previous @param {MixSettings} [mixSettings] @param {RenderOptions} [opts] */
+  remix(previous, mixSettings = previous?.spec?.mixSettings, opts = {}){ return this.#call('remix', [packResult(previous), mixSettings], opts).then(unpackResult); }
+
+  /**
+   * Streaming preview; blocks reach opts.onBlock as they render
+   * @param {SessionSpec} spec @param {RenderOptions & {onBlock?: (block: PreviewBlock) => void}} [opts]
+   * @returns {{done: Promise<Object>, seek: (seconds: number) => void}}
+   */
+  preview(spec, opts = {}){
+    const id = this.#nextId++;
+    const done = this.#call('preview', [spec], opts, id);
+    // once done settles the id is free in the worker, so a late seek has nothing to move
+    let settled = false;
+    done.then(()=> { settled = true; }, ()=> { settled = true; });
+    return { done, seek: seconds=> { if(!settled) this.#worker?.postMessage({ id: 0, method: 'seek', args: [id, seconds] }); } };
+  }
+
+  /** Events and MIDI without audio @param {SessionSpec} spec */
+  compose(spec){ return this.#call('compose', [spec]); }
+
+  /** MIDI of the last generate()/regenerate()/compose() in the worker @returns {Promise<Blob>} */
+  exportMidi(opts = {}){ return this.#call('exportMidi', [opts]); }
+
+  /** @param {AudioBuffer|SampleBuffer} buf @param {WavOptions} [opts] @returns {Promise<Blob>} */
+  encodeWav(buf, opts){ return this.#call('encodeWav', [packBuffer(buf), opts]); }
+
+  /** @param {GenerateResult} result @returns {Promise<Blob>} */
+  exportStems(result, opts = {}){ return this.#call('exportStems', [packResult(result), opts]); }
+
+  /** Stop the worker; pending calls reject with an AbortError */
+  terminate(){ this.#reset(new DOMException('SongWorker terminated', 'AbortError')); }
+
+  /** Post a request and settle with its reply; `id` is taken up front when the caller needs it too */
+  #call(method, args, { signal, onProgress, onBlock } = {}, id = this.#nextId++){
+    if(signal?.aborted) return Promise.reject(signal.reason);
+    const worker = this.#worker ??= this.#spawn();
+    return new Promise((resolve, reject)=>{
+      // reject now; the worker drops the call at its next block and its reply is ignored
+      const onAbort = ()=>{
+        this.#pending.delete(id);
+        worker.postMessage({ id: 0, method: 'abort', args: [id] });
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.#pending.set(id, { resolve, reject, onProgress, onBlock, done: ()=> signal?.removeEventListener('abort', onAbort) });
+      worker.postMessage({ id, method, args });
+    });
+  }
+
+  #spawn(){
+    const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data })=>{
+      // only a failed init replies to id 0: nothing can run, so every pending call gets its error
+      if(data.id === 0) return this.#reset(errorFrom(data.error));
+      const call = this.#pending.get(data.id);
+      if(!call) return;
+      if(data.progress) return call.onProgress?.(data.progress);
+      if(data.block) return call.onBlock?.({ ...data.block, buffer: unpackBuffer(data.block.buffer) });
+      this.#pending.delete(data.id);
+      call.done();
+      if(data.error) call.reject(errorFrom(data.error));
+      else call.resolve(data.result);
+    };
+    worker.onerror = e=> this.#reset(new Error(e.message || 'Render worker failed'));
+    worker.postMessage({ id: 0, method: 'init', args: [this.#opts] });
+    return worker;
+  }
+
+  /** Terminate the worker and reject every pending call with `reason` */
+  #reset(reason){
+    this.#worker?.terminate();
+    this.#worker = null;
+    for(const call of this.#pending.values()){ call.done(); call.reject(reason); }
+    this.#pending.clear();
+  }
+}
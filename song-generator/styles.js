@@ -0,0 +1,216 @@
+/**
+ * Style presets (ESM)
+ * -------------------
+ * What `spec.style` means to the generator. A style picks the drum groove variants per section
+ * role, the bass patterns, the tempo feel, guitar chug density, lead behaviour, chord voicing, synth patches
+ * and mix balance.
+ * `spec.influence` weights (0..1) then pull those numbers toward each influence's pole, so the
+ * same preset can lean more djent or more ambient without becoming a different style.
+ *
+ * Adding a style: add an entry to STYLES; anything it leaves out falls back to DEFAULT_STYLE.
+ * Groove names refer to GROOVES in song_generator.esm.js, bass pattern names to BASS_PATTERNS.
+ */
+
+/**
+ * @typedef {Object} StyleDef
+ * @property {string} name
+ * @property {Object<string, string[]>} grooves  - groove variants per section role; one is picked per role per song
+ * @property {Object<string, string[]>} bassPatterns - bass pattern variants per section role, picked the same way:
+ *           pulse (meter pulses), kick (lock to the kick), rootFifth, walking, chug (double the guitar)
+ * @property {{swing:number, halftime:number, groove:string, timing:number, velocity:number, ghosts:number}} feel
+ *           swing: 0 straight .. 1/3 triplet 16ths; halftime: chance a non-chorus role drops to half time;
+ *           groove: 'straight'|'shuffle'|'drill' template; timing/velocity/ghosts: humanize amounts, 0..1.
+ *           spec.humanize overrides groove, swing, timing, velocity and ghosts
+ * @property {{density:number, djent:number, gallop:number, random:number}} chug
+ *           density: chance of a chug on each meter unit; djent: chance a bar adds offbeat 16ths;
+ *           gallop: chance a beat becomes 8th + two 16ths; random: stray 16ths
+ * @property {{sixteenths:number, chordTones:number, rest:number, low:number, high:number, maxLeap:number, contour:string, motifBars:number}} lead
+ *           sixteenths/rest: chance per motif note; chordTones: chance an offbeat note lands on a chord tone;
+ *           contour: 'arch'|'rise'|'fall'|'wave'; spec.melody overrides range and contour fields
+ * @property {{style:'close'|'spread'|'drop2'|'power', voices:number, register:[number, number]}} voicing
+ *           chord-lane voicing; spec.voicing overrides any field
+ * @property {{low:number, high:number, harsh:string[]}} vocals
+ *           sung range (MIDI notes) and the section roles sung harsh (growled guide, an octave down)
+ * @property {Object<string, Object>} patches    - per-lane synth settings read by the renderers
+ * @property {Object<string, number>} mix        - per-lane gain on the mix bus
+ */
+
+/** @typedef {{rapEnergy?:number, anthem?:number, ambient?:number, djent?:number}} InfluenceWeights */
+
+/** @type {StyleDef} The generator's sound before styles existed; also the fallback for unknown names */
+const DEFAULT_STYLE = {
+  name: 'Default',
+  grooves: {
+    intro: ['intro'], verse: ['groove'], pre: ['pre'], chorus: ['double','blast','driving'],
+    break: ['halftime'], bridge: ['ride'], outro: ['halftime'],
+  },
+  bassPatterns: {
+    intro: ['pulse'], verse: ['pulse'], pre: ['pulse'], chorus: ['pulse'],
+    break: ['pulse'], bridge: ['pulse'], outro: ['pulse'],
+  },
+  feel: { swing: 0, halftime: 0, groove: 'straight', timing: 0.3, velocity: 0.5, ghosts: 0 },
+  chug: { density: 1, djent: 0.5, gallop: 0, random: 0.05 },
+  lead: { sixteenths: 0.4, chordTones: 0.6, rest: 0, low: 67, high: 88, maxLeap: 7, contour: 'arch', motifBars: 1 },
+  voicing: { style: 'close', voices: 3, register: [48, 72] },
+  vocals: { low: 57, high: 74, harsh: [] },
+  patches: {
+    drums: { kickDecay: 0.45, snareDecay: 0.28 },
+    bass: { osc: 'square', drive: 0.2, cutoff: 80 },
+    chords: { osc: 'sawtooth', drive: 0.4, space: 0.2 },
+    guitar: { gain: 0.85, cab: 1800, detune: 7 },
+    lead: { osc: 'sawtooth', vibrato: 0.2, delay: 0.35 },
+    vocals: { vibrato: 0.15, growl: 0.8 },
+    ambient: { cutoff: 900, delay: 0.2, detune: 30 },
+  },
+  mix: { drums: 1, bass: 1, chords: 1, guitar: 1, lead: 1, vocals: 0.8, ambient: 0.8 },
+};
+
+/** Presets keyed by normalized name ('Nu‑Metal' -> 'numetal') */
+export const STYLES = {
+  metalcore: {
+    name: 'Metalcore',
+    grooves: {
+      intro: ['intro'], verse: ['groove','double'], pre: ['pre'], chorus: ['driving','double'],
+      break: ['halftime'], bridge: ['ride','halftime'], outro: ['halftime'],
+    },
+    bassPatterns: {
+      intro: ['pulse'], verse: ['chug','kick'], pre: ['kick'], chorus: ['rootFifth','kick'],
+      break: ['kick'], bridge: ['walking','kick'], outro: ['kick'],
+    },
+    feel: { swing: 0, halftime: 0.15, timing: 0.2, ghosts: 0.15 },
+    chug: { density: 1, djent: 0.3, gallop: 0.35, random: 0.04 },
+    lead: { sixteenths: 0.3, chordTones: 0.7, rest: 0.05, low: 67, high: 88, maxLeap: 7, contour: 'arch', motifBars: 1 },
+    voicing: { style: 'power', voices: 3, register: [43, 67] },
+    vocals: { low: 55, high: 74, harsh: ['verse', 'break'] },
+    patches: {
+      drums: { kickDecay: 0.4, snareDecay: 0.26 },
+      bass: { osc: 'square', drive: 0.25, cutoff: 80 },
+      chords: { osc: 'sawtooth', drive: 0.4, space: 0.2 },
+      guitar: { gain: 0.85, cab: 1800, detune: 7 },
+      lead: { osc: 'sawtooth', vibrato: 0.2, delay: 0.35 },
+    },
+    mix: { drums: 1, bass: 0.95, chords: 0.9, guitar: 1, lead: 0.9 },
+  },
+  djent: {
+    name: 'Djent',
+    grooves: {
+      intro: ['intro'], verse: ['poly'], pre: ['poly','pre'], chorus: ['halftime','poly','double'],
+      break: ['halftime'], bridge: ['ride','poly'], outro: ['halftime'],
+    },
+    bassPatterns: {
+      intro: ['kick'], verse: ['chug'], pre: ['chug'], chorus: ['chug','kick'],
+      break: ['kick'], bridge: ['chug','walking'], outro: ['kick'],
+    },
+    feel: { swing: 0, halftime: 0.35, timing: 0.1, velocity: 0.3, ghosts: 0.05 },
+    chug: { density: 0.6, djent: 0.85, gallop: 0, random: 0.12 },
+    lead: { sixteenths: 0.15, chordTones: 0.5, rest: 0.25, low: 62, high: 84, maxLeap: 5, contour: 'wave', motifBars: 2 },
+    voicing: { style: 'spread', voices: 4, register: [48, 79] },
+    vocals: { low: 55, high: 72, harsh: ['verse', 'pre', 'break'] },
+    patches: {
+      drums: { kickDecay: 0.3, snareDecay: 0.22 },
+      bass: { osc: 'sawtooth', drive: 0.35, cutoff: 70 },
+      chords: { osc: 'triangle', drive: 0.1, space: 0.45 },
+      guitar: { gain: 0.95, cab: 2600, detune: 4 },
+      lead: { osc: 'triangle', vibrato: 0.1, delay: 0.5 },
+    },
+    mix: { drums: 1.05, bass: 1, chords: 0.8, guitar: 1.1, lead: 0.8 },
+  },
+  numetal: {
+    name: 'Nu‑Metal',
+    grooves: {
+      intro: ['intro'], verse: ['bounce'], pre: ['bounce','pre'], chorus: ['driving','bounce'],
+      break: ['halftime'], bridge: ['bounce','ride'], outro: ['halftime'],
+    },
+    bassPatterns: {
+      intro: ['pulse'], verse: ['kick'], pre: ['kick'], chorus: ['rootFifth','kick'],
+      break: ['kick'], bridge: ['walking'], outro: ['kick'],
+    },
+    feel: { swing: 0.22, halftime: 0.1, timing: 0.4, velocity: 0.7, ghosts: 0.35 },
+    chug: { density: 0.5, djent: 0.2, gallop: 0, random: 0.02 },
+    lead: { sixteenths: 0.1, chordTones: 0.8, rest: 0.45, low: 60, high: 79, maxLeap: 5, contour: 'fall', motifBars: 1 },
+    voicing: { style: 'close', voices: 3, register: [52, 72] },
+    vocals: { low: 52, high: 69, harsh: ['break'] },
+    patches: {
+      drums: { kickDecay: 0.6, snareDecay: 0.32 },
+      bass: { osc: 'sawtooth', drive: 0.45, cutoff: 60 },
+      chords: { osc: 'square', drive: 0.2, space: 0.3 },
+      guitar: { gain: 0.75, cab: 1400, detune: 10 },
+      lead: { osc: 'square', vibrato: 0.35, delay: 0.25 },
+    },
+    mix: { drums: 1.1, bass: 1.15, chords: 0.7, guitar: 0.95, lead: 0.75 },
+  },
+  altprog: {
+    name: 'Alt‑Prog',
+    grooves: {
+      intro: ['intro'], verse: ['ride','groove'], pre: ['pre'], chorus: ['driving','groove'],
+      break: ['halftime'], bridge: ['ride'], outro: ['halftime'],
+    },
+    bassPatterns: {
+      intro: ['pulse'], verse: ['walking','rootFifth'], pre: ['rootFifth'], chorus: ['rootFifth','kick'],
+      break: ['kick'], bridge: ['walking'], outro: ['pulse'],
+    },
+    feel: { swing: 0.06, halftime: 0.25, timing: 0.35, velocity: 0.6, ghosts: 0.3 },
+    chug: { density: 0.5, djent: 0.25, gallop: 0.1, random: 0.03 },
+    lead: { sixteenths: 0.45, chordTones: 0.55, rest: 0.12, low: 67, high: 91, maxLeap: 9, contour: 'rise', motifBars: 2 },
+    voicing: { style: 'drop2', voices: 4, register: [48, 76] },
+    vocals: { low: 57, high: 76, harsh: [] },
+    patches: {
+      drums: { kickDecay: 0.45, snareDecay: 0.3 },
+      bass: { osc: 'square', drive: 0.15, cutoff: 90 },
+      chords: { osc: 'sawtooth', drive: 0.25, space: 0.4 },
+      guitar: { gain: 0.7, cab: 2200, detune: 6 },
+      lead: { osc: 'sawtooth', vibrato: 0.25, delay: 0.45 },
+    },
+    mix: { drums: 0.95, bass: 1, chords: 1.15, guitar: 0.9, lead: 1.05 },
+  },
+};
+
+/**
+ * Where each influence pulls the numbers at full weight. A weight w moves every listed
+ * number INFLUENCE_DEPTH*w of the way there; strings (oscillator types) stay with the style.
+ */
+const INFLUENCES = {
+  djent: { chug: { djent: 1, random: 0.15 }, feel: { swing: 0, timing: 0.05 }, patches: { guitar: { gain: 1, cab: 2800 } }, mix: { guitar: 1.2 } },
+  rapEnergy: { feel: { swing: 0.3, timing: 0.5, ghosts: 0.5 }, lead: { rest: 0.5, sixteenths: 0.6 }, mix: { drums: 1.2, bass: 1.2 } },
+  ambient: { lead: { rest: 0.35, sixteenths: 0.05 }, patches: { chords: { space: 0.7 }, lead: { delay: 0.6 }, ambient: { cutoff: 1600, delay: 0.4 } }, mix: { chords: 1.3, guitar: 0.8, ambient: 1.2 } },
+  anthem: { lead: { chordTones: 0.9, sixteenths: 0.2 }, feel: { halftime: 0 }, mix: { chords: 1.15, lead: 1.1 } },
+};
+const INFLUENCE_DEPTH = 0.6;
+
+function styleKey(name){
+  return String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/** Deep-merge `over` onto `base` (plain objects only; arrays and scalars replace) */
+function merge(base, over){
+  const out = { ...base };
+  for(const [k, v] of Object.entries(over || {})){
+    out[k] = v && typeof v === 'object' && !Array.isArray(v) && base[k] ? merge(base[k], v) : v;
+  }
+  return out;
+}
+
+/** Move every number in `pole` a fraction `t` of the way from `base` toward it */
+function lean(base, pole, t){
+  const out = { ...base };
+  for(const [k, v] of Object.entries(pole)){
+    if(typeof v === 'number' && typeof base[k] === 'number') out[k] = base[k] + (v - base[k]) * t;
+    else if(v && typeof v === 'object' && base[k] && typeof base[k] === 'object') out[k] = lean(base[k], v, t);
+  }
+  return out;
+}
+
+/**
+ * Resolve a style name plus influence weights to the parameters the composers and renderers read.
+ * @param {string} name                 - 'Metalcore', 'Djent', 'Nu‑Metal', 'Alt‑Prog'; anything else -> DEFAULT_STYLE
+ * @param {InfluenceWeights} [influence] - continuous weights, 0..1 each
+ * @returns {StyleDef}
+ */
+export function resolveStyle(name, influence = {}){
+  let style = merge(DEFAULT_STYLE, STYLES[styleKey(name)]);
+  for(const key of Object.keys(INFLUENCES)){
+    const w = Math.max(0, Math.min(1, Number(influence?.[key]) || 0));
+    if(w) style = lean(style, INFLUENCES[key], w * INFLUENCE_DEPTH);
+  }
+  return style;
+}
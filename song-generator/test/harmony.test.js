@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongGenerator } from '../song_generator.esm.js';
+
+// only events are checked, so the lowest rate keeps the renders quick
+const gen = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+const close = { style: 'close', voices: 4, register: [48, 76] };
+
+/** Events of a one-section song over `chords` */
+async function song(chords, fields = {}){
+  const spec = { ...gen.defaultSpec(), seed: 5, bpm: 120, voicing: close, humanize: { timing: 0, velocity: 0, ghosts: 0 }, ...fields };
+  const bars = chords.split(/\s+/).length;
+  return (await gen.generate({ ...spec, structure: [{ name: 'Verse', bars, chords }] })).events;
+}
+
+const pcs = notes=> [...new Set(notes.map(m=> m % 12))].sort((a,b)=> a-b);
+const sorted = midis=> [...midis].sort((a,b)=> a-b);
+
+test('modes colour the diatonic chords and the melody', async ()=>{
+  const cases = [
+    ['E', 'phrygian', 'i II III iv', [4, 5, 7, 9, 11, 0, 2]],
+    ['D', 'dorian', 'i ii III IV', [2, 4, 5, 7, 9, 11, 0]],
+    ['F', 'lydian', 'I II iii I', [5, 7, 9, 11, 0, 2, 4]],
+    ['B', 'locrian', 'i° II iii iv', [11, 0, 2, 4, 5, 7, 9]],
+  ];
+  for(const [key, mode, chords, scale] of cases){
+    const events = await song(chords, { key, mode });
+    const inScale = notes=> pcs(notes).every(pc=> scale.includes(pc));
+    assert.ok(inScale(events.chords.flatMap(e=> e.midis)), `${key} ${mode} chords`);
+    assert.ok(inScale(events.bass.map(e=> e.midi)), `${key} ${mode} bass`);
+    assert.ok(inScale(events.lead.map(e=> e.midi)), `${key} ${mode} lead`);
+  }
+});
+
+test('numerals take the quality of their scale degree unless the case says otherwise', async ()=>{
+  const [phrygianII] = (await song('II', { key: 'E', mode: 'phrygian' })).chords;
+  assert.deepEqual(pcs(phrygianII.midis), [0, 5, 9]);   // F major
+  const [locrianI] = (await song('i', { key: 'B', mode: 'locrian' })).chords;
+  assert.deepEqual(pcs(locrianI.midis), [2, 5, 11]);    // B diminished
+  const [harmonicV] = (await song('V', { key: 'A', mode: 'harmonic minor' })).chords;
+  assert.deepEqual(pcs(harmonicV.midis), [4, 8, 11]);   // E major
+  const [borrowed] = (await song('IV', { key: 'A', mode: 'minor' })).chords;
+  assert.deepEqual(pcs(borrowed.midis), [2, 6, 9]);     // D major in A minor
+});
+
+test('a custom scale array works like a named mode', async ()=>{
+  const [chord] = (await song('I', { key: 'E', mode: [0, 1, 4, 5, 7, 8, 10] })).chords;
+  assert.deepEqual(pcs(chord.midis), [4, 8, 11]);
+});
+
+test('chord symbols keep their quality, extensions and slash bass', async ()=>{
+  const events = await song('Cmaj7 Dm7/F G7sus4 Am9');
+  assert.deepEqual(events.chords.map(e=> pcs(e.midis)), [[0, 4, 7, 11], [0, 2, 5, 9], [0, 2, 5, 7], [0, 7, 9, 11]]);
+  assert.equal(sorted(events.chords[1].midis)[0] % 12, 5);
+  assert.deepEqual(events.bass.filter(e=> e.startBeat % 4 === 0).map(e=> e.midi % 12), [0, 5, 7, 9]);
+});
+
+test('figured inversions put the right note in the bass', async ()=>{
+  const events = await song('I IV6 V64 ii65');
+  // root position is free to voice-lead; the figures pin the lowest chord tone
+  assert.deepEqual(events.chords.slice(1).map(e=> sorted(e.midis)[0] % 12), [9, 2, 5]);
+  assert.deepEqual(pcs(events.chords[3].midis), [0, 2, 5, 9]);
+});
+
+test('voices move smoothly inside the register', async ()=>{
+  for(const style of ['close', 'drop2', 'spread']){
+    const events = await song('I vi IV V ii V I IV', { voicing: { ...close, style } });
+    for(const e of events.chords){
+      assert.equal(e.midis.length, 4);
+      assert.ok(e.midis.every(m=> m >= 48 && m <= 76), `${style} ${e.midis}`);
+    }
+    for(let i=1; i<events.chords.length; i++){
+      const a = sorted(events.chords[i-1].midis), b = sorted(events.chords[i].midis);
+      assert.ok(a.every((m, v)=> Math.abs(m - b[v]) <= 5), `${style} ${a} -> ${b}`);
+    }
+  }
+});
+
+test('power voicing stacks roots and fifths', async ()=>{
+  const events = await song('I vi IV V', { voicing: { ...close, style: 'power' } });
+  for(const e of events.chords){
+    const [root] = sorted(e.midis);
+    assert.ok(e.midis.every(m=> (m - root) % 12 === 0 || (m - root) % 12 === 7), `${e.midis}`);
+  }
+});
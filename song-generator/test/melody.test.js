@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongGenerator } from '../song_generator.esm.js';
+
+const gen = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+const spec = {
+  ...gen.defaultSpec(), seed: 9, bpm: 120, humanize: { timing: 0, velocity: 0, ghosts: 0 },
+  melody: { low: 62, high: 79, maxLeap: 5, motifBars: 1 },
+  structure: [{ name: 'Verse', bars: 4 }, { name: 'Chorus', bars: 4 }, { name: 'Verse', bars: 4 }, { name: 'Chorus', bars: 4 }],
+};
+const { events } = await gen.generate(spec);
+
+/** Events in [from, to) beats, moved to start at 0 */
+const slice = (list, from, to)=> list.filter(e=> e.startBeat >= from && e.startBeat < to).map(e=> ({ ...e, startBeat: e.startBeat - from }));
+
+test('sections of the same role replay the same tune', ()=>{
+  assert.deepEqual(slice(events.lead, 48, 64), slice(events.lead, 16, 32));
+  assert.deepEqual(slice(events.lead, 32, 48), slice(events.lead, 0, 16));
+  assert.notDeepEqual(slice(events.lead, 16, 32), slice(events.lead, 0, 16));
+  assert.deepEqual(slice(events.vocals, 48, 64), slice(events.vocals, 16, 32));
+});
+
+test('the answer restates the first half of the motif', ()=>{
+  const rhythm = (from)=> slice(events.lead, from, from + 2).map(e=> [e.startBeat, e.durBeats]);
+  assert.ok(rhythm(0).length > 0);
+  assert.deepEqual(rhythm(4), rhythm(0));
+});
+
+test('the lead stays in range and folds leaps where the range allows', ()=>{
+  const { low, high, maxLeap } = spec.melody;
+  const midis = events.lead.map(e=> e.midi);
+  assert.ok(midis.every(m=> m >= low && m <= high));
+  for(let i=1; i<midis.length; i++){
+    const leap = midis[i] - midis[i-1];
+    if(Math.abs(leap) <= maxLeap) continue;
+    const closer = midis[i] - 12 * Math.sign(leap);
+    assert.ok(closer < low || closer > high, `${midis[i-1]} -> ${midis[i]}`);
+  }
+});
+
+test('every vocal note sings one syllable', ()=>{
+  assert.ok(events.vocals.length > 0);
+  assert.ok(events.vocals.every(e=> typeof e.lyric === 'string' && e.lyric.length > 0 && !/\s/.test(e.lyric)));
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongGenerator, parseMidi } from '../song_generator.esm.js';
+
+const gen = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+const spec = {
+  ...gen.defaultSpec(), seed: 3, style: 'Djent', key: 'D', mode: 'minor', bpm: 132, ts: '7/8',
+  humanize: { timing: 0, velocity: 0, ghosts: 0 },
+  structure: [{ name: 'Verse', bars: 4, chords: 'i VI III VII' }, { name: 'Chorus', bars: 4 }],
+};
+const { events } = await gen.generate(spec);
+const bytes = new Uint8Array(await gen.exportMidi({ title: 'roundtrip' }).arrayBuffer());
+const midi = parseMidi(bytes);
+
+/** The fields a lane event keeps through a MIDI file */
+const written = e=> ({ startBeat: e.startBeat, durBeats: e.durBeats, vel: e.vel, note: e.note, midi: e.midi, midis: e.midis, lyric: e.lyric });
+
+test('exportMidi finishes on the default song', { timeout: 30000 }, async ()=>{
+  const fresh = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+  await fresh.generate(fresh.defaultSpec());
+  const out = new Uint8Array(await fresh.exportMidi().arrayBuffer());
+  assert.equal(String.fromCharCode(...out.slice(0, 4)), 'MThd');
+  assert.ok(parseMidi(out).tracks.length > 1);
+});
+
+test('compose() gives the events generate() renders, with no audio', async ()=>{
+  const fresh = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+  const composed = fresh.compose(spec);
+  assert.deepEqual(composed.events, events);
+  assert.equal(composed.stems, undefined);
+  assert.deepEqual(new Uint8Array(await fresh.exportMidi({ title: 'roundtrip' }).arrayBuffer()), bytes);
+});
+
+test('the conductor track keeps tempo, meter, key and sections', ()=>{
+  assert.equal(midi.tracks[0].name, 'roundtrip');
+  assert.equal(Math.round(midi.tempos[0].bpm), 132);
+  assert.deepEqual([midi.timeSigs[0].num, midi.timeSigs[0].den], [7, 8]);
+  assert.deepEqual(midi.keySig, { sf: -1, mi: 1 });
+  assert.deepEqual(midi.markers.map(m=> m.text), spec.structure.map(s=> s.name));
+  assert.deepEqual(midi.markers.map(m=> m.tick / midi.ppq), [0, 4 * 3.5]);
+});
+
+test('every composed note comes back on its lane track', ()=>{
+  const byName = Object.fromEntries(midi.tracks.map(t=> [t.name, t]));
+  for(const [lane, name] of [['drums', 'Drums'], ['bass', 'Bass'], ['chords', 'Chords'], ['lead', 'Lead'], ['vocals', 'Vocals']]){
+    const expected = events[lane].reduce((n, e)=> n + (e.midis?.length ?? 1), 0);
+    assert.equal(byName[name].notes.length, expected, name);
+  }
+  const first = events.bass[0];
+  const note = byName.Bass.notes[0];
+  assert.equal(note.midi, first.midi);
+  assert.equal(note.tick, Math.round(first.startBeat * midi.ppq));
+});
+
+test('lyrics ride on the vocal notes', ()=>{
+  const vocals = midi.tracks.find(t=> t.name === 'Vocals');
+  assert.deepEqual(vocals.lyrics.map(l=> l.text), events.vocals.filter(e=> e.lyric).map(e=> e.lyric));
+});
+
+test('importMidi reads meter, key, sections and a chord per bar', ()=>{
+  const imported = gen.importMidi(bytes);
+  assert.equal(imported.bpm, 132);
+  assert.equal(imported.ts, '7/8');
+  assert.deepEqual([imported.key, imported.mode], ['D', 'minor']);
+  assert.deepEqual(imported.structure.map(s=> [s.name, s.bars]), [['Verse', 4], ['Chorus', 4]]);
+  assert.equal(imported.structure[0].chords, 'Dm Bb F C');
+});
+
+test('locked lanes play as written while the rest is generated', async ()=>{
+  const imported = gen.importMidi(bytes, { lock: ['bass', 'vocals'], spec: { seed: 4 } });
+  assert.deepEqual(Object.keys(imported.locked).sort(), ['bass', 'vocals']);
+  const result = await gen.generate(imported);
+  for(const lane of ['bass', 'vocals']) assert.deepEqual(result.events[lane].map(written), events[lane].map(written), lane);
+  assert.notDeepEqual(result.events.lead.map(written), events.lead.map(written));
+  await assert.rejects(gen.regenerate(result, { lane: 'bass', startBar: 1, bars: 2 }), /locked/);
+  assert.equal(gen.importMidi(bytes, { lock: false }).locked, undefined);
+});
+
+test('tempo and meter changes come back through parseMidi in tick order', async ()=>{
+  const tempos = [{ beat: 28, bpm: 150 }, { beat: 0, bpm: 132 }, { beat: 14, bpm: 100 }];
+  const timeSigs = [{ beat: 21, num: 6, den: 8 }, { beat: 0, num: 7, den: 8 }, { beat: 14, num: 4, den: 4 }];
+  const back = parseMidi(new Uint8Array(await gen.exportMidi({ tempos, timeSigs }).arrayBuffer()));
+  assert.deepEqual(back.tempos.map(t=> [t.tick / back.ppq, Math.round(t.bpm)]), [[0, 132], [14, 100], [28, 150]]);
+  assert.deepEqual(back.timeSigs.map(ts=> [ts.tick / back.ppq, ts.num, ts.den]), [[0, 7, 8], [14, 4, 4], [21, 6, 8]]);
+  assert.deepEqual(back.markers, midi.markers);
+  assert.equal(back.tracks.find(t=> t.name === 'Bass').notes.length, events.bass.length);
+});
+
+test('change lists without a beat-0 entry start from the song', async ()=>{
+  const back = parseMidi(new Uint8Array(await gen.exportMidi({ tempos: [{ beat: 7, bpm: 90 }, { beat: 21, bpm: 110 }], timeSigs: [{ beat: 7, num: 5, den: 4 }, { beat: 12, num: 7, den: 8 }] }).arrayBuffer()));
+  assert.deepEqual(back.tempos.map(t=> [t.tick / back.ppq, Math.round(t.bpm)]), [[0, 132], [7, 90], [21, 110]]);
+  assert.deepEqual(back.timeSigs.map(ts=> [ts.tick / back.ppq, ts.num, ts.den]), [[0, 7, 8], [7, 5, 4], [12, 7, 8]]);
+});
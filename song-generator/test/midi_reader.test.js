@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMidi } from '../midi_reader.js';
+
+const text = str=> [...new TextEncoder().encode(str)];
+const u32 = n=> [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF];
+const chunk = (id, body)=> [...text(id), ...u32(body.length), ...body];
+const smf = (format, ppq, tracks)=> new Uint8Array([...chunk('MThd', [0, format, 0, tracks.length, ppq >> 8, ppq & 0xFF]), ...tracks.flatMap(t=> chunk('MTrk', t))]);
+
+// 120 bpm, then 90 bpm at bar 3; 4/4, then 6/8 at bar 3; D minor; two markers
+const conductor = [
+  0x00, 0xFF, 0x03, 4, ...text('Song'),
+  0x00, 0xFF, 0x59, 2, 0xFF, 1,
+  0x00, 0xFF, 0x51, 3, 0x07, 0xA1, 0x20,
+  0x00, 0xFF, 0x58, 4, 4, 2, 24, 8,
+  0x00, 0xFF, 0x06, 5, ...text('Verse'),
+  0x87, 0x40, 0xFF, 0x51, 3, 0x0A, 0x2C, 0x2A,
+  0x00, 0xFF, 0x58, 4, 6, 3, 36, 8,
+  0x00, 0xFF, 0x06, 6, ...text('Chorus'),
+  0x00, 0xFF, 0x2F, 0,
+];
+const bass = [
+  0x00, 0xFF, 0x03, 4, ...text('Bass'),
+  0x00, 0xC1, 33,
+  0x00, 0x91, 38, 100,
+  0x00, 0x91, 38, 90,       // same key again before the first is released
+  0x83, 0x60, 0x81, 38, 64, // first note-off releases the first note-on
+  0x83, 0x60, 0x91, 38, 0,  // note-on velocity 0 releases the second
+  0x00, 0x91, 45, 80,       // never released: ends with the track
+  0x81, 0x70, 0xFF, 0x2F, 0,
+];
+const midi = parseMidi(smf(1, 480, [conductor, bass]).buffer);
+
+test('the header and conductor track come back as written', ()=>{
+  assert.equal(midi.format, 1);
+  assert.equal(midi.ppq, 480);
+  assert.deepEqual(midi.tempos, [{ tick: 0, bpm: 120 }, { tick: 960, bpm: 60000000 / 0x0A2C2A }]);
+  assert.equal(Math.round(midi.tempos[1].bpm), 90);
+  assert.deepEqual(midi.timeSigs, [{ tick: 0, num: 4, den: 4 }, { tick: 960, num: 6, den: 8 }]);
+  assert.deepEqual(midi.keySig, { sf: -1, mi: 1 });
+  assert.deepEqual(midi.markers, [{ tick: 0, text: 'Verse' }, { tick: 960, text: 'Chorus' }]);
+  assert.equal(midi.tracks[0].name, 'Song');
+});
+
+test('notes pair their offs in order, including velocity-0 note-ons', ()=>{
+  const track = midi.tracks[1];
+  assert.equal(track.name, 'Bass');
+  assert.equal(track.program, 33);
+  assert.deepEqual(track.notes, [
+    { tick: 0, channel: 1, midi: 38, vel: 100, dur: 480 },
+    { tick: 0, channel: 1, midi: 38, vel: 90, dur: 960 },
+    { tick: 960, channel: 1, midi: 45, vel: 80, dur: 240 },
+  ]);
+  assert.equal(midi.lengthTicks, 1200);
+});
+
+test('unknown chunks are skipped', ()=>{
+  const bytes = smf(1, 96, [bass]);
+  const extra = chunk('XFIH', [1, 2, 3]);
+  const withExtra = new Uint8Array([...bytes.subarray(0, 14), ...extra, ...bytes.subarray(14)]);
+  assert.deepEqual(parseMidi(withExtra).tracks, parseMidi(bytes).tracks);
+});
+
+test('files that are not MIDI are rejected', ()=>{
+  assert.throws(()=> parseMidi(new TextEncoder().encode('RIFF....WAVEfmt ')), /not a Standard MIDI File/);
+});
+
+test('type 0 keeps the conductor and every channel on one track', ()=>{
+  const single = [
+    0x00, 0xFF, 0x51, 3, 0x07, 0xA1, 0x20,
+    0x00, 0xFF, 0x58, 4, 3, 2, 24, 8,
+    0x00, 0xFF, 0x06, 5, ...text('Intro'),
+    0x00, 0x90, 60, 100,
+    0x00, 0x99, 36, 110,
+    0x60, 0x89, 36, 0,
+    0x83, 0x00, 0x80, 60, 0,
+    0x00, 0xFF, 0x2F, 0,
+  ];
+  const type0 = parseMidi(smf(0, 96, [single]));
+  assert.equal(type0.format, 0);
+  assert.equal(type0.tracks.length, 1);
+  assert.deepEqual(type0.tempos, [{ tick: 0, bpm: 120 }]);
+  assert.deepEqual(type0.timeSigs, [{ tick: 0, num: 3, den: 4 }]);
+  assert.deepEqual(type0.markers, [{ tick: 0, text: 'Intro' }]);
+  assert.deepEqual(type0.tracks[0].notes, [
+    { tick: 0, channel: 9, midi: 36, vel: 110, dur: 96 },
+    { tick: 0, channel: 0, midi: 60, vel: 100, dur: 480 },
+  ]);
+  assert.equal(type0.lengthTicks, 480);
+});
+
+test('running status carries over data bytes until a meta event cancels it', ()=>{
+  const running = [
+    0x00, 0x92, 50, 90,
+    0x00, 52, 80,             // running note-on
+    0x60, 50, 0,              // running note-on with velocity 0 releases 50
+    0x00, 52, 0,
+    0x00, 0xFF, 0x01, 1, 0x21,
+    0x00, 0x92, 55, 70,       // status must be restated after the meta
+    0x60, 0x82, 55, 0,
+    0x00, 0xFF, 0x2F, 0,
+  ];
+  assert.deepEqual(parseMidi(smf(1, 96, [running])).tracks[0].notes, [
+    { tick: 0, channel: 2, midi: 50, vel: 90, dur: 96 },
+    { tick: 0, channel: 2, midi: 52, vel: 80, dur: 96 },
+    { tick: 96, channel: 2, midi: 55, vel: 70, dur: 96 },
+  ]);
+  const stale = [0x00, 0xFF, 0x01, 1, 0x21, 0x00, 60, 100, 0x00, 0xFF, 0x2F, 0];
+  assert.throws(()=> parseMidi(smf(1, 96, [stale])), /running status without a status byte in track 1 of 1/);
+});
+
+test('SMPTE time division is rejected', ()=>{
+  const bytes = smf(1, 96, [bass]);
+  bytes.set([0xE7, 0x28], 12);   // -25 fps, 40 ticks per frame
+  assert.throws(()=> parseMidi(bytes), /SMPTE time division is not supported/);
+});
+
+test('a file cut short anywhere throws a parseMidi error', ()=>{
+  const bytes = smf(1, 480, [conductor, bass]);
+  for(let length = 0; length < bytes.length; length++){
+    assert.throws(()=> parseMidi(bytes.subarray(0, length)), err=> !(err instanceof RangeError) && /^parseMidi: /.test(err.message), `${length} bytes`);
+  }
+  assert.throws(()=> parseMidi(bytes.subarray(0, bytes.length - 1)), /track 2 of 2 ends early/);
+  assert.throws(()=> parseMidi(smf(1, 96, [bass, bass]).subarray(0, 14 + 8 + bass.length)), /track 2 of 2 ends early/);
+});
+
+test('malformed events are rejected', ()=>{
+  const end = [0x00, 0xFF, 0x2F, 0];
+  const cases = [
+    [[0x00, 0x90, 60, 0x80, ...end], /status byte 0x80 inside a message/],
+    [[0xFF, 0xFF, 0xFF, 0xFF, 0x7F, 0x90, 60, 100, ...end], /variable-length number longer than 4 bytes/],
+    [[0x00, 0xF3, 1, ...end], /status byte 0xf3 is not allowed/],
+    [[0x00, 0xFF, 0x01, 10, 0x21, ...end], /ends early/],
+    [[0x00, 0xF0, 9, 0x7E, 0xF7], /ends early/],
+  ];
+  for(const [events, error] of cases) assert.throws(()=> parseMidi(smf(1, 96, [events])), error);
+  const short = smf(1, 96, [bass]);
+  short.set(u32(4), 4);
+  assert.throws(()=> parseMidi(short), /header chunk is too short/);
+  const zero = smf(1, 96, [bass]);
+  zero.set([0, 0], 12);
+  assert.throws(()=> parseMidi(zero), /zero ticks per quarter note/);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongGenerator } from '../song_generator.esm.js';
+
+const gen = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+const spec = { ...gen.defaultSpec(), seed: 4, bpm: 120, structure: [{ name: 'Verse', bars: 2 }] };
+
+test('progress covers every lane and then the mix', async ()=>{
+  const seen = [];
+  await gen.generate(spec, { onProgress: p=> seen.push(p) });
+  const lanes = new Set(seen.filter(p=> p.stage === 'render').map(p=> p.lane));
+  assert.deepEqual([...lanes].sort(), ['ambient', 'bass', 'chords', 'drums', 'guitar', 'lead', 'vocals']);
+  assert.deepEqual(seen.at(-1), { stage: 'mix', percent: 100, overall: 100 });
+  assert.ok(seen.every((p, i)=> i === 0 || p.overall >= seen[i-1].overall), 'overall never goes back');
+});
+
+test('an aborted signal rejects with its reason', async ()=>{
+  const controller = new AbortController();
+  const reason = new Error('stop');
+  const run = gen.generate(spec, { onProgress: p=> p.stage === 'render' && controller.abort(reason), signal: controller.signal });
+  await assert.rejects(run, err=> err === reason);
+  await assert.rejects(gen.generate(spec, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongGenerator } from '../song_generator.esm.js';
+
+const gen = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+const spec = { ...gen.defaultSpec(), seed: 11, style: 'Metalcore', bpm: 150, structure: [{ name: 'Verse', bars: 4 }, { name: 'Chorus', bars: 4 }] };
+const base = await gen.generate(spec);
+const regen = { lane: 'lead', startBar: 3, bars: 2 };
+const result = await gen.regenerate(base, regen);
+
+test('regenerate leaves the other lanes alone', ()=>{
+  for(const lane of Object.keys(base.stems)){
+    if(lane === regen.lane) continue;
+    assert.deepEqual(result.events[lane], base.events[lane], `${lane} events`);
+    assert.deepEqual(result.stems[lane].getChannelData(0), base.stems[lane].getChannelData(0), `${lane} audio`);
+  }
+});
+
+test('regenerate only re-rolls the window', ()=>{
+  const beatsPerBar = 4;
+  const from = (regen.startBar - 1) * beatsPerBar, to = from + regen.bars * beatsPerBar;
+  const outside = events=> events.filter(e=> e.startBeat < from || e.startBeat >= to);
+  assert.deepEqual(outside(result.events.lead), outside(base.events.lead));
+  assert.notDeepEqual(result.events.lead, base.events.lead);
+  // audio before the window is reused as-is
+  const start = Math.floor(from * 60 / spec.bpm * 22050) - 22050;
+  assert.deepEqual(result.stems.lead.getChannelData(0).subarray(0, start), base.stems.lead.getChannelData(0).subarray(0, start));
+  assert.equal(result.takes.length, 1);
+  assert.equal(result.takes[0].lane, 'lead');
+});
+
+test('the window rings out like a full render', async ()=>{
+  const fresh = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  const rebuilt = await fresh.generate({ ...spec, takes: result.takes });
+  assert.deepEqual(rebuilt.stems.lead.getChannelData(0), result.stems.lead.getChannelData(0));
+});
+
+test('generate() with the comped takes reproduces the auditioned render', async ()=>{
+  const second = await gen.regenerate(result, { lane: 'bass', startBar: 5, bars: 2 });
+  assert.equal(second.takes.length, 2);
+  const fresh = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  const rebuilt = await fresh.generate({ ...spec, takes: second.takes });
+  assert.deepEqual(rebuilt.events, second.events);
+  assert.deepEqual(rebuilt.takes, second.takes);
+  assert.equal(rebuilt.meta.renderHash, second.meta.renderHash);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongGenerator } from '../song_generator.esm.js';
+import { renderLane } from '../headless.js';
+import { resolveStyle } from '../styles.js';
+
+// Update only when a change to composition or synthesis is meant to change the audio
+const GOLDEN_HASH = '5aa6a4530ade9cd7';
+
+const spec = gen=> ({ ...gen.defaultSpec(), seed: 7, style: 'Djent', bpm: 140, structure: [{ name: 'Verse', bars: 2 }, { name: 'Chorus', bars: 2 }] });
+
+test('headless renders are deterministic', async ()=>{
+  const a = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  const b = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  const [ra, rb] = await Promise.all([a.generate(spec(a)), b.generate(spec(b))]);
+  assert.match(ra.meta.renderHash, /^[0-9a-f]{16}$/);
+  assert.equal(ra.meta.renderHash, rb.meta.renderHash);
+  assert.equal(ra.meta.renderHash, GOLDEN_HASH);
+});
+
+test('the render hash follows the seed', async ()=>{
+  const gen = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  const a = await gen.generate(spec(gen));
+  const b = await gen.generate({ ...spec(gen), seed: 8 });
+  assert.notEqual(a.meta.renderHash, b.meta.renderHash);
+});
+
+test('cached sections render the same song as a cold generator', async ()=>{
+  const warm = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  await warm.generate(spec(warm));
+  const edited = { ...spec(warm), structure: [{ name: 'Verse', bars: 2 }, { name: 'Chorus', bars: 2, lyrics: 'burn it all down' }] };
+  const cold = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  const [w, c] = [await warm.generate(edited), await cold.generate(edited)];
+  assert.equal(w.meta.renderHash, c.meta.renderHash);
+});
+
+/** One lane rendered in a single pass over the whole song, the way blocks are meant to sound spliced */
+function wholeLane(result, lane){
+  const secPerBeat = 60 / result.spec.bpm;
+  const notes = result.events[lane].map(e=> ({ time: e.startBeat * secPerBeat, dur: e.durBeats * secPerBeat, vel: e.vel / 127, midis: e.midis ?? [e.midi], kind: e.kind }));
+  return renderLane(lane, notes, { seconds: result.stems[lane].length / 22050, sampleRate: 22050, secPerBeat, patch: resolveStyle(result.spec.style).patches[lane], rng: Math.random });
+}
+
+test('a one-section edit splices into the same audio as a whole-song render', async ()=>{
+  const gen = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  const base = { ...spec(gen), structure: [{ name: 'Verse', bars: 4 }, { name: 'Chorus', bars: 4 }] };
+  await gen.generate(base);
+  const edited = await gen.generate({ ...base, structure: [{ name: 'Verse', bars: 4, chords: 'i VI III VII' }, { name: 'Chorus', bars: 4 }] });
+  // lanes with delays, reverb, saturation and long pads; the stems fade out over their last 50 ms
+  for(const lane of ['bass', 'chords', 'guitar', 'lead', 'ambient']){
+    const whole = wholeLane(edited, lane);
+    for(let c=0; c<2; c++){
+      const a = edited.stems[lane].getChannelData(c), b = whole.getChannelData(c);
+      let worst = 0;
+      for(let i=0; i<a.length - 0.05 * 22050; i++) worst = Math.max(worst, Math.abs(a[i] - b[i]));
+      assert.ok(worst < 1e-4, `${lane} differs by ${worst}`);
+    }
+  }
+});
+
+test('every stem covers the song', async ()=>{
+  const gen = new SongGenerator({ sampleRate: 22050, backend: 'headless' });
+  const result = await gen.generate(spec(gen));
+  for(const buf of Object.values(result.stems)) assert.ok(buf.length >= Math.floor(result.meta.totalSec * 22050));
+  assert.equal(result.mix.numberOfChannels, 2);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongGenerator } from '../song_generator.esm.js';
+
+const gen = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+const spec = { ...gen.defaultSpec(), seed: 5, bpm: 120, structure: [{ name: 'Verse', bars: 2 }, { name: 'Chorus', bars: 2 }] };
+const straight = { timing: 0, velocity: 0, ghosts: 0 };
+
+test('bar length follows the meter denominator', async ()=>{
+  for(const [ts, beatsPerBar] of [['4/4', 4], ['5/4', 5], ['6/8', 3], ['7/8', 3.5], ['12/8', 6]]){
+    const result = await gen.generate({ ...spec, ts, humanize: straight, structure: [{ name: 'Verse', bars: 3 }] });
+    assert.equal(result.meta.totalBeats, 3 * beatsPerBar, ts);
+    assert.equal(result.meta.totalSec, 3 * beatsPerBar * 0.5, ts);
+    assert.deepEqual(result.events.chords.map(e=> e.startBeat), [0, beatsPerBar, 2 * beatsPerBar], ts);
+    assert.ok(result.events.drums.every(e=> e.startBeat < 3 * beatsPerBar), ts);
+    assert.ok(result.stems.drums.length >= result.meta.totalSec * 8000, ts);
+  }
+});
+
+test('without humanize every event sits on the grid', async ()=>{
+  const { events } = await gen.generate({ ...spec, humanize: straight });
+  assert.ok(events.lead.every(e=> Number.isInteger(e.startBeat * 4)));
+  assert.ok(events.bass.every(e=> Number.isInteger(e.startBeat * 4)));
+  assert.ok(events.drums.every(e=> Number.isInteger(e.startBeat * 12)));
+});
+
+test('humanize is seeded', async ()=>{
+  const loose = { ...spec, humanize: { timing: 1, velocity: 1, ghosts: 1 } };
+  const [a, b] = [await gen.generate(loose), await gen.generate(loose)];
+  assert.deepEqual(a.events, b.events);
+  assert.equal(a.meta.renderHash, b.meta.renderHash);
+});
+
+test('humanize nudges timing and velocity but keeps the notes', async ()=>{
+  const grid = (await gen.generate({ ...spec, humanize: straight })).events;
+  const loose = (await gen.generate({ ...spec, humanize: { timing: 1, velocity: 1, ghosts: 0 } })).events;
+  for(const lane of ['drums', 'bass', 'chords', 'lead']){
+    assert.equal(loose[lane].length, grid[lane].length, lane);
+    loose[lane].forEach((e, i)=>{
+      const g = grid[lane][i];
+      assert.deepEqual([e.note, e.midi, e.midis], [g.note, g.midi, g.midis], `${lane} ${i}`);
+      // 120 BPM: half a second per beat, and no lane drifts past ~25 ms
+      assert.ok(Math.abs(e.startBeat - g.startBeat) * 0.5 <= 0.025, `${lane} ${i}`);
+    });
+    assert.ok(loose[lane].some((e, i)=> e.vel !== grid[lane][i].vel), lane);
+  }
+  assert.ok(loose.lead.some(e=> !Number.isInteger(e.startBeat * 4)));
+});
+
+test('ghosts add quiet snares', async ()=>{
+  const plain = (await gen.generate({ ...spec, humanize: straight })).events.drums;
+  const ghosted = (await gen.generate({ ...spec, humanize: { ...straight, ghosts: 1 } })).events.drums;
+  const added = ghosted.filter(e=> !plain.some(p=> p.note === e.note && p.startBeat === e.startBeat));
+  assert.ok(added.length > 0);
+  assert.ok(added.every(e=> e.note === 38 && e.vel < 64), JSON.stringify(added));
+});
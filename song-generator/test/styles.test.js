@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STYLES, resolveStyle } from '../styles.js';
+
+test('preset names resolve however they are typed', ()=>{
+  assert.equal(resolveStyle('Nu‑Metal').name, STYLES.numetal.name);
+  assert.equal(resolveStyle('alt-prog').name, STYLES.altprog.name);
+  assert.equal(resolveStyle('DJENT').name, STYLES.djent.name);
+});
+
+test('unknown styles fall back to the default sound', ()=>{
+  const style = resolveStyle('polka');
+  assert.equal(style.name, 'Default');
+  assert.equal(style.chug.density, 1);
+  assert.deepEqual(resolveStyle(''), style);
+});
+
+test('a preset keeps the defaults it leaves out', ()=>{
+  const style = resolveStyle('Djent');
+  for(const role of ['intro', 'verse', 'pre', 'chorus', 'break', 'bridge', 'outro']) assert.ok(style.grooves[role]?.length, role);
+  for(const lane of ['drums', 'bass', 'chords', 'guitar', 'lead']){
+    assert.ok(style.patches[lane], lane);
+    assert.equal(typeof style.mix[lane], 'number');
+  }
+});
+
+test('influence weights lean numbers toward the pole and leave strings alone', ()=>{
+  const base = resolveStyle('Metalcore');
+  const full = resolveStyle('Metalcore', { djent: 1 });
+  const half = resolveStyle('Metalcore', { djent: 0.5 });
+  // the djent pole sits at chug.djent 1 and a 2800 Hz cab; full weight moves 60% of the way there
+  assert.ok(Math.abs(full.chug.djent - (base.chug.djent + (1 - base.chug.djent) * 0.6)) < 1e-9);
+  assert.ok(Math.abs(full.patches.guitar.cab - (base.patches.guitar.cab + (2800 - base.patches.guitar.cab) * 0.6)) < 1e-9);
+  assert.ok(half.chug.djent > base.chug.djent && half.chug.djent < full.chug.djent);
+  assert.equal(full.patches.lead.osc, base.patches.lead.osc);
+  assert.equal(full.chug.density, base.chug.density);
+});
+
+test('weights are clamped to 0..1 and presets are never mutated', ()=>{
+  const before = JSON.stringify(STYLES);
+  assert.deepEqual(resolveStyle('Djent', { ambient: 4 }), resolveStyle('Djent', { ambient: 1 }));
+  assert.deepEqual(resolveStyle('Djent', { ambient: -1, anthem: 'loud' }), resolveStyle('Djent'));
+  assert.equal(JSON.stringify(STYLES), before);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SongGenerator } from '../song_generator.esm.js';
+import { createBuffer } from '../headless.js';
+
+const gen = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+
+/** Stereo test signal: a half-scale 440 Hz sine on the left, silence on the right */
+function tone(length = 800, sampleRate = 8000){
+  const buf = createBuffer({ length, sampleRate, numberOfChannels: 2 });
+  const left = buf.getChannelData(0);
+  for(let i=0;i<length;i++) left[i] = 0.5 * Math.sin(2 * Math.PI * 440 * i / sampleRate);
+  return buf;
+}
+
+/** The fmt fields and chunk offsets of a RIFF/WAVE blob */
+async function readWav(blob){
+  const view = new DataView(await blob.arrayBuffer());
+  const id = at=> String.fromCharCode(...new Uint8Array(view.buffer, at, 4));
+  assert.equal(id(0), 'RIFF');
+  assert.equal(id(8), 'WAVE');
+  assert.equal(view.getUint32(4, true), view.byteLength - 8);
+  const chunks = {};
+  for(let at = 12; at < view.byteLength;){
+    const size = view.getUint32(at + 4, true);
+    chunks[id(at)] = { at: at + 8, size };
+    at += 8 + size + (size & 1);
+  }
+  const f = chunks['fmt '].at;
+  const fmt = {
+    tag: view.getUint16(f, true), channels: view.getUint16(f + 2, true), sampleRate: view.getUint32(f + 4, true),
+    byteRate: view.getUint32(f + 8, true), blockAlign: view.getUint16(f + 12, true), bits: view.getUint16(f + 14, true),
+  };
+  return { view, chunks, fmt, frames: chunks.data.size / fmt.blockAlign };
+}
+
+test('16-bit PCM is the default', async ()=>{
+  const { chunks, fmt, frames } = await readWav(gen.encodeWav(tone()));
+  assert.equal(chunks['fmt '].size, 16);
+  assert.deepEqual(fmt, { tag: 1, channels: 2, sampleRate: 8000, byteRate: 32000, blockAlign: 4, bits: 16 });
+  assert.equal(chunks.fact, undefined);
+  assert.equal(frames, 800);
+});
+
+test('24-bit samples pack into three little-endian bytes', async ()=>{
+  const src = tone();
+  const { view, chunks, fmt } = await readWav(gen.encodeWav(src, { bitDepth: 24 }));
+  assert.deepEqual(fmt, { tag: 1, channels: 2, sampleRate: 8000, byteRate: 48000, blockAlign: 6, bits: 24 });
+  const left = src.getChannelData(0);
+  for(let i=0;i<left.length;i++){
+    const at = chunks.data.at + i * 6;
+    const q = view.getUint8(at) | view.getUint8(at + 1) << 8 | view.getInt8(at + 2) << 16;
+    assert.equal(q, Math.round(left[i] * (2**23 - 1)) || 0, `frame ${i}`);
+  }
+});
+
+test('32-bit float keeps the samples and carries a fact chunk', async ()=>{
+  const src = tone();
+  const { view, chunks, fmt, frames } = await readWav(gen.encodeWav(src, { bitDepth: '32f' }));
+  assert.equal(chunks['fmt '].size, 18);
+  assert.deepEqual(fmt, { tag: 3, channels: 2, sampleRate: 8000, byteRate: 64000, blockAlign: 8, bits: 32 });
+  assert.equal(view.getUint32(chunks.fact.at, true), frames);
+  const left = src.getChannelData(0);
+  for(let i=0;i<left.length;i++) assert.equal(view.getFloat32(chunks.data.at + i * 8, true), left[i]);
+});
+
+test('TPDF dither stays within one LSB and is the same on every export', async ()=>{
+  const silence = createBuffer({ length: 4000, sampleRate: 8000, numberOfChannels: 2 });
+  const blob = gen.encodeWav(silence);
+  const { view, chunks } = await readWav(blob);
+  const samples = [];
+  for(let at = chunks.data.at; at < chunks.data.at + chunks.data.size; at += 2) samples.push(view.getInt16(at, true));
+  assert.ok(samples.every(s=> Math.abs(s) <= 1));
+  assert.ok(samples.some(s=> s !== 0));
+  assert.deepEqual(new Uint8Array(await gen.encodeWav(silence).arrayBuffer()), new Uint8Array(await blob.arrayBuffer()));
+
+  const plain = await readWav(gen.encodeWav(silence, { dither: 'none' }));
+  for(let at = plain.chunks.data.at; at < plain.view.byteLength; at += 2) assert.equal(plain.view.getInt16(at, true), 0);
+});
+
+test('sampleRate resamples on export', async ()=>{
+  const { view, chunks, fmt, frames } = await readWav(gen.encodeWav(tone(), { sampleRate: 16000, bitDepth: '32f' }));
+  assert.equal(fmt.sampleRate, 16000);
+  assert.equal(fmt.byteRate, 16000 * 8);
+  assert.equal(frames, 1600);
+  // the sine keeps its level away from the edges
+  let peak = 0;
+  for(let i=400; i<1200; i++) peak = Math.max(peak, Math.abs(view.getFloat32(chunks.data.at + i * 8, true)));
+  assert.ok(Math.abs(peak - 0.5) < 0.01, `peak ${peak}`);
+});
+
+test('44.1 kHz to 48 kHz keeps the duration to the nearest frame', async ()=>{
+  for(const length of [4410, 4411, 44100]){
+    const { fmt, frames } = await readWav(gen.encodeWav(tone(length, 44100), { sampleRate: 48000 }));
+    assert.equal(fmt.sampleRate, 48000);
+    assert.equal(frames, Math.round(length * 48000 / 44100), `${length} frames`);
+  }
+});
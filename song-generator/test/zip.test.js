@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zipFiles } from '../zip.js';
+import { SongGenerator } from '../song_generator.esm.js';
+
+/** Walk an archive from its end record the way an unzip tool does */
+function readZip(bytes){
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+  const count = view.getUint16(end + 10, true);
+  const centralSize = view.getUint32(end + 12, true);
+  let at = view.getUint32(end + 16, true);
+  assert.equal(at + centralSize, end, 'central directory ends at the end record');
+  const decode = (from, len)=> new TextDecoder().decode(bytes.subarray(from, from + len));
+  const entries = [];
+  for(let i=0;i<count;i++){
+    assert.equal(view.getUint32(at, true), 0x02014B50);
+    const nameLen = view.getUint16(at + 28, true);
+    const local = view.getUint32(at + 42, true);
+    assert.equal(view.getUint32(local, true), 0x04034B50);
+    assert.equal(view.getUint16(local + 26, true), nameLen);
+    const dataAt = local + 30 + nameLen + view.getUint16(local + 28, true);
+    entries.push({
+      name: decode(at + 46, nameLen),
+      flags: view.getUint16(at + 8, true),
+      method: view.getUint16(local + 8, true),
+      time: view.getUint16(local + 10, true),
+      date: view.getUint16(local + 12, true),
+      crc: view.getUint32(at + 16, true),
+      localCrc: view.getUint32(local + 14, true),
+      data: bytes.subarray(dataAt, dataAt + view.getUint32(local + 18, true)),
+    });
+    at += 46 + nameLen;
+  }
+  return entries;
+}
+
+const date = new Date(2024, 4, 17, 13, 45, 30);
+
+test('entries are stored with their names, data and CRC', async ()=>{
+  const wav = new Uint8Array([0x52, 0x49, 0x46, 0x46, 0, 1, 2, 3]);
+  const zip = await zipFiles([{ name: 'song_drums.wav', data: wav }, { name: 'hello.txt', data: 'hello' }, { name: 'song.mid', data: new Blob([new Uint8Array([0x4D, 0x54])]) }], { date });
+  assert.equal(zip.type, 'application/zip');
+  const entries = readZip(new Uint8Array(await zip.arrayBuffer()));
+  assert.deepEqual(entries.map(e=> e.name), ['song_drums.wav', 'hello.txt', 'song.mid']);
+  assert.deepEqual([...entries[0].data], [...wav]);
+  assert.equal(new TextDecoder().decode(entries[1].data), 'hello');
+  assert.deepEqual([...entries[2].data], [0x4D, 0x54]);
+  assert.equal(entries[1].crc, 0x3610A686);
+  for(const e of entries){
+    assert.equal(e.method, 0, 'stored');
+    assert.equal(e.localCrc, e.crc);
+  }
+});
+
+test('names are flagged UTF-8 and every entry carries the DOS timestamp', async ()=>{
+  const entries = readZip(new Uint8Array(await (await zipFiles([{ name: 'Cañón_lead.wav', data: new ArrayBuffer(4) }], { date })).arrayBuffer()));
+  assert.equal(entries[0].name, 'Cañón_lead.wav');
+  assert.equal(entries[0].flags & 0x0800, 0x0800);
+  assert.equal(entries[0].time, (13 << 11) | (45 << 5) | 15);
+  assert.equal(entries[0].date, ((2024 - 1980) << 9) | (5 << 5) | 17);
+});
+
+test('an empty archive is just the end record', async ()=>{
+  const bytes = new Uint8Array(await (await zipFiles([], { date })).arrayBuffer());
+  assert.equal(bytes.length, 22);
+  assert.deepEqual(readZip(bytes), []);
+});
+
+test('unsupported entry data is rejected', async ()=>{
+  await assert.rejects(zipFiles([{ name: 'x', data: 42 }]), /entry data must be/);
+});
+
+test('exportStems bundles sample-aligned stems, the MIDI and the session', async ()=>{
+  const gen = new SongGenerator({ sampleRate: 8000, backend: 'headless' });
+  const spec = { ...gen.defaultSpec(), seed: 2, key: 'C#', mode: 'aeolian', bpm: 142, structure: [{ name: 'Verse', bars: 2 }] };
+  const result = await gen.regenerate(await gen.generate(spec), { lane: 'lead', startBar: 1, bars: 1 });
+  const zip = await gen.exportStems(result, { title: 'Ashen Siege', wav: { bitDepth: 24 }, date });
+  const entries = readZip(new Uint8Array(await zip.arrayBuffer()));
+  const base = 'ashen-siege_142bpm_C#-aeolian';
+  const wavs = entries.filter(e=> e.name.endsWith('.wav'));
+  assert.deepEqual(wavs.map(e=> e.name), Object.keys(result.stems).map(lane=> `${base}_${lane}.wav`));
+  // every stem starts at bar 1 and has the same header and length, so they line up on import
+  for(const e of wavs){
+    assert.equal(e.data.length, wavs[0].data.length, e.name);
+    assert.deepEqual([...e.data.subarray(0, 44)], [...wavs[0].data.subarray(0, 44)], e.name);
+  }
+  const view = new DataView(wavs[0].data.buffer, wavs[0].data.byteOffset);
+  assert.equal(view.getUint16(34, true), 24);
+  assert.equal(view.getUint32(40, true) / 6, Math.max(...Object.values(result.stems).map(b=> b.length)));
+  assert.ok(entries.some(e=> e.name === `${base}.mid`));
+  const session = JSON.parse(new TextDecoder().decode(entries.find(e=> e.name === `${base}_session.json`).data));
+  assert.equal(session.seed, 2);
+  assert.deepEqual(session.takes, JSON.parse(JSON.stringify(result.takes)));
+});
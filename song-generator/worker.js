@@ -0,0 +1,85 @@
+/**
+ * Render worker (ESM)
+ * -------------------
+ * Runs a headless SongGenerator off the main thread on behalf of SongWorker (song_worker.js).
+ * Requests are { id, method, args }. Replies are { id, progress } while a render runs and
+ * { id, block } for each preview block, then { id, result } or { id, error }. Stems, mix and
+ * blocks travel as packed buffers; rendered samples are transferred back, not copied.
+ * Control messages carry id 0 and get no reply: 'init' builds the generator, { method: 'abort', args: [id] }
+ * aborts a running call at its next block and 'seek' moves a preview. A failed init replies { id: 0, error }.
+ */
+import { SongGenerator } from './song_generator.esm.js';
+import { packBuffer, unpackBuffer } from './headless.js';
+
+let gen = null;
+/** Why init failed; every later call rejects with it */
+let initError = null;
+/** Running calls by request id: their AbortController and, for previews, the seek handle */
+const running = new Map();
+
+const mapBuffers = (result, fn)=> ({ ...result, stems: Object.fromEntries(Object.entries(result.stems).map(([lane, buf])=> [lane, fn(buf)])), mix: fn(result.mix) });
+const unpackResult = result=> result?.stems ? mapBuffers(result, unpackBuffer) : result;
+const packResult = result=> mapBuffers(result, packBuffer);
+const buffersOf = packed=> packed.channels.map(ch=> ch.buffer);
+const errorOf = err=> ({ name: err?.name || 'Error', message: err?.message || String(err) });
+
+/** Control messages act on the worker or on a running call and never go through `running` */
+const CONTROL = {
+  init: ([opts])=>{
+    try { gen = new SongGenerator({ ...opts, backend: 'headless' }); }
+    catch (err){
+      initError = err;
+      self.postMessage({ id: 0, error: errorOf(err) });
+    }
+  },
+  seek: ([id, seconds])=> running.get(id)?.preview?.seek(seconds),
+  abort: ([id])=> running.get(id)?.controller.abort(new DOMException('Render aborted', 'AbortError')),
+};
+
+/** Each method gets the request args and the call: { id, signal, progress(p), block(b), preview } */
+const METHODS = {
+  generate: ([spec], call)=> gen.generate(spec, { signal: call.signal, onProgress: call.progress }).then(packResult),
+  regenerate: ([previous, regen], call)=> gen.regenerate(unpackResult(previous), regen, { signal: call.signal, onProgress: call.progress }).then(packResult),
+  remix: ([previous, mixSettings], call)=> gen.remix(unpackResult(previous), mixSettings, { signal: call.signal, onProgress: call.progress }).then(packResult),
+  preview: ([spec], call)=>{
+    call.preview = gen.preview(spec, { signal: call.signal, onProgress: call.progress, onBlock: call.block });
+    return call.preview.done;
+  },
+  compose: ([spec])=> gen.compose(spec),
+  exportMidi: ([opts])=> gen.exportMidi(opts),
+  exportStems: ([result, opts])=> gen.exportStems(unpackResult(result), opts),
+  encodeWav: ([buf, opts])=> gen.encodeWav(unpackBuffer(buf), opts),
+};
+
+/** Every distinct sample buffer in a packed result (silent stems can share one) */
+function transferList(result){
+  if(!result?.stems) return [];
+  const packed = [...Object.values(result.stems), result.mix];
+  return [...new Set(packed.flatMap(buffersOf))];
+}
+
+self.onmessage = async ({ data: { id, method, args } })=>{
+  if(CONTROL[method]) return CONTROL[method](args);
+  const controller = new AbortController();
+  const call = {
+    id,
+    controller,
+    signal: controller.signal,
+    progress: progress=> self.postMessage({ id, progress }),
+    block: block=>{
+      const buffer = packBuffer(block.buffer);
+      self.postMessage({ id, block: { ...block, buffer } }, buffersOf(buffer));
+    },
+  };
+  running.set(id, call);
+  try {
+    if(!METHODS[method]) throw new Error(`Unknown worker method: ${method}`);
+    if(!gen) throw initError ?? new Error('Render worker was not initialized');
+    const result = await METHODS[method](args, call);
+    self.postMessage({ id, result }, transferList(result));
+  } catch (err){
+    self.postMessage({ id, error: errorOf(err) });
+  } finally {
+    running.delete(id);
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * ZIP writer (ESM)
+ * ----------------
+ * Minimal, dependency-free ZIP archive writer for stem bundles. Entries are stored uncompressed
+ * (WAV barely deflates and storing keeps exports instant); names are UTF-8. No ZIP64, so the
+ * archive and each entry must stay under 4 GB.
+ *
+ * Usage:
+ *   import { zipFiles } from './zip.js';
+ *   const zip = await zipFiles([{ name:'song.mid', data: midiBlob }, { name:'session.json', data: json }]);
+ */
+
+const CRC_TABLE = (()=>{
+  const table = new Uint32Array(256);
+  for(let n=0;n<256;n++){
+    let c = n;
+    for(let k=0;k<8;k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes){
+  let c = 0xFFFFFFFF;
+  for(let i=0;i<bytes.length;i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** MS-DOS time/date words (2-second resolution, local time) */
+function dosDateTime(date){
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+async function toBytes(data){
+  if(data instanceof Uint8Array) return data;
+  if(data instanceof ArrayBuffer) return new Uint8Array(data);
+  if(typeof data === 'string') return new TextEncoder().encode(data);
+  if(data && typeof data.arrayBuffer === 'function') return new Uint8Array(await data.arrayBuffer());
+  throw new Error('zipFiles: entry data must be a Blob, ArrayBuffer, Uint8Array or string');
+}
+
+/**
+ * Bundle files into a ZIP archive.
+ * @param {Array<{name:string, data:Blob|ArrayBuffer|Uint8Array|string}>} files
+ * @param {Object} [opts]
+ * @param {Date} [opts.date=new Date()]  - modification time stamped on every entry
+ * @returns {Promise<Blob>}
+ */
+export async function zipFiles(files, opts = {}){
+  const { time, date } = dosDateTime(opts.date || new Date());
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for(const file of files){
+    const name = encoder.encode(file.name);
+    const data = await toBytes(file.data);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint16(8, 0, true);           // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);          // version made by
+    entry.setUint16(6, 20, true);          // version needed
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);     // extra/comment/disk/attributes stay 0
+    central.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((a, p)=> a + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
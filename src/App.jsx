@@ -1,10 +1,19 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { SongGenerator } from "../song-generator/song_generator.esm.js";
+import { defaultMixSettings } from "../song-generator/song_generator.esm.js";
+import { SongWorker } from "../song-generator/song_worker.js";
 
 const SECTION_DEFAULTS = { intro:2, verse:8, pre:4, chorus:8, break:8, bridge:4, outro:2 };
 const PRESETS = ["Metalcore","Djent","Nu‑Metal","Alt‑Prog"];
 const KEYS = ["C","C#","D","Eb","E","F","F#","G","Ab","A","Bb","B"];
 const SCALES = ["Aeolian (Natural Minor)","Phrygian","Dorian","Harmonic Minor","Locrian (spice)"];
+const SCALE_MODES = { "Aeolian (Natural Minor)":"aeolian", "Phrygian":"phrygian", "Dorian":"dorian", "Harmonic Minor":"harmonicMinor", "Locrian (spice)":"locrian" };
+// Default progressions that lean on each mode's signature chord (bII, IV, major V, diminished i)
+const MODE_PROGRESSIONS = { aeolian:"i VI III VII", phrygian:"i II i VII", dorian:"i IV i VII", harmonicMinor:"i VI iv V", locrian:"i II iii VI", major:"I V vi IV" };
+const LANES = ["vocals","lead","guitar","chords","ambient","bass","drums"];
+const REGEN_BARS = 4;
+const PLAYHEAD_LEAD_SEC = 0.15;
+const WAV_FORMATS = { "16-bit / 44.1 kHz": { bitDepth:16, sampleRate:44100 }, "24-bit / 44.1 kHz": { bitDepth:24, sampleRate:44100 }, "24-bit / 48 kHz": { bitDepth:24, sampleRate:48000 }, "32-bit float / 48 kHz": { bitDepth:'32f', sampleRate:48000 } };
+const GROOVES = ["Straight","Shuffle","Drill"];
 const TUNINGS = ["Drop D (D A D G B E)","Drop C (C G C F A D)","Drop B (B F# B E G# C#)","Drop A (A E A D F# B)"];
 const MODEL_LAYER = [
   {
@@ -55,6 +64,7 @@ export default function App(){
   const [bpm, setBpm] = useState(142);
   const [timeSig, setTimeSig] = useState("4/4");
   const [tuning, setTuning] = useState("Drop C (C G C F A D)");
+  const [groove, setGroove] = useState("Straight");
   const [lengthMin, setLengthMin] = useState(2.8);
   const [title, setTitle] = useState("");
   const [seed, setSeed] = useState(()=>Math.floor(Math.random()*1e9));
@@ -65,107 +75,282 @@ export default function App(){
   const [playProgress, setPlayProgress] = useState(0);
   const [clipDuration, setClipDuration] = useState(0);
   const [isRendering, setIsRendering] = useState(false);
+  const [renderProgress, setRenderProgress] = useState(null);
+  const [regenLane, setRegenLane] = useState("lead");
+  const [regenStart, setRegenStart] = useState(1);
+  const [takeStacks, setTakeStacks] = useState([]);
+  const [auditioning, setAuditioning] = useState(null);
+  const [mixSettings, setMixSettings] = useState(()=> defaultMixSettings());
+  const [wavFormat, setWavFormat] = useState("24-bit / 48 kHz");
+  const [imported, setImported] = useState(null);
+  const [lyrics, setLyrics] = useState({});
+  const [isLive, setIsLive] = useState(false);
+  const [liveBar, setLiveBar] = useState(null);
+  const [liveLoop, setLiveLoop] = useState(null);
+  const [metronome, setMetronome] = useState(false);
+  const [countIn, setCountIn] = useState(1);
   const audioRef = useRef(null);
+  const baseRef = useRef(null);
   const rafRef = useRef(0);
-  const songGen = useMemo(()=> new SongGenerator({ sampleRate: 44100 }), []);
+  const abortRef = useRef(null);
+  const liveRef = useRef(null);
+  // renders run in a worker so the page keeps responding; progress and cancel go through beginRender()
+  const songGen = useMemo(()=> new SongWorker({ sampleRate: 44100 }), []);
+  useEffect(()=> ()=> songGen.terminate(), [songGen]);
 
-  const arrangementPlan = useMemo(()=> timeline.map(section=>({
+  const arrangementPlan = useMemo(()=> imported ? imported.spec.structure.map(s=>({ section: s.name, bars: s.bars })) : timeline.map(section=>({
     section,
     bars: SECTION_DEFAULTS[section] || 4,
-  })), [timeline]);
+  })), [timeline, imported]);
   const totalBars = arrangementPlan.reduce((sum,s)=> sum + s.bars, 0);
   const barSeconds = beatsPerBarFromTimeSig(timeSig) * beatSeconds(bpm);
   const estimatedSeconds = Math.max(1, totalBars) * barSeconds;
+  const compedTakes = useMemo(()=> takeStacks.filter(st=> st.comped!=null).map(st=> ({ lane: st.lane, startBar: st.startBar, bars: st.bars, ...st.takes.find(t=> t.take===st.comped) })), [takeStacks]);
 
   useEffect(()=>{ setTitle(genTitle(rng, preset, profile)); }, [rng, preset, profile]);
+  // live mode hears every edit at the next bar line
+  useEffect(()=>{ liveRef.current?.update(previewSpec()); }, [timeline, key, scale, bpm, timeSig, tuning, groove, preset, seed, mixSettings, imported, lyrics, lengthMin, compedTakes]);
+  useEffect(()=>{ liveRef.current?.loop(liveLoop); }, [liveLoop]);
+  useEffect(()=>{ liveRef.current?.metronome(metronome); }, [metronome]);
+  useEffect(()=> ()=> liveRef.current?.stop(), []);
 
-  function buildSessionSpec({ timeline, key, scale, bpm, timeSig, preset, seed, targetMin, targetBars }){
+  function buildSessionSpec({ timeline, key, scale, bpm, timeSig, tuning, groove, preset, seed, mixSettings, imported, lyrics, targetMin, targetBars, regen, takes }){
     const baseBars = timeline.map(s=> SECTION_DEFAULTS[s] || 4);
     const bars = normalizeBars({ baseBars, targetMin, targetBars, bpm, timeSig });
-    const structure = timeline.map((section, i)=> ({ name: friendlySectionName(section), bars: bars[i] }));
-    return {
+    // lyrics are per role, so every chorus sings the chorus words; empty roles get generated lyrics
+    const structure = timeline.map((section, i)=> ({ name: friendlySectionName(section), role: section, bars: bars[i], lyrics: lyrics[section]?.trim() || undefined }));
+    const mode = scaleToMode(scale);
+    const spec = {
       seed,
       style: preset,
+      influence: influenceProfile(preset),
       key,
-      mode: scaleToMode(scale),
+      mode,
       bpm,
       ts: timeSig,
-      progression: "I V vi IV",
+      tuning,
+      humanize: { groove: groove.toLowerCase() },
+      progression: MODE_PROGRESSIONS[mode] || MODE_PROGRESSIONS.major,
       structure,
-      regen: { lane: 'lead', startBar: 1, bars: 4 }
+      regen: regen || { lane: 'lead', startBar: 1, bars: REGEN_BARS },
+      takes: takes || [],
+      mixSettings
     };
+    if (!imported) return spec;
+    // imported MIDI owns the song map; locked lanes play as written
+    const song = imported.spec;
+    return { ...spec, key: song.key, mode: song.mode, ts: song.ts, progression: song.progression, structure: song.structure, locked: imported.lock ? song.locked : undefined };
   }
 
+  function previewSpec(){ return buildSessionSpec({ timeline, key, scale, bpm, timeSig, tuning, groove, preset, seed, mixSettings, imported, lyrics, targetMin: lengthMin, regen: { lane: regenLane, startBar: regenStart, bars: REGEN_BARS }, takes: compedTakes }); }
+  function sameSong(a, b){ const strip = ({ regen, mixSettings, ...rest })=> JSON.stringify(rest); return !!a && !!b && strip(a)===strip(b); }
+  // mixer-only changes re-mix the cached stems instead of re-synthesizing
+  async function compedBase(spec, opts){
+    const cached = baseRef.current;
+    if (sameSong(cached?.spec, spec)){
+      if (JSON.stringify(cached.spec.mixSettings)===JSON.stringify(spec.mixSettings)) return cached.result;
+      const result = await songGen.remix(cached.result, spec.mixSettings, opts);
+      baseRef.current = { spec, result };
+      return result;
+    }
+    const result = await songGen.generate(spec, opts);
+    baseRef.current = { spec, result };
+    return result;
+  }
+  function beginRender(){ const ctrl = new AbortController(); abortRef.current = ctrl; setIsRendering(true); setRenderProgress({ overall: 0, lanes: {} }); return { signal: ctrl.signal, onProgress: p=> setRenderProgress(cur=> ({ stage: p.stage, overall: p.overall, lanes: p.lane ? { ...cur?.lanes, [p.lane]: p.percent } : cur?.lanes || {} })) }; }
+  function endRender(){ abortRef.current = null; setIsRendering(false); setRenderProgress(null); }
+  function cancelRender(){ abortRef.current?.abort(); }
+  function renderFailed(err){ if (err?.name!=="AbortError") console.error(err); }
+  function setStrip(lane, patch){ setMixSettings(m=> ({ ...m, lanes: { ...m.lanes, [lane]: { ...m.lanes[lane], ...patch } } })); }
+  function setMaster(patch){ setMixSettings(m=> ({ ...m, master: { ...m.master, ...patch } })); }
+  function stackId({ lane, startBar, bars }){ return `${lane}:${startBar}:${bars}`; }
+  function takeLabel(i){ return String.fromCharCode(65 + (i % 26)); }
+
   function influenceProfile(p){ const b = { rapEnergy:.2, anthem:.25, ambient:.2, djent:.35 }; if (p==="Djent") b.djent=.45; if (p==="Nu‑Metal") b.rapEnergy=.45; if (p==="Alt‑Prog") b.ambient=.35; return b; }
 
-  function startRaf(duration){ const start = performance.now()/1000; const tick = ()=>{ const elapsed = (performance.now()/1000) - start; setPlayProgress(Math.min(duration, elapsed)); if (elapsed < duration && audioRef.current){ rafRef.current = requestAnimationFrame(tick); } else { stop(); } }; rafRef.current = requestAnimationFrame(tick); }
+  function startRaf(){ const tick = ()=>{ const pb = audioRef.current; if (!pb) return; holdClock(pb); const elapsed = Math.max(0, pb.ctx.currentTime - pb.t0); setPlayProgress(Math.min(pb.duration, elapsed)); if (elapsed < pb.duration){ rafRef.current = requestAnimationFrame(tick); } else { stop(); } }; rafRef.current = requestAnimationFrame(tick); }
 
-  function stop(){ if (!audioRef.current){ setIsPlaying(false); setPlayProgress(0); return; } try { const { ctx, out, src } = audioRef.current; const t = ctx.currentTime; if (src){ try{ src.stop(); }catch{} } out.gain.cancelScheduledValues(t); out.gain.setValueAtTime(out.gain.value, t); out.gain.linearRampToValueAtTime(0.0001, t+0.06); setTimeout(()=>{ try{ ctx.close(); }catch{} audioRef.current=null; }, 80); } finally { cancelAnimationFrame(rafRef.current); setIsPlaying(false); setPlayProgress(0); } }
+  function stop(){ if (!audioRef.current){ setIsPlaying(false); setPlayProgress(0); return; } try { const { ctx, out, sources, cancel } = audioRef.current; cancel?.(); const t = ctx.currentTime; sources.forEach(src=>{ try{ src.stop(); }catch{} }); out.gain.cancelScheduledValues(t); out.gain.setValueAtTime(out.gain.value, t); out.gain.linearRampToValueAtTime(0.0001, t+0.06); setTimeout(()=>{ try{ ctx.close(); }catch{} audioRef.current=null; }, 80); } finally { cancelAnimationFrame(rafRef.current); setIsPlaying(false); setPlayProgress(0); } }
 
   function ensureResume(ctx){ if (ctx.state==="suspended" && ctx.resume){ try{ ctx.resume(); }catch{} } }
+  // the context is made inside the click, before any await, so autoplay rules let it start
+  function playbackContext(){ const Ctx = window.AudioContext || window.webkitAudioContext; const ctx = new Ctx(); ensureResume(ctx); return ctx; }
+  function dropContext(ctx){ if (audioRef.current?.ctx!==ctx) ctx.close().catch(()=>{}); }
 
+  // streams the preview: blocks play as they arrive, and the ones under the playhead render first
   async function play(){
     if (audioRef.current){ stop(); return; }
-    setIsRendering(true);
+    const spec = previewSpec();
+    const cached = baseRef.current;
+    const ctx = playbackContext();
+    if (sameSong(cached?.spec, spec) && JSON.stringify(cached.spec.mixSettings)===JSON.stringify(spec.mixSettings)){ setAuditioning(null); startPlayback(ctx, cached.result); return; }
+    const opts = beginRender();
+    let pb = null;
     try {
-      const spec = buildSessionSpec({ timeline, key, scale, bpm, timeSig, preset, seed, targetMin: lengthMin });
-      const { mix, meta } = await songGen.generate(spec);
-      const Ctx = window.AudioContext || window.webkitAudioContext;
-      const ctx = new Ctx();
-      ensureResume(ctx);
-      const out = ctx.createGain();
-      out.gain.value = 0.85;
-      out.connect(ctx.destination);
-      const src = ctx.createBufferSource();
-      src.buffer = mix;
-      src.connect(out);
-      src.start();
-      audioRef.current = { ctx, out, src };
-      setIsPlaying(true);
-      setClipDuration(meta.totalSec);
-      startRaf(meta.totalSec);
+      const preview = songGen.preview(spec, { ...opts, onBlock: block=>{
+        if (!pb){ pb = openPlayback(ctx, block.totalSec); pb.preview = preview; pb.cancel = cancelRender; pb.streaming = true; }
+        if (audioRef.current===pb) queueBlock(pb, block);
+      } });
+      await preview.done;
+      setAuditioning(null);
     } catch (err) {
-      console.error(err);
+      renderFailed(err);
+      stop();
+    } finally {
+      if (pb){ pb.streaming = false; holdClock(pb); }
+      dropContext(ctx);
+      endRender();
+    }
+  }
+
+  async function applyMix(){
+    if (audioRef.current) stop();
+    const ctx = playbackContext();
+    const opts = beginRender();
+    try {
+      const result = await compedBase(previewSpec(), opts);
+      setAuditioning(null);
+      startPlayback(ctx, result);
+    } catch (err) {
+      renderFailed(err);
+      stop();
+    } finally {
+      dropContext(ctx);
+      endRender();
+    }
+  }
+
+  async function regenWindow(){
+    if (audioRef.current) stop();
+    const ctx = playbackContext();
+    const opts = beginRender();
+    try {
+      const spec = previewSpec();
+      const base = await compedBase(spec, opts);
+      const id = stackId(spec.regen);
+      const stack = takeStacks.find(st=> st.id===id);
+      const next = stack ? Math.max(...stack.takes.map(t=> t.take)) + 1 : 1;
+      const result = await songGen.regenerate(base, { ...spec.regen, take: next }, opts);
+      const applied = result.takes[result.takes.length-1];
+      const take = { take: applied.take, seed: applied.seed };
+      setTakeStacks(stacks=> stacks.some(st=> st.id===id)
+        ? stacks.map(st=> st.id===id ? { ...st, takes: [...st.takes, take] } : st)
+        : [...stacks, { id, lane: applied.lane, startBar: applied.startBar, bars: applied.bars, takes: [take], comped: null }]);
+      setAuditioning({ id, take: take.take });
+      startPlayback(ctx, result);
+    } catch (err) {
+      renderFailed(err);
+      stop();
+    } finally {
+      dropContext(ctx);
+      endRender();
+    }
+  }
+
+  async function auditionTake(stack, take){
+    if (audioRef.current) stop();
+    const ctx = playbackContext();
+    const opts = beginRender();
+    try {
+      const base = await compedBase(previewSpec(), opts);
+      const result = await songGen.regenerate(base, { lane: stack.lane, startBar: stack.startBar, bars: stack.bars, take: take.take, seed: take.seed }, opts);
+      setAuditioning({ id: stack.id, take: take.take });
+      startPlayback(ctx, result);
+    } catch (err) {
+      renderFailed(err);
       stop();
     } finally {
-      setIsRendering(false);
+      dropContext(ctx);
+      endRender();
     }
   }
 
-  async function exportClip(){ const spec = buildSessionSpec({ timeline, key, scale, bpm, timeSig, preset, seed, targetBars: 16}); await renderAndDownload(spec, `${slug(title||"anvil")}-30s.wav`); }
-  async function exportFull(){ const spec = buildSessionSpec({ timeline, key, scale, bpm, timeSig, preset, seed, targetMin: lengthMin }); await renderAndDownload(spec, `${slug(title||"anvil")}-full.wav`); }
+  function compTake(stack, take){ setTakeStacks(stacks=> stacks.map(st=> st.id===stack.id ? { ...st, comped: st.comped===take.take ? null : take.take } : st)); }
+  function discardTake(stack, take){ setTakeStacks(stacks=> stacks.map(st=> st.id!==stack.id ? st : { ...st, takes: st.takes.filter(t=> t.take!==take.take), comped: st.comped===take.take ? null : st.comped }).filter(st=> st.takes.length)); }
+
+  async function toggleLive(){
+    if (liveRef.current){ stopLive(); return; }
+    stop();
+    try {
+      liveRef.current = await songGen.live(previewSpec(), { countIn, metronome, loop: liveLoop, onBar: p=>{ setLiveBar(p); setPlayProgress(p.sec); setClipDuration(p.totalSec); }, onEnd: ()=>{ liveRef.current = null; setIsLive(false); setLiveBar(null); } });
+      setIsLive(true);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+  function stopLive(){ if (!liveRef.current) return; liveRef.current.stop(); liveRef.current = null; setIsLive(false); setLiveBar(null); setPlayProgress(0); }
+
+  function startPlayback(ctx, { mix, meta }){ queueBlock(openPlayback(ctx, meta.totalSec), { startSec: 0, endSec: meta.totalSec, buffer: mix }); }
+
+  // playback schedules blocks ({ startSec, endSec, buffer }) against t0, the context time of song second 0
+  function openPlayback(ctx, duration){
+    stopLive();
+    const out = ctx.createGain();
+    out.gain.value = 0.85;
+    out.connect(ctx.destination);
+    audioRef.current = { ctx, out, t0: ctx.currentTime + 0.05, duration, blocks: [], sources: [] };
+    setIsPlaying(true);
+    setClipDuration(duration);
+    setPlayProgress(0);
+    startRaf();
+    return audioRef.current;
+  }
+  function scheduleBlock(pb, block){ const { ctx, out } = pb; const at = pb.t0 + block.startSec; const skip = Math.max(0, ctx.currentTime - at); if (skip >= block.buffer.duration) return; const src = ctx.createBufferSource(); src.buffer = block.buffer; src.connect(out); src.start(at + skip, skip); pb.sources.push(src); }
+  function queueBlock(pb, block){ const b = { startSec: block.startSec, endSec: block.endSec, buffer: toAudioBuffer(pb.ctx, block.buffer) }; pb.blocks.push(b); scheduleBlock(pb, b); holdClock(pb); }
+  // while a preview streams, the clock is suspended whenever the block just ahead of the playhead hasn't arrived, so no block starts late
+  function holdClock(pb){ const t = Math.max(0, pb.ctx.currentTime - pb.t0) + PLAYHEAD_LEAD_SEC; const missing = pb.streaming && t < pb.duration && !pb.blocks.some(b=> b.startSec <= t && t < b.endSec); if (missing===!!pb.waiting) return; pb.waiting = missing; (missing ? pb.ctx.suspend() : pb.ctx.resume()).catch(()=>{}); }
+  function seek(fraction){ if (liveRef.current){ liveRef.current.seek(Math.floor(fraction * (liveBar?.totalBars || totalBars))); return; } const pb = audioRef.current; if (!pb) return; const sec = fraction * pb.duration; pb.sources.forEach(src=>{ try{ src.stop(); }catch{} }); pb.sources = []; pb.t0 = pb.ctx.currentTime - sec; pb.blocks.forEach(b=> scheduleBlock(pb, b)); pb.preview?.seek(sec); holdClock(pb); setPlayProgress(sec); }
+
+  async function exportClip(){ const spec = buildSessionSpec({ timeline, key, scale, bpm, timeSig, tuning, groove, preset, seed, mixSettings, imported, lyrics, targetBars: 16, takes: compedTakes }); await renderAndDownload(spec, `${slug(title||"anvil")}-30s.wav`); }
+  async function exportFull(){ const spec = buildSessionSpec({ timeline, key, scale, bpm, timeSig, tuning, groove, preset, seed, mixSettings, imported, lyrics, targetMin: lengthMin, takes: compedTakes }); await renderAndDownload(spec, `${slug(title||"anvil")}-full.wav`); }
+  async function exportStems(){
+    const opts = beginRender();
+    try {
+      const result = await compedBase(buildSessionSpec({ timeline, key, scale, bpm, timeSig, tuning, groove, preset, seed, mixSettings, imported, lyrics, targetMin: lengthMin, takes: compedTakes }), opts);
+      const zip = await songGen.exportStems(result, { title: title||"anvil", wav: WAV_FORMATS[wavFormat] });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(zip);
+      a.download = `${slug(title||"anvil")}-stems.zip`;
+      a.click();
+      setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+    } catch (err) {
+      renderFailed(err);
+    } finally {
+      endRender();
+    }
+  }
   async function exportMidi(){
-    setIsRendering(true);
+    const opts = beginRender();
     try {
-      const spec = buildSessionSpec({ timeline, key, scale, bpm, timeSig, preset, seed, targetMin: lengthMin });
-      await songGen.generate(spec);
-      const midi = songGen.exportMidi();
+      const spec = buildSessionSpec({ timeline, key, scale, bpm, timeSig, tuning, groove, preset, seed, mixSettings, imported, lyrics, targetMin: lengthMin, takes: compedTakes });
+      await songGen.compose(spec);
+      const midi = await songGen.exportMidi({ title: title||"anvil" });
       const a = document.createElement("a");
       a.href = URL.createObjectURL(midi);
       a.download = `${slug(title||"anvil")}.mid`;
       a.click();
       setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
     } catch (err) {
-      console.error(err);
+      renderFailed(err);
     } finally {
-      setIsRendering(false);
+      endRender();
     }
   }
 
   async function renderAndDownload(spec, name){
-    setIsRendering(true);
+    const opts = beginRender();
     try {
-      const { mix } = await songGen.generate(spec);
-      const wav = songGen.encodeWav(mix);
+      const { mix } = await songGen.generate(spec, opts);
+      const wav = await songGen.encodeWav(mix, WAV_FORMATS[wavFormat]);
       const a = document.createElement("a");
       a.href = URL.createObjectURL(wav);
       a.download = name;
       a.click();
       setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
     } catch (err) {
-      console.error(err);
+      renderFailed(err);
     } finally {
-      setIsRendering(false);
+      endRender();
     }
   }
 
@@ -174,6 +359,22 @@ export default function App(){
   function onDragOver(e){ e.preventDefault(); }
   function onDrop(e, i){ e.preventDefault(); const from = Number(e.dataTransfer.getData("text/plain")); if (Number.isNaN(from)) return; setTimeline(t=>{ const arr = t.slice(); const tmp = arr[i]; arr[i] = arr[from]; arr[from] = tmp; return arr; }); }
   function removeAt(i){ setTimeline(t=> t.filter((_,idx)=> idx!==i)); }
+  async function importMidiFile(e){
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const spec = songGen.importMidi(await file.arrayBuffer(), { lock: true });
+      setImported({ file: file.name, spec, lock: true });
+      setBpm(Math.round(spec.bpm));
+      setTimeSig(spec.ts);
+      if (KEYS[noteToSemitone(spec.key)]) setKey(KEYS[noteToSemitone(spec.key)]);
+      if (spec.mode==="minor") setScale("Aeolian (Natural Minor)");
+      setTakeStacks([]);
+    } catch (err) {
+      console.error(err);
+    }
+  }
   function resetTimeline(){ setTimeline(["intro","verse","pre","chorus","verse","pre","chorus","break","bridge","chorus","outro"]); }
 
   return (
@@ -202,6 +403,10 @@ export default function App(){
           </div>
           <div className="flex items-center gap-2">
             <button onClick={exportMidi} disabled={isRendering} className="rounded-xl border border-white/15 px-3 py-2 text-xs font-medium text-slate-100 transition hover:bg-white/10 disabled:opacity-60">MIDI</button>
+            <select value={wavFormat} onChange={e=>setWavFormat(e.target.value)} title="WAV export format" className="rounded-xl border border-white/15 bg-slate-950 px-2 py-2 text-xs text-slate-100 outline-none">
+              {Object.keys(WAV_FORMATS).map(f=> <option key={f} value={f}>{f}</option>)}
+            </select>
+            <button onClick={exportStems} disabled={isRendering} className="rounded-xl border border-white/15 px-3 py-2 text-xs font-medium text-slate-100 transition hover:bg-white/10 disabled:opacity-60">Export stems</button>
             <button onClick={exportClip} disabled={isRendering} className="rounded-xl border border-white/15 px-3 py-2 text-xs font-medium text-slate-100 transition hover:bg-white/10 disabled:opacity-60">Export 30s</button>
             <button onClick={exportFull} disabled={isRendering} className="rounded-xl bg-emerald-500 px-3 py-2 text-xs font-semibold text-emerald-950 shadow-[0_10px_50px_-16px_rgba(16,185,129,0.8)] transition hover:bg-emerald-400 disabled:opacity-60">Full render</button>
           </div>
@@ -225,10 +430,10 @@ export default function App(){
                 Generate arrangement-aware riffs, regenerate 4-bar clips without losing the groove, and export stems that drop straight into your DAW.
               </p>
               <div className="flex flex-wrap gap-2">
-                <button onClick={play} disabled={isRendering} className="rounded-xl bg-emerald-500 px-4 py-3 text-sm font-semibold text-emerald-950 shadow-[0_10px_40px_-15px_rgba(16,185,129,0.8)] transition hover:bg-emerald-400 disabled:opacity-60">
-                  {isRendering ? "Rendering…" : isPlaying ? "Stop preview" : "Generate & preview"}
+                <button onClick={play} disabled={isRendering && !isPlaying} className="rounded-xl bg-emerald-500 px-4 py-3 text-sm font-semibold text-emerald-950 shadow-[0_10px_40px_-15px_rgba(16,185,129,0.8)] transition hover:bg-emerald-400 disabled:opacity-60">
+                  {isPlaying ? "Stop preview" : isRendering ? `Rendering… ${renderProgress?.overall ?? 0}%` : "Generate & preview"}
                 </button>
-                <button onClick={stop} className="rounded-xl border border-white/15 px-4 py-3 text-sm font-semibold text-slate-100 transition hover:bg-white/10">Stop playback</button>
+                <button onClick={()=>{ stop(); stopLive(); }} className="rounded-xl border border-white/15 px-4 py-3 text-sm font-semibold text-slate-100 transition hover:bg-white/10">Stop playback</button>
                 <button onClick={()=>setSeed(Math.floor(Math.random()*1e9))} className="rounded-xl border border-white/10 px-4 py-3 text-sm text-slate-200 transition hover:bg-white/10">
                   Shuffle seed
                 </button>
@@ -236,6 +441,7 @@ export default function App(){
                   Regenerate title
                 </button>
               </div>
+              {renderProgress && <RenderProgress progress={renderProgress} lanes={LANES} onCancel={cancelRender} />}
             </div>
 
             <div className="grid gap-3 sm:grid-cols-2">
@@ -269,23 +475,33 @@ export default function App(){
                     <div className="text-xs text-slate-400 mb-1">Title</div>
                     <input value={title} onChange={e=>setTitle(e.target.value)} className="w-full rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-sm text-white outline-none focus:border-emerald-400/60" placeholder="Generate a title" />
                   </div>
-                  <button onClick={play} disabled={isRendering} className="rounded-xl bg-emerald-500 px-4 py-2 text-xs font-semibold text-emerald-950 shadow-[0_8px_30px_-12px_rgba(16,185,129,0.8)] transition hover:bg-emerald-400 disabled:opacity-60">
+                  <button onClick={play} disabled={isRendering && !isPlaying} className="rounded-xl bg-emerald-500 px-4 py-2 text-xs font-semibold text-emerald-950 shadow-[0_8px_30px_-12px_rgba(16,185,129,0.8)] transition hover:bg-emerald-400 disabled:opacity-60">
                     {isPlaying ? "Re-render" : "Preview"}
                   </button>
                 </div>
-                <ProgressBar value={playProgress} max={clipDuration||1} />
+                <ProgressBar value={playProgress} max={clipDuration||1} onSeek={isPlaying || isLive ? seek : undefined} />
                 <div className="flex items-center justify-between text-[11px] text-slate-400">
                   <span>{fmtTime(playProgress)} / {fmtTime(clipDuration||0)}</span>
                   <span>{totalBars} bars • {fmtTime(estimatedSeconds)}</span>
                 </div>
+                <LiveControls live={isLive} position={liveBar} sections={arrangementPlan} loop={liveLoop} metronome={metronome} countIn={countIn} onToggle={toggleLive} onLoop={setLiveLoop} onMetronome={setMetronome} onCountIn={setCountIn} />
                 <div className="grid gap-3 sm:grid-cols-2">
                   <Select label="Preset" value={preset} onChange={setPreset} options={PRESETS} />
                   <Select label="Key" value={key} onChange={setKey} options={KEYS} />
                   <Select label="Scale" value={scale} onChange={setScale} options={SCALES} />
                   <Select label="Time Sig" value={timeSig} onChange={setTimeSig} options={["4/4","3/4","6/8","7/8","5/4"]} />
                   <Select label="Tuning" value={tuning} onChange={setTuning} options={TUNINGS} />
+                  <Select label="Groove" value={groove} onChange={setGroove} options={GROOVES} />
                   <Slider label={`BPM: ${bpm}`} value={bpm} onChange={setBpm} min={70} max={210} />
                   <Slider label={`Length: ${lengthMin.toFixed(1)} min`} value={lengthMin} onChange={setLengthMin} min={2} max={5} step={0.1} />
+                  <Select label="Regen lane" value={regenLane} onChange={setRegenLane} options={LANES} />
+                  <label className="flex flex-col text-xs gap-1">
+                    <span className="text-slate-400">Regen window (bars {regenStart}–{regenStart+REGEN_BARS-1})</span>
+                    <div className="flex gap-2">
+                      <input type="number" min={1} max={Math.max(1, totalBars-REGEN_BARS+1)} value={regenStart} onChange={e=>setRegenStart(Math.max(1, Math.floor(Number(e.target.value)||1)))} className="w-20 bg-[#0f121a] border border-[#1b202c] rounded-xl px-3 py-2 outline-none text-white" />
+                      <button onClick={regenWindow} disabled={isRendering} className="flex-1 rounded-xl border border-emerald-300/30 bg-emerald-500/10 px-3 py-2 text-xs font-semibold text-emerald-100 transition hover:bg-emerald-500/20 disabled:opacity-60">Regen {REGEN_BARS} bars</button>
+                    </div>
+                  </label>
                   <div className="rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-slate-300">
                     <div className="text-[11px] uppercase tracking-[0.22em] text-emerald-200">Influence</div>
                     <div className="grid grid-cols-2 gap-1 text-[11px] text-slate-400">
@@ -296,6 +512,8 @@ export default function App(){
                     </div>
                   </div>
                 </div>
+                <TakeStacks stacks={takeStacks} auditioning={auditioning} disabled={isRendering} label={takeLabel} onAudition={auditionTake} onComp={compTake} onDiscard={discardTake} />
+                <ChannelStrips settings={mixSettings} lanes={LANES} disabled={isRendering} onStrip={setStrip} onMaster={setMaster} onApply={applyMix} onReset={()=>setMixSettings(defaultMixSettings())} />
               </div>
             </Card>
 
@@ -320,7 +538,28 @@ export default function App(){
                   <option value="outro">Outro</option>
                 </select>
                 <button onClick={resetTimeline} className="rounded-xl border border-white/10 px-3 py-2 text-xs text-slate-200 transition hover:bg-white/10">Reset</button>
+                <label className="cursor-pointer rounded-xl border border-white/10 px-3 py-2 text-xs text-slate-200 transition hover:bg-white/10">
+                  Import MIDI
+                  <input type="file" accept=".mid,.midi,audio/midi" onChange={importMidiFile} className="hidden" />
+                </label>
               </div>
+              {imported ? (
+                <div className="mt-2 flex flex-wrap items-center gap-2 rounded-xl border border-emerald-300/30 bg-emerald-500/10 px-3 py-2 text-xs text-emerald-100">
+                  <span className="font-semibold">{imported.file}</span>
+                  <span className="text-emerald-200/80">{imported.spec.structure.length} sections • {imported.spec.key} {imported.spec.mode} • {imported.spec.ts}</span>
+                  {imported.spec.locked ? (
+                    <label className="flex items-center gap-1 text-emerald-200/90">
+                      <input type="checkbox" checked={imported.lock} onChange={e=>setImported(im=> ({ ...im, lock: e.target.checked }))} className="accent-emerald-400" />
+                      Lock {Object.keys(imported.spec.locked).join(", ")}
+                    </label>
+                  ) : null}
+                  <button onClick={()=>setImported(null)} className="ml-auto text-rose-300" title="Back to the timeline">Clear import</button>
+                </div>
+              ) : null}
+            </Card>
+
+            <Card title="Lyrics">
+              <LyricsEditor roles={[...new Set(timeline)]} lyrics={lyrics} imported={!!imported} onChange={(role, text)=>setLyrics(l=> ({ ...l, [role]: text }))} />
             </Card>
 
             <Card title="Arrangement snapshot">
@@ -354,7 +593,7 @@ export default function App(){
                 <ol className="list-decimal list-inside space-y-1 text-slate-200">
                   <li>Click <span className="font-semibold">Export MIDI</span> above.</li>
                   <li>Load the MIDI into your sampler (browser SoundFonts or DAW VSTs).</li>
-                  <li>Render stems for drums, bass, chords, and lead to mirror the browser mix.</li>
+                  <li>Render stems for drums, bass, chords, guitar, and lead to mirror the browser mix.</li>
                 </ol>
               </div>
               <div className="space-y-2">
@@ -387,7 +626,7 @@ export default function App(){
 
 function friendlySectionName(section){ if (section==="pre") return "Pre‑Chorus"; return section.charAt(0).toUpperCase() + section.slice(1); }
 
-function scaleToMode(scale){ const s=(scale||"").toLowerCase(); return (s.includes("minor") || s.includes("phrygian") || s.includes("dorian") || s.includes("locrian")) ? 'minor' : 'major'; }
+function scaleToMode(scale){ return SCALE_MODES[scale] || 'major'; }
 function normalizeBars({ baseBars, targetMin, targetBars, bpm, timeSig }){
   let bars = baseBars.slice();
   if (targetBars){
@@ -443,6 +682,136 @@ function BlueprintSection({ title, items, tone="zinc" }){
     </div>
   );
 }
+function RenderProgress({ progress, lanes, onCancel }){
+  return (
+    <div className="space-y-2 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-[11px] text-slate-400">
+      <div className="flex items-center justify-between">
+        <span className="uppercase tracking-[0.22em] text-emerald-200">{progress.stage==="mix" ? "Mixing" : "Rendering"} • {progress.overall}%</span>
+        <button onClick={onCancel} className="rounded-lg border border-rose-300/30 px-2 py-1 font-semibold text-rose-100 transition hover:bg-rose-500/20">Cancel</button>
+      </div>
+      <div className="grid gap-x-4 gap-y-1 sm:grid-cols-2">
+        {lanes.map(lane=> (
+          <div key={lane} className="flex items-center gap-2">
+            <span className="w-14 capitalize text-slate-100">{lane}</span>
+            <ProgressBar value={progress.lanes[lane] ?? 0} max={100} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+// live transport: section loop, metronome and count-in apply at the next bar line
+function LiveControls({ live, position, sections, loop, metronome, countIn, onToggle, onLoop, onMetronome, onCountIn }){
+  const where = !position ? "Plays on the real-time transport" : position.bar < 0 ? `Count-in ${-position.bar}` : `Bar ${position.bar+1}/${position.totalBars} • ${friendlySectionName(sections[position.section]?.section || "")} • ${position.bpm} BPM`;
+  return (
+    <div className="space-y-2 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-slate-300">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-[11px] uppercase tracking-[0.22em] text-emerald-200">Live</span>
+        <span className="flex-1 truncate text-[11px] text-slate-400">{where}</span>
+        <button onClick={onToggle} className={`rounded-lg border px-2 py-1 font-semibold transition ${live ? 'border-rose-300/30 text-rose-100 hover:bg-rose-500/20' : 'border-emerald-300/30 text-emerald-100 hover:bg-emerald-500/20'}`}>{live ? "Stop live" : "Go live"}</button>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={loop ?? ""} onChange={e=> onLoop(e.target.value==="" ? null : Number(e.target.value))} title="Loop a section" className="rounded-lg border border-white/10 bg-slate-950 px-2 py-1 text-xs text-slate-100 outline-none">
+          <option value="">No loop</option>
+          {sections.map((s,i)=> <option key={i} value={i}>Loop {String(i+1).padStart(2,'0')} {friendlySectionName(s.section)}</option>)}
+        </select>
+        <label className="flex items-center gap-1"><input type="checkbox" checked={metronome} onChange={e=> onMetronome(e.target.checked)} className="accent-emerald-400" />Metronome</label>
+        <label className="flex items-center gap-1">Count-in
+          <select value={countIn} onChange={e=> onCountIn(Number(e.target.value))} disabled={live} className="rounded-lg border border-white/10 bg-slate-950 px-2 py-1 text-xs text-slate-100 outline-none disabled:opacity-60">
+            {[0,1,2].map(n=> <option key={n} value={n}>{n} bar{n===1 ? "" : "s"}</option>)}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
+
+function TakeStacks({ stacks, auditioning, disabled, label, onAudition, onComp, onDiscard }){
+  if (!stacks.length) return null;
+  return (
+    <div className="space-y-2">
+      <div className="text-[11px] uppercase tracking-[0.22em] text-emerald-200">Takes</div>
+      {stacks.map(stack=> (
+        <div key={stack.id} className="rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-slate-300">
+          <div className="mb-2 flex items-center justify-between">
+            <span className="capitalize text-slate-100">{stack.lane}</span>
+            <span className="text-slate-400">bars {stack.startBar}–{stack.startBar+stack.bars-1}</span>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {stack.takes.map(take=> {
+              const comped = stack.comped===take.take;
+              const live = auditioning?.id===stack.id && auditioning?.take===take.take;
+              return (
+                <div key={take.take} className={`flex items-center gap-1 rounded-full border px-2 py-1 ${comped ? 'border-emerald-300/40 bg-emerald-500/15' : 'border-white/10'}`}>
+                  <button onClick={()=>onAudition(stack, take)} disabled={disabled} className={`font-semibold disabled:opacity-60 ${live ? 'text-emerald-200' : 'text-slate-100'}`} title="Audition take">{label(take.take-1)}</button>
+                  <button onClick={()=>onComp(stack, take)} className={comped ? 'text-emerald-200' : 'text-slate-400 hover:text-white'} title={comped ? "Un-comp take" : "Comp this take"}>{comped ? "comped" : "comp"}</button>
+                  <button onClick={()=>onDiscard(stack, take)} className="text-rose-300" title="Discard take">×</button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+function ChannelStrips({ settings, lanes, disabled, onStrip, onMaster, onApply, onReset }){
+  const { master } = settings;
+  const range = "w-full accent-[#7cc7ff]";
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-[11px] uppercase tracking-[0.22em] text-emerald-200">Mixer</div>
+        <div className="flex gap-2">
+          <button onClick={onReset} className="rounded-lg border border-white/10 px-2 py-1 text-[11px] text-slate-300 transition hover:bg-white/10">Reset</button>
+          <button onClick={onApply} disabled={disabled} className="rounded-lg border border-emerald-300/30 bg-emerald-500/10 px-2 py-1 text-[11px] font-semibold text-emerald-100 transition hover:bg-emerald-500/20 disabled:opacity-60" title="Re-mix cached stems and play">Apply mix</button>
+        </div>
+      </div>
+      <div className="grid grid-cols-[4.5rem_1fr_1fr_1fr_auto] items-center gap-x-2 gap-y-1 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-[11px] text-slate-400">
+        <span />
+        <span>Gain</span>
+        <span>Pan</span>
+        <span>Send</span>
+        <span />
+        {lanes.map(lane=> {
+          const strip = settings.lanes[lane];
+          return (
+            <React.Fragment key={lane}>
+              <span className="capitalize text-slate-100">{lane}</span>
+              <input type="range" min={-24} max={6} step={0.5} value={strip.gain} onChange={e=>onStrip(lane, { gain: Number(e.target.value) })} className={range} title={`${strip.gain} dB`} />
+              <input type="range" min={-1} max={1} step={0.05} value={strip.pan} onChange={e=>onStrip(lane, { pan: Number(e.target.value) })} className={range} title={`pan ${strip.pan}`} />
+              <input type="range" min={0} max={1} step={0.05} value={strip.send} onChange={e=>onStrip(lane, { send: Number(e.target.value) })} className={range} title={`send ${Math.round(strip.send*100)}%`} />
+              <div className="flex gap-1">
+                <button onClick={()=>onStrip(lane, { mute: !strip.mute })} className={`rounded px-1.5 font-semibold ${strip.mute ? 'bg-rose-500/30 text-rose-100' : 'text-slate-400 hover:text-white'}`} title="Mute">M</button>
+                <button onClick={()=>onStrip(lane, { solo: !strip.solo })} className={`rounded px-1.5 font-semibold ${strip.solo ? 'bg-amber-400/30 text-amber-100' : 'text-slate-400 hover:text-white'}`} title="Solo">S</button>
+              </div>
+            </React.Fragment>
+          );
+        })}
+      </div>
+      <div className="grid grid-cols-2 gap-x-3 gap-y-1 rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-[11px] text-slate-400">
+        <Slider label="Glue threshold (dB)" value={master.glue.threshold} onChange={v=>onMaster({ glue: { ...master.glue, threshold: v } })} min={-36} max={0} />
+        <Slider label="Ceiling (dBFS)" value={master.ceiling} onChange={v=>onMaster({ ceiling: v })} min={-6} max={0} step={0.1} />
+        <Slider label="Low (dB)" value={master.eq.low} onChange={v=>onMaster({ eq: { ...master.eq, low: v } })} min={-6} max={6} step={0.5} />
+        <Slider label="Mid (dB)" value={master.eq.mid} onChange={v=>onMaster({ eq: { ...master.eq, mid: v } })} min={-6} max={6} step={0.5} />
+        <Slider label="High (dB)" value={master.eq.high} onChange={v=>onMaster({ eq: { ...master.eq, high: v } })} min={-6} max={6} step={0.5} />
+      </div>
+    </div>
+  );
+}
+function LyricsEditor({ roles, lyrics, imported, onChange }){
+  return (
+    <div className="space-y-2">
+      <p className="text-[11px] text-slate-400">{imported ? "Lyrics apply to the timeline. Imported songs sing generated lyrics, or their own vocal track when it is locked." : "One line per 2 bars; break lines with \"/\" or Enter. Hyphens split syllables (burn-ing). Empty sections get generated lyrics."}</p>
+      {roles.map(role=> (
+        <label key={role} className="flex flex-col gap-1 text-xs">
+          <span className="capitalize text-slate-300">{friendlySectionName(role)}</span>
+          <textarea rows={2} value={lyrics[role] || ""} onChange={e=>onChange(role, e.target.value)} placeholder="Generated" className="rounded-xl border border-white/10 bg-white/5 px-3 py-2 text-xs text-slate-100 outline-none placeholder:text-slate-500" />
+        </label>
+      ))}
+    </div>
+  );
+}
 function Select({ label, value, onChange, options }){
   return (
     <label className="flex flex-col text-xs gap-1">
@@ -472,38 +841,22 @@ function InfluenceBar({ label, value }){
     </div>
   );
 }
-function ProgressBar({value, max}){ const pct = Math.max(0, Math.min(1, (max ? value/max : 0))); return (<div className="w-full h-2 bg-white/10 rounded-full overflow-hidden"><div className="h-full bg-[#7cc7ff]" style={{width: `${(pct*100).toFixed(1)}%`}} /></div>); }
+function ProgressBar({value, max, onSeek}){ const pct = Math.max(0, Math.min(1, (max ? value/max : 0))); const click = onSeek && (e=>{ const r = e.currentTarget.getBoundingClientRect(); onSeek(Math.max(0, Math.min(1, (e.clientX - r.left) / r.width))); }); return (<div onClick={click} title={onSeek ? "Seek" : undefined} className={`w-full h-2 bg-white/10 rounded-full overflow-hidden ${onSeek ? 'cursor-pointer' : ''}`}><div className="h-full bg-[#7cc7ff]" style={{width: `${(pct*100).toFixed(1)}%`}} /></div>); }
+// worker renders come back as SampleBuffers; playback needs a real AudioBuffer
+function toAudioBuffer(ctx, buf){ if (typeof AudioBuffer!=="undefined" && buf instanceof AudioBuffer) return buf; const out = ctx.createBuffer(buf.numberOfChannels, buf.length, buf.sampleRate); for (let c=0;c<buf.numberOfChannels;c++) out.copyToChannel(buf.getChannelData(c), c); return out; }
 function AnvilIcon({className="w-6 h-6"}){ return (<svg viewBox="0 0 24 24" className={className} fill="currentColor" aria-hidden><path d="M21 8h-3l-1-2H7L6 8H3a1 1 0 0 0 0 2h7v2.2l-3.5 1.4a2 2 0 0 0-1.2 1.8V16h14v-0.6a2 2 0 0 0-1.2-1.8L14 12.2V10h7a1 1 0 0 0 0-2z"/></svg>); }
 
-function stepsPerBar(){ return 16; }
 function beatSeconds(bpm){ return 60/Math.max(40, Math.min(260, bpm||120)); }
 function stepsToSeconds(steps, bpm){ return (steps/4) * beatSeconds(bpm); }
-function beatsPerBarFromTimeSig(ts){ const m = /^(\d+)\/(\d+)$/.exec(ts||'4/4'); const num = m? parseInt(m[1],10):4; return num||4; }
+// Bar length in quarter-note beats (BPM counts quarters): 7/8 -> 3.5, 6/8 -> 3
+function beatsPerBarFromTimeSig(ts){ const m = /^(\d+)\/(\d+)$/.exec(ts||'4/4'); const num = m? parseInt(m[1],10):4; const den = m? parseInt(m[2],10):4; return (num||4) * 4 / (den||4); }
 function barsForSeconds(bpm, seconds, ts){ const spb = beatsPerBarFromTimeSig(ts||'4/4')*beatSeconds(bpm); return Math.max(1, Math.ceil(seconds / spb)); }
 function buildScale(root, name){ const notes = ["C","C#","D","Eb","E","F","F#","G","Ab","A","Bb","B"]; const idx = notes.indexOf(root); const modes = { "Aeolian (Natural Minor)": [2,1,2,2,1,2,2], "Phrygian": [1,2,2,2,1,2,2], "Dorian": [2,1,2,2,2,1,2], "Harmonic Minor": [2,1,2,2,1,3,1], "Locrian (spice)": [1,2,2,1,2,2,2] }; const steps = modes[name] || modes["Aeolian (Natural Minor)"]; const scale = [root]; let i = idx; for (const s of steps){ i=(i+s)%notes.length; scale.push(notes[i]); } return scale.slice(0,7); }
-function degreeToNote(scale, deg){ const i = ((deg-1)%scale.length+scale.length)%scale.length; return scale[i]; }
-function lowStringFreqFromTuning(tuning){ const base = String(tuning||'Drop C').slice(5,6); const map = { 'D': 73.416, 'C': 65.406, 'B': 61.735, 'A': 55.000 }; return map[base] || 65.406; }
 function noteToSemitone(n){ const map = { C:0, 'C#':1, Db:1, D:2, 'D#':3, Eb:3, E:4, F:5, 'F#':6, Gb:6, G:7, 'G#':8, Ab:8, A:9, 'A#':10, Bb:10, B:11 }; return map[n]; }
-function freqFromNote(n, octave){ const semi = noteToSemitone(n); const midi = (octave+1)*12 + semi; return 440*Math.pow(2, (midi-69)/12); }
-
-function makeSongGrid({ bars, bpm, prof, rng }){ const steps = bars * stepsPerBar(); const kick = Array(steps).fill(0), snare = Array(steps).fill(0), hat = Array(steps).fill(0), chug = Array(steps).fill(0), lead = Array(steps).fill(-1); const role = (b)=> (b<4? 'verse' : b<8? 'pre' : b<12? 'chorus' : 'break'); for (let b=0;b<bars;b++){ const base=b*16; applyRolePatterns({ role: role(b), base, kick, snare, hat, chug, lead, prof, rng }); } return { steps: Array.from({length: steps}, (_,i)=>i), kick, snare, hat, chug, lead }; }
-function makeGridFromTimeline({ timeline, bpm, timeSig, preset, prof, rng, targetMin }){ const defaults = { intro:2, verse:8, pre:4, chorus:8, break:8, bridge:4, outro:2 }; let bars = timeline.map(s=> defaults[s] || 4); if (targetMin){ const secPerBar = beatsPerBarFromTimeSig(timeSig||'4/4')*beatSeconds(bpm); const targetBars = Math.max(8, Math.round((targetMin*60)/secPerBar)); const sum = bars.reduce((a,b)=>a+b,0); const scale = targetBars / Math.max(1,sum); bars = bars.map(b=> Math.max(1, Math.round(b*scale))); } const grids = timeline.map((role, i)=> makeSongGridWithRole({ role, bars: bars[i], bpm, prof, rng }) ); return concatGrids(grids); }
-function makeSongGridWithRole({ role, bars, bpm, prof, rng }){ const steps = bars * stepsPerBar(); const kick = Array(steps).fill(0), snare = Array(steps).fill(0), hat = Array(steps).fill(0), chug = Array(steps).fill(0), lead = Array(steps).fill(-1); for (let b=0;b<bars;b++){ const base=b*16; applyRolePatterns({ role, base, kick, snare, hat, chug, lead, prof, rng }); } return { steps: Array.from({length: steps}, (_,i)=>i), kick, snare, hat, chug, lead }; }
-function applyRolePatterns({ role, base, kick, snare, hat, chug, lead, prof, rng }){ const k = role==='chorus' ? [0,6,8,14] : role==='break' ? [0,2,4,6,8,10,12,14] : role==='pre' ? [0,8,12] : [0,8,11]; const s = [4,12]; const hatsDense = role==='chorus' || prof.anthem>0.3; for (const i of k) kick[base+i] = 1; for (const i of s) snare[base+i] = 1; for (let i=0;i<16;i++){ hat[base+i] = (i%2===0 || (hatsDense && i%1===0)) ? 1 : (rng()<0.2? 1: 0); } const dj = prof.djent>0.3 ? [3,7,11,15] : []; const baseAcc = [0,4,8,12]; const hits = [...baseAcc, ...dj]; for (const i of hits) chug[base+i] = 1; for (let i=0;i<16;i++) if (rng()<0.05) chug[base+i] = 1; if (role==='chorus'){ const motif = [1,5,6,5,4,3]; const places = [0,2,4,6,8,10]; for (let j=0;j<places.length;j++) lead[base+places[j]] = motif[j%motif.length]-1; } }
-function concatGrids(grids){ const totalSteps = grids.reduce((s,g)=> s + g.steps.length, 0); const kick = Array(totalSteps).fill(0), snare=Array(totalSteps).fill(0), hat=Array(totalSteps).fill(0), chug=Array(totalSteps).fill(0), lead=Array(totalSteps).fill(-1); let offset=0; for (const g of grids){ for (let i=0;i<g.steps.length;i++){ kick[offset+i]=g.kick[i]; snare[offset+i]=g.snare[i]; hat[offset+i]=g.hat[i]; chug[offset+i]=g.chug[i]; lead[offset+i]=g.lead[i]; } offset+=g.steps.length; } return { steps: Array.from({length: totalSteps}, (_,i)=>i), kick, snare, hat, chug, lead }; }
-
-function createNoiseBuffer(ctx){ const buffer = ctx.createBuffer(1, ctx.sampleRate*1, ctx.sampleRate); const data = buffer.getChannelData(0); for (let i=0;i<data.length;i++) data[i] = (Math.random()*2-1)*0.6; return buffer; }
-function makeDistortionCurve(amount=120){ const k = typeof amount === 'number' ? amount : 50; const n = 44100; const curve = new Float32Array(n); const deg = Math.PI / 180; for (let i=0; i<n; ++i){ const x = i*2/n - 1; curve[i] = (3+k)*x*20*deg / (Math.PI + k*Math.abs(x)); } return curve; }
-function playKick(ctx, time, dest){ const osc = ctx.createOscillator(); const gain = ctx.createGain(); osc.type = 'sine'; osc.frequency.setValueAtTime(130, time); osc.frequency.exponentialRampToValueAtTime(45, time+0.15); gain.gain.setValueAtTime(1.0, time); gain.gain.exponentialRampToValueAtTime(0.001, time+0.22); osc.connect(gain).connect(dest); osc.start(time); osc.stop(time+0.25); return osc; }
-function playSnare(ctx, time, dest, noiseBuffer){ const src = ctx.createBufferSource(); src.buffer = noiseBuffer; const hp = ctx.createBiquadFilter(); hp.type='highpass'; hp.frequency.value = 1800; const gain = ctx.createGain(); gain.gain.setValueAtTime(0.9, time); gain.gain.exponentialRampToValueAtTime(0.0001, time+0.15); src.connect(hp).connect(gain).connect(dest); src.start(time); src.stop(time+0.2); return src; }
-function playHat(ctx, time, dest){ const len = 0.06; const noise = ctx.createBufferSource(); noise.buffer = createNoiseBuffer(ctx); const hp = ctx.createBiquadFilter(); hp.type='highpass'; hp.frequency.value = 6000; const gain = ctx.createGain(); gain.gain.setValueAtTime(0.5, time); gain.gain.exponentialRampToValueAtTime(0.001, time+len); noise.connect(hp).connect(gain).connect(dest); noise.start(time); noise.stop(time+len+0.01); return noise; }
-function playChug(ctx, time, dest, freq){ const osc = ctx.createOscillator(); osc.type='sawtooth'; osc.frequency.setValueAtTime(freq, time); const gain = ctx.createGain(); gain.gain.setValueAtTime(0.0001, time); gain.gain.exponentialRampToValueAtTime(0.6, time+0.005); gain.gain.exponentialRampToValueAtTime(0.0001, time+0.09); const shaper = ctx.createWaveShaper(); shaper.curve = makeDistortionCurve(180); const lp = ctx.createBiquadFilter(); lp.type='lowpass'; lp.frequency.value = 1800; lp.Q.value = 0.6; osc.connect(shaper).connect(lp).connect(gain).connect(dest); osc.start(time); osc.stop(time+0.12); return osc; }
-function playLead(ctx, time, dest, freq){ const osc = ctx.createOscillator(); osc.type='triangle'; osc.frequency.setValueAtTime(freq, time); const gain = ctx.createGain(); gain.gain.setValueAtTime(0.0001, time); gain.gain.exponentialRampToValueAtTime(0.5, time+0.02); gain.gain.exponentialRampToValueAtTime(0.0001, time+0.3); const delay = ctx.createDelay(0.5); delay.delayTime.value = 0.22; const fb = ctx.createGain(); fb.gain.value = 0.25; delay.connect(fb).connect(delay); osc.connect(gain).connect(dest); osc.connect(delay).connect(dest); osc.start(time); osc.stop(time+0.32); return osc; }
 
-function scheduleBackgroundLayer(ctx, dest, t0, duration, scaleNotes){ const chord = [degreeToNote(scaleNotes,1), degreeToNote(scaleNotes,5), degreeToNote(scaleNotes,6)]; const freqs = chord.map(n=>freqFromNote(n, 3)); for (let i=0;i<freqs.length;i++){ const f = freqs[i]; const osc = ctx.createOscillator(); osc.type='sawtooth'; osc.frequency.setValueAtTime(f, t0); const pan = ctx.createStereoPanner ? ctx.createStereoPanner() : null; if (pan) pan.pan.value = i===0? -0.6 : i===2? 0.6 : 0; const lpf = ctx.createBiquadFilter(); lpf.type='lowpass'; lpf.frequency.value = 900; lpf.Q.value = 0.3; const g = ctx.createGain(); g.gain.setValueAtTime(0.0001, t0); g.gain.linearRampToValueAtTime(0.22, t0+0.4); g.gain.linearRampToValueAtTime(0.18, t0+duration-0.3); g.gain.linearRampToValueAtTime(0.0001, t0+duration); const delay = ctx.createDelay(0.6); delay.delayTime.value = 0.27 + 0.03*i; const fb = ctx.createGain(); fb.gain.value = 0.2; delay.connect(fb).connect(delay); if (pan) { osc.connect(lpf).connect(g).connect(pan).connect(dest); } else { osc.connect(lpf).connect(g).connect(dest); } osc.connect(delay).connect(dest); osc.start(t0); osc.stop(t0+duration); } }
+function playLead(ctx, time, dest, freq){ const osc = ctx.createOscillator(); osc.type='triangle'; osc.frequency.setValueAtTime(freq, time); const gain = ctx.createGain(); gain.gain.setValueAtTime(0.0001, time); gain.gain.exponentialRampToValueAtTime(0.5, time+0.02); gain.gain.exponentialRampToValueAtTime(0.0001, time+0.3); const delay = ctx.createDelay(0.5); delay.delayTime.value = 0.22; const fb = ctx.createGain(); fb.gain.value = 0.25; delay.connect(fb).connect(delay); osc.connect(gain).connect(dest); osc.connect(delay).connect(dest); osc.start(time); osc.stop(time+0.32); return osc; }
 
 function slug(s){ return (s||'').toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/(^-|-$)/g,''); }
-function bufferToWave(buffer){ const numOfChan = buffer.numberOfChannels, length = buffer.length * numOfChan * 2 + 44; const ab = new ArrayBuffer(length); const view = new DataView(ab); const channels = []; for (let i = 0; i < numOfChan; i++) channels.push(buffer.getChannelData(i)); let offset = 0; let pos = 0; const setUint16 = (d)=>{ view.setUint16(pos, d, true); pos += 2; }; const setUint32 = (d)=>{ view.setUint32(pos, d, true); pos += 4; }; setUint32(0x46464952); setUint32(length - 8); setUint32(0x45564157); setUint32(0x20746d66); setUint32(16); setUint16(1); setUint16(numOfChan); setUint32(buffer.sampleRate); setUint32(buffer.sampleRate * numOfChan * 2); setUint16(numOfChan * 2); setUint16(16); setUint32(0x61746164); setUint32(length - pos - 4); while (pos < length) { for (let i = 0; i < numOfChan; i++) { const sample = Math.max(-1, Math.min(1, channels[i][offset] || 0)); view.setInt16(pos, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true); pos += 2; } offset++; } return new Blob([view], { type: 'audio/wav' }); }
 function seededRandom(seed){ let t=(seed>>>0)+0x6D2B79F5; return function(){ t|=0; t=(t+0x6D2B79F5)|0; let r=Math.imul(t^t>>>15,1|t); r^=r+Math.imul(r^r>>>7,61|r); return ((r^r>>>14)>>>0)/4294967296; }; }
 
 function fmtTime(seconds){ if (!seconds || !Number.isFinite(seconds)) return '0:00'; const m = Math.floor(seconds/60); const s = Math.floor(seconds%60).toString().padStart(2,'0'); return `${m}:${s}`; }
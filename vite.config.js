@@ -9,6 +9,10 @@ export default defineConfig({
   build: {
     outDir: 'docs',
   },
+  // the render worker imports modules that code-split (Tone is loaded on demand), so it must be an ES module worker
+  worker: {
+    format: 'es',
+  },
 });
 
   